@@ -0,0 +1,193 @@
+// src/apiClients.js
+// API keys for agents, supervisors and admins (stored hashed), each
+// optionally bound to a tenant
+// ------------------------------------------------------------
+
+import crypto from 'crypto';
+import express from 'express';
+import { pool } from './db.js';
+import { ROLES, requireRole } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+
+const CLIENT_COLUMNS = 'id, name, role, agent_id, tenant, is_active, last_used_at, created_at';
+
+/**
+ * SHA-256 of an API key – only the hash is stored
+ * @param {string} key
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Looks up an active API client by its plaintext key
+ * @param {string} key
+ * @returns {Promise<Object|null>}
+ */
+export async function findApiClientByKey(key) {
+  const [rows] = await pool.execute(
+    `SELECT ${CLIENT_COLUMNS} FROM api_clients WHERE key_hash = ? AND is_active = TRUE`,
+    [hashApiKey(key)]
+  );
+  if (rows.length === 0) return null;
+
+  // Not awaited: usage tracking must not slow down or fail the request
+  pool.execute('UPDATE api_clients SET last_used_at = NOW() WHERE id = ?', [rows[0].id])
+    .catch(err => console.error('Failed to update api client last_used_at:', err.message));
+
+  return rows[0];
+}
+
+function normaliseClient(data) {
+  const client = {
+    name: String(data.name ?? '').trim(),
+    role: data.role,
+    agent_id: data.agent_id ? String(data.agent_id).trim() : null,
+    tenant: data.tenant ? String(data.tenant).trim() : null,
+    is_active: data.is_active === undefined ? true : [true, 1, '1', 'true'].includes(data.is_active),
+  };
+
+  if (!client.name) throw new HttpError(400, 'name is required');
+  if (client.name.length > 100) throw new HttpError(400, 'name must be at most 100 characters');
+  if (!ROLES.includes(client.role)) throw new HttpError(400, `role must be one of: ${ROLES.join(', ')}`);
+  if (client.role === 'agent' && !client.agent_id) {
+    throw new HttpError(400, 'agent_id is required for agent keys');
+  }
+  return client;
+}
+
+// Admins bound to a tenant only see and issue keys of that tenant;
+// platform admins (scope null) manage every key
+const scopeClause = scope => (scope ? ' AND tenant = ?' : '');
+const scopeParams = scope => (scope ? [scope] : []);
+
+function mapWriteError(err) {
+  if (err.code === 'ER_NO_REFERENCED_ROW_2') return new HttpError(400, 'tenant does not reference an existing tenant');
+  return err;
+}
+
+/**
+ * Lists API clients (never returns keys)
+ * @param {string|null} [scope] Tenant of the calling admin
+ */
+export async function listApiClients(scope = null) {
+  const [rows] = await pool.execute(
+    `SELECT ${CLIENT_COLUMNS} FROM api_clients WHERE 1 = 1${scopeClause(scope)} ORDER BY name`,
+    scopeParams(scope)
+  );
+  return rows;
+}
+
+/**
+ * Retrieves an API client by ID
+ * @param {number} id
+ * @param {string|null} [scope] Tenant of the calling admin
+ */
+export async function getApiClientById(id, scope = null) {
+  const [rows] = await pool.execute(
+    `SELECT ${CLIENT_COLUMNS} FROM api_clients WHERE id = ?${scopeClause(scope)}`,
+    [id, ...scopeParams(scope)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Creates an API client and returns its key. The key is only ever
+ * returned here – it cannot be recovered later.
+ * @param {Object} data { name, role, agent_id, tenant }
+ * @param {string|null} [scope] Tenant of the calling admin (forced onto the key)
+ */
+export async function createApiClient(data, scope = null) {
+  const client = normaliseClient(scope ? { ...data, tenant: scope } : data);
+  const key = crypto.randomBytes(24).toString('base64url');
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO api_clients (name, role, agent_id, tenant, key_hash, is_active) VALUES (?, ?, ?, ?, ?, ?)`,
+      [client.name, client.role, client.agent_id, client.tenant, hashApiKey(key), client.is_active]
+    );
+    return { ...(await getApiClientById(result.insertId)), key };
+  } catch (err) {
+    throw mapWriteError(err);
+  }
+}
+
+/**
+ * Updates name / role / agent_id / tenant / is_active of an API client
+ * @param {number} id
+ * @param {Object} changes
+ * @param {string|null} [scope] Tenant of the calling admin
+ */
+export async function updateApiClient(id, changes, scope = null) {
+  const current = await getApiClientById(id, scope);
+  if (!current) throw new HttpError(404, 'API client not found');
+
+  const client = normaliseClient({ ...current, ...changes, ...(scope ? { tenant: scope } : {}) });
+  try {
+    await pool.execute(
+      'UPDATE api_clients SET name = ?, role = ?, agent_id = ?, tenant = ?, is_active = ? WHERE id = ?',
+      [client.name, client.role, client.agent_id, client.tenant, client.is_active, id]
+    );
+  } catch (err) {
+    throw mapWriteError(err);
+  }
+  return getApiClientById(id);
+}
+
+/**
+ * Deletes an API client (its key stops working immediately)
+ * @param {number} id
+ * @param {string|null} [scope] Tenant of the calling admin
+ */
+export async function deleteApiClient(id, scope = null) {
+  const [result] = await pool.execute(
+    `DELETE FROM api_clients WHERE id = ?${scopeClause(scope)}`,
+    [id, ...scopeParams(scope)]
+  );
+  if (result.affectedRows === 0) throw new HttpError(404, 'API client not found');
+}
+
+/**
+ * Registers the admin-only /admin/api-clients routes on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupApiClientRoutes(mainApp) {
+  const router = express.Router();
+  router.use(requireRole('admin'));
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listApiClients(req.principal.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      res.status(201).json(await createApiClient(req.body || {}, req.principal.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      res.json(await updateApiClient(req.params.id, req.body || {}, req.principal.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await deleteApiClient(req.params.id, req.principal.tenant);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/api-clients', router);
+  console.log('API client routes configured');
+}
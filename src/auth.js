@@ -0,0 +1,202 @@
+// src/auth.js
+// Authentication (API keys / HS256 JWT), role checks, request tenant
+// and CORS allowlist
+// ------------------------------------------------------------
+
+import crypto from 'crypto';
+import { findApiClientByKey } from './apiClients.js';
+import { DEFAULT_TENANT, resolveTenant } from './tenants.js';
+import { sendError } from './httpError.js';
+import { config } from './config.js';
+
+// Ordered from least to most privileged; a role includes those before it
+export const ROLES = ['agent', 'supervisor', 'admin'];
+
+/**
+ * Constant-time string comparison (avoids leaking the key via timing)
+ */
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Extract the credential from `X-API-Key` or an `Authorization: Bearer` header
+ * @param {Object} req Express request
+ */
+export function getRequestApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+
+  const auth = req.get('authorization') || '';
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Verify an HS256 JWT signed with JWT_SECRET
+ * @param {string} token
+ * @returns {Object|null} payload, or null when invalid / expired
+ */
+export function verifyJwt(token, secret = config.auth.jwtSecret) {
+  if (!secret) return null;
+
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (alg !== 'HS256') return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    if (!safeEqual(signature, expected)) return null;
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp && now >= claims.exp) return null;
+    if (claims.nbf && now < claims.nbf) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the caller behind a credential.
+ * Order: bootstrap ADMIN_API_KEY, JWT (three dot-separated parts), stored API key.
+ * @param {string} credential
+ * @returns {Promise<Object|null>} principal { type, id, name, role, agentId, tenant }
+ */
+async function resolvePrincipal(credential) {
+  const { adminApiKey: adminKey } = config.auth;
+  if (adminKey && safeEqual(credential, adminKey)) {
+    return { type: 'key', id: 'admin', name: 'admin', role: 'admin', agentId: null, tenant: null };
+  }
+
+  if (credential.split('.').length === 3) {
+    const claims = verifyJwt(credential);
+    if (!claims || !ROLES.includes(claims.role)) return null;
+    return {
+      type: 'jwt',
+      id: String(claims.sub ?? ''),
+      name: String(claims.name ?? claims.sub ?? ''),
+      role: claims.role,
+      agentId: claims.agent_id ? String(claims.agent_id) : null,
+      tenant: claims.tenant ? String(claims.tenant) : null,
+    };
+  }
+
+  const client = await findApiClientByKey(credential);
+  if (!client) return null;
+  return {
+    type: 'key', id: String(client.id), name: client.name, role: client.role, agentId: client.agent_id, tenant: client.tenant,
+  };
+}
+
+/**
+ * Tenant code a principal acts for. Admins not bound to a tenant
+ * (platform admins) choose one with the X-Tenant header; every other
+ * unbound principal uses DEFAULT_TENANT.
+ * @param {Object} req Express request with req.principal
+ * @returns {string}
+ */
+export function requestTenantCode(req) {
+  const { principal } = req;
+  if (principal.tenant) return principal.tenant;
+  if (principal.role === 'admin') return req.get('x-tenant') || DEFAULT_TENANT;
+  return DEFAULT_TENANT;
+}
+
+/**
+ * Express middleware: authenticates the request and sets req.principal
+ * and req.tenant (tenant row). Responds 401 when no valid credential is
+ * presented, 400 for an unknown or inactive tenant.
+ */
+export async function authenticate(req, res, next) {
+  if (req.principal) return next();
+
+  const credential = getRequestApiKey(req);
+  if (!credential) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const principal = await resolvePrincipal(credential);
+    if (!principal) {
+      return res.status(401).json({ error: 'Invalid or expired credentials' });
+    }
+    req.principal = principal;
+    req.tenant = await resolveTenant(requestTenantCode(req));
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+/**
+ * True when `role` is at least `minimum` in the ROLES hierarchy
+ */
+export function hasRole(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * Express middleware factory: authenticates, then requires at least `minimum` role.
+ * @param {'agent'|'supervisor'|'admin'} minimum
+ */
+export function requireRole(minimum) {
+  if (!ROLES.includes(minimum)) throw new Error(`Unknown role "${minimum}"`);
+
+  return (req, res, next) => authenticate(req, res, () => {
+    if (!hasRole(req.principal.role, minimum)) {
+      return res.status(403).json({ error: `Requires ${minimum} role` });
+    }
+    next();
+  });
+}
+
+/**
+ * Express middleware: admins not bound to a tenant only. Guards the
+ * tenants and the settings a tenant's own admins may not change
+ * (departments, templates, delivery destinations and queues).
+ */
+export function requirePlatformAdmin(req, res, next) {
+  requireRole('admin')(req, res, () => {
+    if (req.principal.tenant) {
+      return res.status(403).json({ error: 'Requires a platform admin (not bound to a tenant)' });
+    }
+    next();
+  });
+}
+
+/**
+ * Agents may only touch forms assigned to their own agent_id;
+ * supervisors and admins may access any form.
+ * @param {Object} principal req.principal
+ * @param {Object} form forms_new row
+ */
+export function canAccessForm(principal, form) {
+  if (hasRole(principal.role, 'supervisor')) return true;
+  return Boolean(principal.agentId) && String(form.agent_id ?? '') === principal.agentId;
+}
+
+/**
+ * CORS options restricted to the CORS_ORIGINS allowlist (comma separated).
+ * Defaults to CLIENT_URL; "*" must be listed explicitly to allow any origin.
+ */
+export function buildCorsOptions() {
+  const allowlist = config.server.corsOrigins;
+
+  return {
+    origin(origin, callback) {
+      // Non-browser clients (curl, the dialer) send no Origin header
+      if (!origin || allowlist.includes('*') || allowlist.includes(origin)) {
+        return callback(null, true);
+      }
+      callback(null, false);
+    },
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Actor', 'X-Tenant', 'Last-Event-ID'],
+  };
+}
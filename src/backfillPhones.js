@@ -0,0 +1,75 @@
+// src/backfillPhones.js
+// One-off backfill of forms_new.caller_id_e164 from caller_id_number.
+//
+//   node src/backfillPhones.js            only rows not normalised yet
+//   node src/backfillPhones.js --all      re-normalise every row (e.g. after
+//                                         changing PHONE_DEFAULT_REGION)
+//   node src/backfillPhones.js --dry-run  report without writing
+// ------------------------------------------------------------
+
+import { pool } from './db.js';
+import { normalizePhone, DEFAULT_REGION } from './phone.js';
+import { assertValidConfig } from './config.js';
+
+const BATCH_SIZE = 500;
+
+/**
+ * Walks forms_new in id order and fills caller_id_e164
+ * @param {Object} options { all, dryRun }
+ * @returns {Promise<{ scanned: number, updated: number, unparseable: number }>}
+ */
+export async function backfillCallerNumbers({ all = false, dryRun = false } = {}) {
+  const stats = { scanned: 0, updated: 0, unparseable: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT id, caller_id_number, caller_id_e164
+         FROM forms_new
+        WHERE id > ? AND caller_id_number IS NOT NULL AND caller_id_number <> ''
+          ${all ? '' : 'AND caller_id_e164 IS NULL'}
+        ORDER BY id
+        LIMIT ?`,
+      [lastId, BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      stats.scanned += 1;
+      const e164 = normalizePhone(row.caller_id_number);
+      if (!e164) stats.unparseable += 1;
+      if (e164 === row.caller_id_e164) continue;
+
+      stats.updated += 1;
+      if (!dryRun) {
+        await pool.execute('UPDATE forms_new SET caller_id_e164 = ? WHERE id = ?', [e164, row.id]);
+      }
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return stats;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    assertValidConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  backfillCallerNumbers({ all: args.includes('--all'), dryRun })
+    .then(({ scanned, updated, unparseable }) => {
+      console.log(`Caller number backfill (region ${DEFAULT_REGION}${dryRun ? ', dry run' : ''}): `
+        + `${scanned} scanned, ${updated} ${dryRun ? 'to update' : 'updated'}, ${unparseable} not normalisable`);
+    })
+    .catch((err) => {
+      console.error('Backfill failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,73 @@
+// src/businessCalendar.js
+// Business-hours arithmetic for SLA targets. The defaults follow the UAE
+// working week (Monday–Friday); days, hours, time zone and public
+// holidays are configured through the environment:
+//
+//   BUSINESS_TIMEZONE=Asia/Dubai
+//   BUSINESS_DAYS=mon,tue,wed,thu,fri
+//   BUSINESS_HOURS=08:00-17:00
+//   BUSINESS_HOLIDAYS=2026-12-02,2026-12-03
+// ------------------------------------------------------------
+
+import { config } from './config.js';
+import { timeZoneOffsetMinutes } from './timeZone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Validated by config.js
+export const BUSINESS_TIMEZONE = config.business.timeZone;
+const WORKING_DAYS = new Set(config.business.workingDays);
+const { openMinute: OPEN_MINUTE, closeMinute: CLOSE_MINUTE } = config.business;
+const HOLIDAYS = new Set(config.business.holidays);
+
+/**
+ * The business day containing an instant, in BUSINESS_TIMEZONE
+ * @param {Date} date
+ * @returns {{ start: number, offsetMs: number, minute: number, working: boolean }}
+ *   start = local midnight as a UTC-shifted epoch, minute = minutes since it
+ */
+function localDay(date) {
+  const offsetMs = timeZoneOffsetMinutes(BUSINESS_TIMEZONE, date) * MINUTE_MS;
+  const local = new Date(date.getTime() + offsetMs);
+  const start = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  const isoDate = local.toISOString().slice(0, 10);
+  return {
+    start,
+    offsetMs,
+    minute: (local.getTime() - start) / MINUTE_MS,
+    working: WORKING_DAYS.has(local.getUTCDay()) && !HOLIDAYS.has(isoDate),
+  };
+}
+
+/**
+ * The instant `hours` business hours after `start`. Time outside working
+ * hours, on weekends and on holidays is not counted.
+ * @param {Date} start
+ * @param {number} hours
+ * @returns {Date}
+ */
+export function addBusinessHours(start, hours) {
+  let remaining = hours * 60;
+  let cursor = new Date(start);
+
+  // Long targets walk as many years as they need; a year of days in a row
+  // without working time means a broken calendar
+  let idleDays = 0;
+  while (idleDays < 366) {
+    const day = localDay(cursor);
+    const from = Math.max(day.minute, OPEN_MINUTE);
+    if (day.working && from < CLOSE_MINUTE) {
+      const available = CLOSE_MINUTE - from;
+      if (remaining <= available) {
+        return new Date(day.start + (from + remaining) * MINUTE_MS - day.offsetMs);
+      }
+      remaining -= available;
+      idleDays = 0;
+    } else {
+      idleDays += 1;
+    }
+    cursor = new Date(day.start + DAY_MS - day.offsetMs);
+  }
+  throw new Error('Business calendar has no working hours within a year – check BUSINESS_DAYS / BUSINESS_HOLIDAYS');
+}
@@ -0,0 +1,98 @@
+// src/callerHistory.js
+// Previous submissions of a caller and draft prefill for repeat callers
+// ------------------------------------------------------------
+
+import { pool } from './db.js';
+import { requireRole } from './auth.js';
+import { sendError } from './httpError.js';
+import { normalizePhone, callerMatch } from './phone.js';
+
+// Contact details copied from a caller's last submission into a new draft
+export const PREFILL_FIELDS = ['company', 'name', 'email'];
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Previous submissions from a caller, newest first. Webhook drafts and
+ * abandoned calls are left out.
+ *
+ * @param {string} number Caller number in any format (+971…, 00971…, 05…)
+ * @param {Object} tenant Tenant row
+ * @param {Object} [options] { limit }
+ * @returns {Promise<{ caller: string, total: number, forms: Object[] }>}
+ */
+export async function getCallerHistory(number, tenant, { limit } = {}) {
+  const caller = callerMatch(number);
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  const where = `WHERE tenant = ? AND ${caller.clause} AND status = 'submitted'`;
+  const params = [tenant.code, ...caller.params];
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM forms_new ${where}`,
+    params
+  );
+
+  const [forms] = await pool.query(
+    `SELECT id, created_at, company, name, email, contact_number,
+            call_type, disposition_1, disposition_2, query,
+            agent_id, queue_id, queue_name
+       FROM forms_new
+       ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?`,
+    [...params, pageSize]
+  );
+
+  return {
+    caller: normalizePhone(number) || String(number).trim(),
+    total: Number(total),
+    forms,
+  };
+}
+
+/**
+ * Most recent company / name / email known for a caller number
+ * @param {Object} conn Connection (or the pool)
+ * @param {string} number Raw caller number
+ * @param {Object} tenant Tenant row
+ * @returns {Promise<{ formId: number, fields: Object }|null>}
+ */
+export async function findCallerPrefill(conn, number, tenant) {
+  if (!number) return null;
+
+  const caller = callerMatch(number);
+  const [rows] = await conn.execute(
+    `SELECT id, company, name, email
+       FROM forms_new
+      WHERE tenant = ? AND ${caller.clause}
+        AND (company <> '' OR name <> '' OR email <> '')
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1`,
+    [tenant.code, ...caller.params]
+  );
+  if (rows.length === 0) return null;
+
+  const fields = {};
+  PREFILL_FIELDS.forEach(field => {
+    if (rows[0][field]) fields[field] = rows[0][field];
+  });
+  return { formId: rows[0].id, fields };
+}
+
+/**
+ * Registers the /callers routes on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupCallerRoutes(mainApp) {
+  // Agents need this for the caller in front of them, whoever handled them before
+  mainApp.get('/callers/:number/history', requireRole('agent'), async (req, res) => {
+    try {
+      res.json(await getCallerHistory(req.params.number, req.tenant, { limit: req.query.limit }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Caller history routes configured');
+}
@@ -0,0 +1,370 @@
+// src/config.js
+// Configuration from the environment (and .env), read once at startup.
+// Modules import `config` instead of reading process.env; entry points
+// call assertValidConfig() first, which reports every problem together:
+//
+//   Invalid configuration:
+//     - SMTP_PORT must be an integer between 1 and 65535 (got "58x")
+//     - MAIL_TRANSPORT must be one of: smtp, sendmail, file (got "smpt")
+//
+// The mail settings are only checked by entry points that send mail (the
+// server, mail:verify), so migrations and maintenance scripts run without.
+// ------------------------------------------------------------
+
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DB_CLIENTS = ['mysql', 'postgres'];
+export const MAIL_TRANSPORTS = ['smtp', 'sendmail', 'file'];
+export const TOKEN_CACHES = ['memory', 'db'];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Readers for one environment; invalid values are recorded in `problems`
+ * and replaced by the default so every problem is found in one pass
+ */
+function createReader(env, problems) {
+  const raw = (name) => {
+    const value = env[name];
+    return value === undefined || String(value).trim() === '' ? undefined : String(value).trim();
+  };
+  const invalid = (name, expected, value, fallback) => {
+    problems.push(`${name} must be ${expected} (got "${value}")`);
+    return fallback;
+  };
+
+  return {
+    raw,
+    problem: message => problems.push(message),
+
+    text: (name, fallback = null) => raw(name) ?? fallback,
+
+    integer(name, fallback, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      const number = Number(value);
+      if (Number.isInteger(number) && number >= min && number <= max) return number;
+      return invalid(name, max === Number.MAX_SAFE_INTEGER ? `an integer of at least ${min}` : `an integer between ${min} and ${max}`, value, fallback);
+    },
+
+    number(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      const number = Number(value);
+      if (Number.isFinite(number) && number >= min && number <= max) return number;
+      return invalid(name, `a number between ${min} and ${max}`, value, fallback);
+    },
+
+    flag(name, fallback = false) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      if (TRUE_VALUES.includes(value.toLowerCase())) return true;
+      if (FALSE_VALUES.includes(value.toLowerCase())) return false;
+      return invalid(name, 'true or false', value, fallback);
+    },
+
+    oneOf(name, allowed, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      if (allowed.includes(value.toLowerCase())) return value.toLowerCase();
+      return invalid(name, `one of: ${allowed.join(', ')}`, value, fallback);
+    },
+
+    url(name, fallback = null) {
+      const value = raw(name) ?? fallback;
+      if (value === null) return null;
+      try {
+        const url = new URL(value);
+        if (['http:', 'https:'].includes(url.protocol)) return value.replace(/\/$/, '');
+      } catch {
+        // reported below
+      }
+      return invalid(name, 'an absolute http(s) URL', value, null);
+    },
+
+    email(name, fallback = null) {
+      const value = raw(name) ?? fallback;
+      if (value === null || EMAIL_RE.test(value)) return value;
+      return invalid(name, 'an email address', value, null);
+    },
+
+    list: (name, fallback = '') => (raw(name) ?? fallback).split(',').map(v => v.trim()).filter(Boolean),
+  };
+}
+
+// --- Structured values ------------------------------------------------
+
+function readBusinessCalendar(read) {
+  const timeZone = read.text('BUSINESS_TIMEZONE', 'Asia/Dubai');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    read.problem(`BUSINESS_TIMEZONE must be an IANA time zone such as Asia/Dubai (got "${timeZone}")`);
+  }
+
+  const days = read.list('BUSINESS_DAYS', 'mon,tue,wed,thu,fri').map(d => d.toLowerCase());
+  if (days.length === 0 || days.some(d => !DAY_NAMES.includes(d))) {
+    read.problem(`BUSINESS_DAYS must be a comma-separated list of: ${DAY_NAMES.join(', ')}`);
+  }
+
+  const hours = read.text('BUSINESS_HOURS', '08:00-17:00');
+  const match = hours.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const openMinute = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  const closeMinute = match ? Number(match[3]) * 60 + Number(match[4]) : NaN;
+  if (!(openMinute >= 0 && closeMinute <= 24 * 60 && openMinute < closeMinute)) {
+    read.problem(`BUSINESS_HOURS must look like 08:00-17:00 (got "${hours}")`);
+  }
+
+  const holidays = read.list('BUSINESS_HOLIDAYS');
+  const invalidHolidays = holidays.filter(d => !DATE_ONLY_RE.test(d));
+  if (invalidHolidays.length) {
+    read.problem(`BUSINESS_HOLIDAYS must be YYYY-MM-DD dates (got ${invalidHolidays.join(', ')})`);
+  }
+
+  return {
+    timeZone,
+    workingDays: days.filter(d => DAY_NAMES.includes(d)).map(d => DAY_NAMES.indexOf(d)),
+    openMinute,
+    closeMinute,
+    holidays,
+  };
+}
+
+/**
+ * Per-tenant portal logins from PORTAL_CREDENTIALS, a JSON object:
+ *   {"mc_int": {"username": "…", "password": "…"}, …}
+ */
+function readPortalCredentials(read) {
+  const value = read.raw('PORTAL_CREDENTIALS');
+  if (!value) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    read.problem('PORTAL_CREDENTIALS must be a JSON object: {"tenant": {"username": "…", "password": "…"}}');
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    read.problem('PORTAL_CREDENTIALS must be a JSON object keyed by tenant');
+    return {};
+  }
+  Object.entries(parsed).forEach(([tenant, creds]) => {
+    if (!creds?.username || !creds?.password) {
+      read.problem(`PORTAL_CREDENTIALS: tenant "${tenant}" needs a username and a password`);
+    }
+  });
+  return parsed;
+}
+
+function readMail(read, debug) {
+  const transport = read.oneOf('MAIL_TRANSPORT', MAIL_TRANSPORTS, 'smtp');
+  const user = read.text('EMAIL_USER');
+  const password = read.text('EMAIL_PASSWORD');
+
+  const mail = {
+    transport,
+    // default From: of notifications (tenants may override it)
+    from: read.email('MAIL_FROM', user),
+    debug: read.flag('MAIL_DEBUG', debug),
+    smtp: {
+      host: read.text('SMTP_HOST', 'smtp.office365.com'),
+      port: read.integer('SMTP_PORT', 587, { min: 1, max: 65535 }),
+      secure: read.flag('SMTP_SECURE', false),
+      user,
+      password,
+      rejectUnauthorized: read.flag('SMTP_TLS_REJECT_UNAUTHORIZED', true),
+    },
+    sendmail: {
+      path: read.text('SENDMAIL_PATH', '/usr/sbin/sendmail'),
+    },
+    file: {
+      dir: path.resolve(read.text('MAIL_FILE_DIR', 'mail-out')),
+    },
+  };
+
+  if (!mail.from) read.problem('MAIL_FROM (or EMAIL_USER) must be set to the default sender address');
+  if (transport === 'smtp' && Boolean(user) !== Boolean(password)) {
+    read.problem('EMAIL_USER and EMAIL_PASSWORD must be set together (leave both empty for an SMTP relay without login)');
+  }
+  return mail;
+}
+
+function deepFreeze(value) {
+  Object.values(value).forEach(child => {
+    if (child && typeof child === 'object' && !Object.isFrozen(child)) deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
+
+/**
+ * Error listing every invalid setting (err.problems)
+ * @param {string[]} problems
+ */
+function configError(problems) {
+  const error = new Error(`Invalid configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Reads the configuration. Invalid settings fall back to their defaults
+ * and are reported in `problems` (`mailProblems` for the mail section).
+ * @param {Object} env Environment variables
+ * @returns {{ config: Object, problems: string[], mailProblems: string[] }}
+ */
+function readConfig(env) {
+  const problems = [];
+  const mailProblems = [];
+  const read = createReader(env, problems);
+
+  const debug = Boolean(read.raw('DEBUG'));
+  const port = read.integer('PORT', 8989, { min: 1, max: 65535 });
+  const host = read.text('HOST', '0.0.0.0');
+  const clientUrl = read.url('CLIENT_URL', 'http://localhost:3000');
+
+  const config = {
+    debug,
+    server: {
+      port,
+      host,
+      publicUrl: read.url('PUBLIC_URL', `http://${host}:${port}`),
+      // default frontend URL (tenants may override it)
+      clientUrl,
+      corsOrigins: read.list('CORS_ORIGINS', clientUrl || '').map(o => o.replace(/\/$/, '')),
+    },
+    db: {
+      client: read.oneOf('DB_CLIENT', DB_CLIENTS, 'mysql'),
+      migrateOnStart: read.flag('MIGRATE_ON_START', false),
+      mysql: {
+        host: read.text('MYSQL_HOST', 'localhost'),
+        user: read.text('MYSQL_USER', 'root'),
+        password: read.text('MYSQL_PASSWORD', ''),
+        database: read.text('MYSQL_DB', 'shams_new_form'),
+        port: read.integer('MYSQL_PORT', 3306, { min: 1, max: 65535 }),
+      },
+      postgres: {
+        host: read.text('PGHOST', 'localhost'),
+        user: read.text('PGUSER', 'postgres'),
+        password: read.text('PGPASSWORD', ''),
+        database: read.text('PGDATABASE', 'shams_new_form'),
+        port: read.integer('PGPORT', 5432, { min: 1, max: 65535 }),
+      },
+    },
+    mail: readMail(createReader(env, mailProblems), debug),
+    auth: {
+      jwtSecret: read.text('JWT_SECRET'),
+      adminApiKey: read.text('ADMIN_API_KEY'),
+    },
+    webhook: {
+      secret: read.text('WEBHOOK_SECRET'),
+      allowUnsigned: read.flag('WEBHOOK_ALLOW_UNSIGNED', false),
+      maxSkewSeconds: read.integer('WEBHOOK_MAX_SKEW_SECONDS', 300),
+      dedupeWindowSeconds: read.integer('WEBHOOK_DEDUPE_WINDOW_SECONDS', 120),
+    },
+    portal: {
+      baseUrl: read.url('BASE_URL'),
+      refreshPath: read.text('PORTAL_REFRESH_PATH', '/api/v2/config/login/refresh'),
+      tokenCache: read.oneOf('PORTAL_TOKEN_CACHE', TOKEN_CACHES, 'memory'),
+      credentials: readPortalCredentials(read),
+      username: read.text('API_USERNAME'),
+      password: read.text('API_PASSWORD'),
+      accountIdHeader: read.text('ACCOUNT_ID_HEADER'),
+      // self-signed portal certificates are accepted unless this is '1'
+      rejectUnauthorized: read.raw('NODE_TLS_REJECT_UNAUTHORIZED') !== '1',
+    },
+    tenants: {
+      defaultTenant: read.text('DEFAULT_TENANT', 'default'),
+    },
+    phone: {
+      defaultRegion: read.text('PHONE_DEFAULT_REGION', 'AE').toUpperCase(),
+    },
+    business: readBusinessCalendar(read),
+    sla: {
+      // 0 disables a target
+      responseHours: read.number('SLA_RESPONSE_HOURS', 4, { max: 9999 }),
+      resolutionHours: read.number('SLA_RESOLUTION_HOURS', 16, { max: 9999 }),
+      checkIntervalMs: read.integer('SLA_CHECK_INTERVAL_MS', 5 * 60 * 1000),
+    },
+    tickets: {
+      // without a secret notification emails carry no action links
+      linkSecret: read.text('TICKET_LINK_SECRET', ''),
+      linkTtlDays: read.integer('TICKET_LINK_TTL_DAYS', 30),
+    },
+    outbox: {
+      maxAttempts: read.integer('OUTBOX_MAX_ATTEMPTS', 8),
+      pollIntervalMs: read.integer('OUTBOX_POLL_INTERVAL_MS', 15000),
+      baseDelaySeconds: read.integer('OUTBOX_BASE_DELAY_SECONDS', 60),
+    },
+    delivery: {
+      maxAttempts: read.integer('DELIVERY_MAX_ATTEMPTS', 10),
+      pollIntervalMs: read.integer('DELIVERY_POLL_INTERVAL_MS', 15000),
+      baseDelaySeconds: read.integer('DELIVERY_BASE_DELAY_SECONDS', 30),
+    },
+    voicemeetmeSync: {
+      maxAttempts: read.integer('VMM_SYNC_MAX_ATTEMPTS', 10),
+      pollIntervalMs: read.integer('VMM_SYNC_POLL_INTERVAL_MS', 30000),
+      baseDelaySeconds: read.integer('VMM_SYNC_BASE_DELAY_SECONDS', 60),
+    },
+    drafts: {
+      abandonAfterMinutes: read.integer('DRAFT_ABANDON_AFTER_MINUTES', 60),
+      sweepIntervalMs: read.integer('DRAFT_SWEEP_INTERVAL_MS', 5 * 60 * 1000),
+    },
+    liveFeed: {
+      pollIntervalMs: read.integer('LIVE_POLL_INTERVAL_MS', 1000),
+      retentionHours: read.integer('LIVE_EVENT_RETENTION_HOURS', 24),
+    },
+    digests: {
+      checkIntervalMs: read.integer('DIGEST_CHECK_INTERVAL_MS', 5 * 60 * 1000),
+      maxDelayHours: read.integer('DIGEST_MAX_DELAY_HOURS', 12),
+    },
+  };
+
+  if (!/^[A-Z]{2}$/.test(config.phone.defaultRegion)) {
+    problems.push(`PHONE_DEFAULT_REGION must be a two-letter country code (got "${config.phone.defaultRegion}")`);
+  }
+  if (config.sla.responseHours > 0 && config.sla.resolutionHours > 0
+    && config.sla.responseHours > config.sla.resolutionHours) {
+    problems.push('SLA_RESPONSE_HOURS cannot exceed SLA_RESOLUTION_HOURS');
+  }
+
+  return { config: deepFreeze(config), problems, mailProblems };
+}
+
+/**
+ * Reads and validates the configuration
+ * @param {Object} [env] Environment variables
+ * @param {Object} [options]
+ * @param {boolean} [options.mail] Validate the mail settings too
+ * @returns {Object} frozen configuration
+ * @throws {Error} listing every invalid setting (err.problems)
+ */
+export function loadConfig(env = process.env, { mail = true } = {}) {
+  const { config, problems, mailProblems } = readConfig(env);
+  const found = mail ? [...problems, ...mailProblems] : problems;
+  if (found.length) throw configError(found);
+  return config;
+}
+
+const loaded = readConfig(process.env);
+
+export const config = loaded.config;
+
+/**
+ * Throws when the configuration read at startup is invalid; entry points
+ * call it before doing anything else
+ * @param {Object} [options]
+ * @param {boolean} [options.mail] Validate the mail settings too
+ * @throws {Error} listing every invalid setting (err.problems)
+ */
+export function assertValidConfig({ mail = false } = {}) {
+  const found = mail ? [...loaded.problems, ...loaded.mailProblems] : loaded.problems;
+  if (found.length) throw configError(found);
+}
@@ -0,0 +1,96 @@
+// src/csv.js
+// Minimal RFC 4180 CSV helpers (no external dependency)
+
+/**
+ * Quote a single value for CSV output when it contains a delimiter,
+ * quote or line break.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialise an array of objects to CSV using the given column order.
+ * @param {Object[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(col => escapeCsvValue(row[col])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row.
+ * Blank lines are skipped. Header names are trimmed.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM that Excel likes to add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error('Malformed CSV: unterminated quoted field');
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => {
+    const obj = {};
+    header.forEach((h, idx) => {
+      obj[h] = values[idx] !== undefined ? values[idx] : '';
+    });
+    return obj;
+  });
+}
@@ -0,0 +1,269 @@
+// src/db.js
+// Database access shared by every module: one pool API and SQL dialect
+// helpers for MySQL (default) and PostgreSQL, selected with DB_CLIENT.
+//
+// The pool keeps the mysql2 calling convention the rest of the code uses:
+//   const [rows] = await pool.execute('SELECT … WHERE id = ?', [id]);
+//   const [{ insertId, affectedRows }] = await pool.execute('INSERT …', […]);
+// ------------------------------------------------------------
+
+import mysql from 'mysql2/promise';
+import pkg from 'pg';
+import { config, DB_CLIENTS } from './config.js';
+
+const { Pool: PgPool, Client: PgClient, types: pgTypes } = pkg;
+
+export { DB_CLIENTS };
+export const DB_CLIENT = config.db.client;
+
+// --- MySQL ----------------------------------------------------------
+
+const MYSQL_CONFIG = config.db.mysql;
+
+function createMysqlPool() {
+  return mysql.createPool({ ...MYSQL_CONFIG, waitForConnections: true, connectionLimit: 10 });
+}
+
+// --- PostgreSQL -----------------------------------------------------
+
+// COUNT(*) and BIGINT come back as strings by default
+pgTypes.setTypeParser(20, value => parseInt(value, 10));
+
+// PostgreSQL error codes mapped to the mysql2 codes the modules check for
+const PG_ERROR_CODES = {
+  23505: 'ER_DUP_ENTRY',
+};
+
+/**
+ * Rewrites mysql-style `?` placeholders to `$1, $2…`, expanding array
+ * parameters (`IN (?)`) into one placeholder per element. Quoted strings
+ * and identifiers are left untouched.
+ * @param {string} sql
+ * @param {Array} params
+ * @returns {{ text: string, values: Array }}
+ */
+export function toPgQuery(sql, params = []) {
+  const values = [];
+  let text = '';
+  let quote = null;
+  let paramIndex = 0;
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+      text += char;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      text += char;
+    } else if (char === '?') {
+      const param = params[paramIndex++];
+      const list = Array.isArray(param) ? param : [param];
+      text += list.map((value) => {
+        values.push(value);
+        return `$${values.length}`;
+      }).join(', ');
+    } else {
+      text += char;
+    }
+  }
+
+  if (paramIndex !== params.length) {
+    throw new Error(`Query expects ${paramIndex} parameters, got ${params.length}`);
+  }
+  return { text, values };
+}
+
+/**
+ * Runs a statement on a pg client and shapes the result like mysql2:
+ * [rows] for SELECT / RETURNING, [{ insertId, affectedRows }] for writes.
+ * `returnId: false` is for INSERTs into tables without an id column.
+ */
+export async function runPg(client, sql, params, { returnId = true } = {}) {
+  const isInsert = /^\s*insert\s/i.test(sql);
+  // INSERTs report the new id the way mysql2's insertId does
+  const statement = isInsert && returnId && !/\breturning\b/i.test(sql) ? `${sql} RETURNING id` : sql;
+  const { text, values } = toPgQuery(statement, params);
+
+  let result;
+  try {
+    result = await client.query(text, values);
+  } catch (err) {
+    if (err.code === '23503') {
+      err.code = /^\s*delete\s/i.test(sql) ? 'ER_ROW_IS_REFERENCED_2' : 'ER_NO_REFERENCED_ROW_2';
+    } else if (PG_ERROR_CODES[err.code]) {
+      err.code = PG_ERROR_CODES[err.code];
+    }
+    throw err;
+  }
+
+  if (result.command === 'SELECT' || (!isInsert && result.fields?.length)) {
+    return [result.rows, result.fields];
+  }
+  return [{ insertId: isInsert ? result.rows[0]?.id ?? null : 0, affectedRows: result.rowCount }];
+}
+
+const PG_CONFIG = config.db.postgres;
+
+function createPostgresPool() {
+  const pgPool = new PgPool({ ...PG_CONFIG, max: 10, idleTimeoutMillis: 30000 });
+
+  const wrapClient = (client) => ({
+    execute: (sql, params) => runPg(client, sql, params),
+    query: (sql, params) => runPg(client, sql, params),
+    beginTransaction: () => client.query('BEGIN'),
+    commit: () => client.query('COMMIT'),
+    rollback: () => client.query('ROLLBACK'),
+    release: () => client.release(),
+  });
+
+  return {
+    execute: (sql, params) => runPg(pgPool, sql, params),
+    query: (sql, params) => runPg(pgPool, sql, params),
+    getConnection: async () => wrapClient(await pgPool.connect()),
+    end: () => pgPool.end(),
+  };
+}
+
+/**
+ * Creates the connection pool for DB_CLIENT
+ */
+export function createPool() {
+  return DB_CLIENT === 'postgres' ? createPostgresPool() : createMysqlPool();
+}
+
+// Shared pool – neither driver connects before the first query
+export const pool = createPool();
+
+/**
+ * Runs a callback inside a transaction on a dedicated pool connection.
+ * Commits when the callback resolves, rolls back when it throws.
+ * @param {Function} fn async (conn) => result
+ */
+export async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Opens a single connection that can also run multi-statement SQL
+ * scripts (used by the migration runner).
+ * @returns {Promise<{ runScript: Function, query: Function, end: Function }>}
+ */
+export async function openScriptConnection() {
+  if (DB_CLIENT === 'postgres') {
+    const client = new PgClient({ ...PG_CONFIG });
+    await client.connect();
+    return {
+      // Without parameters pg uses the simple protocol, which accepts several statements
+      runScript: sql => client.query(sql),
+      // schema_migrations has no id column
+      query: (sql, params) => runPg(client, sql, params, { returnId: false }),
+      end: () => client.end(),
+    };
+  }
+
+  const conn = await mysql.createConnection({ ...MYSQL_CONFIG, multipleStatements: true });
+  return {
+    runScript: sql => conn.query(sql),
+    query: (sql, params) => conn.query(sql, params),
+    end: () => conn.end(),
+  };
+}
+
+/**
+ * Iterates over the rows of a SELECT without loading the whole result.
+ * MySQL streams from one connection; PostgreSQL (no cursor support in
+ * the pool wrapper) pages through the result with LIMIT / OFFSET, so the
+ * statement needs a deterministic ORDER BY.
+ *
+ * @param {Object} pool Pool from createPool()
+ * @param {string} sql SELECT statement without LIMIT
+ * @param {Array} [params]
+ */
+export async function* streamRows(pool, sql, params = [], batchSize = 500) {
+  if (DB_CLIENT !== 'postgres') {
+    const conn = await pool.getConnection();
+    let finished = false;
+    try {
+      yield* conn.connection.query(sql, params).stream({ highWaterMark: 100 });
+      finished = true;
+    } finally {
+      // A consumer that stops early leaves the rest of the result set on the
+      // wire; drop that connection rather than hand it back mid-query
+      if (finished) conn.release();
+      else conn.destroy();
+    }
+    return;
+  }
+
+  for (let offset = 0; ; offset += batchSize) {
+    const [rows] = await pool.query(`${sql} LIMIT ? OFFSET ?`, [...params, batchSize, offset]);
+    yield* rows;
+    if (rows.length < batchSize) return;
+  }
+}
+
+// --- Dialect helpers ------------------------------------------------
+// SQL fragments that differ between the two databases. Each takes its
+// value through a single `?` placeholder.
+
+const mysqlDialect = {
+  name: 'mysql',
+  /** created_at >= ${secondsAgo()} */
+  secondsAgo: () => 'NOW() - INTERVAL ? SECOND',
+  secondsFromNow: () => 'NOW() + INTERVAL ? SECOND',
+  /** NULL-safe equality (NULL = NULL is true) */
+  nullSafeEquals: column => `${column} <=> ?`,
+  /** JSON array column contains the given string */
+  jsonArrayContains: column => `JSON_CONTAINS(${column}, JSON_QUOTE(?))`,
+  /** Full-text match over the forms_new FULLTEXT index */
+  fullTextMatch: columns => `MATCH (${columns.join(', ')}) AGAINST (? IN BOOLEAN MODE)`,
+  /** Every word required, prefix matching: "+acme* +trad*" */
+  fullTextQuery: words => words.map(word => `+${word}*`).join(' '),
+
+  /**
+   * Runs fn while holding a named lock (GET_LOCK; names ≤ 64 chars)
+   */
+  async withNamedLock(conn, name, fn, timeoutSeconds = 10) {
+    const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [name, timeoutSeconds]);
+    if (acquired !== 1) throw new Error(`Timed out waiting for lock ${name}`);
+    try {
+      return await fn();
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [name]);
+    }
+  },
+};
+
+const postgresDialect = {
+  name: 'postgres',
+  secondsAgo: () => "NOW() - (?::int * INTERVAL '1 second')",
+  secondsFromNow: () => "NOW() + (?::int * INTERVAL '1 second')",
+  nullSafeEquals: column => `${column} IS NOT DISTINCT FROM ?`,
+  jsonArrayContains: column => `${column} @> to_jsonb(?::text)`,
+  fullTextMatch: columns =>
+    `to_tsvector('simple', ${columns.map(c => `coalesce(${c}, '')`).join(` || ' ' || `)}) @@ to_tsquery('simple', ?)`,
+  fullTextQuery: words => words.map(word => `${word}:*`).join(' & '),
+
+  /**
+   * Runs fn holding a transaction-scoped advisory lock; it is released on
+   * commit / rollback, so conn must be inside a transaction.
+   */
+  async withNamedLock(conn, name, fn, timeoutSeconds = 10) {
+    await conn.query(`SET LOCAL lock_timeout = '${Number(timeoutSeconds) * 1000}ms'`);
+    await conn.query('SELECT pg_advisory_xact_lock(hashtext(?))', [name]);
+    return fn();
+  },
+};
+
+export const dialect = DB_CLIENT === 'postgres' ? postgresDialect : mysqlDialect;
@@ -0,0 +1,292 @@
+// src/departmentDigests.js
+// Daily / weekly digest emails: each department gets the submissions
+// routed to it over the period (its tickets), grouped by Disposition-1 /
+// Disposition-2 with counts and a link to every form.
+//
+// Schedule, recipients and opt-out are department settings
+// (digest_frequency, digest_hour, digest_weekday, digest_recipients), in
+// BUSINESS_TIMEZONE. Digests go through the mail outbox; digest_runs
+// makes each period go out once, whichever instance gets there first.
+// ------------------------------------------------------------
+
+import { pool, withTransaction } from './db.js';
+import { requirePlatformAdmin } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+import { formatDepartment, getDepartmentById, DIGEST_WEEKDAYS } from './departments.js';
+import { enqueueEmail } from './mailOutbox.js';
+import { getTenant, senderFor, clientUrlFor } from './tenants.js';
+import { escapeHtml, htmlToText } from './emailTemplates.js';
+import { ticketReference } from './tickets.js';
+import { BUSINESS_TIMEZONE } from './businessCalendar.js';
+import { timeZoneOffsetMinutes } from './timeZone.js';
+import { config } from './config.js';
+
+// A digest not sent within maxDelayHours of its time (server down) is skipped
+const { checkIntervalMs: CHECK_INTERVAL_MS, maxDelayHours: MAX_DELAY_HOURS } = config.digests;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Length of each digest period
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+/**
+ * Digests a department is subscribed to
+ * @param {Object} department Formatted department
+ * @returns {string[]} 'daily' and/or 'weekly'
+ */
+function digestFrequencies(department) {
+  if (department.digest_frequency === 'both') return ['daily', 'weekly'];
+  return PERIOD_DAYS[department.digest_frequency] ? [department.digest_frequency] : [];
+}
+
+/**
+ * The latest scheduled send time at or before `now`: digest_hour on any
+ * day (daily) or on digest_weekday (weekly), in BUSINESS_TIMEZONE
+ * @returns {Date}
+ */
+function lastPeriodEnd(department, frequency, now) {
+  const weekday = frequency === 'weekly' ? DIGEST_WEEKDAYS.indexOf(department.digest_weekday) : null;
+  const local = new Date(now.getTime() + timeZoneOffsetMinutes(BUSINESS_TIMEZONE, now) * MINUTE_MS);
+  let day = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+
+  for (let i = 0; i <= 7; i++, day -= DAY_MS) {
+    if (weekday !== null && new Date(day).getUTCDay() !== weekday) continue;
+    const guess = day + department.digest_hour * HOUR_MS;
+    const at = new Date(guess - timeZoneOffsetMinutes(BUSINESS_TIMEZONE, new Date(guess)) * MINUTE_MS);
+    if (at <= now) return at;
+  }
+  throw new Error(`No ${frequency} digest time for department #${department.id}`);
+}
+
+/**
+ * Submissions routed to a department over [start, end), oldest first
+ */
+async function getDigestForms(conn, departmentId, start, end) {
+  const [rows] = await conn.query(
+    `SELECT f.id, f.tenant, f.company, f.name, f.contact_number, f.call_type, f.disposition_1, f.disposition_2,
+            f.disposition_2_custom, f.agent_ext, t.id AS ticket_id, t.status AS ticket_status, t.created_at
+       FROM tickets t
+       JOIN forms_new f ON f.id = t.form_id
+      WHERE t.department_id = ? AND t.created_at >= ? AND t.created_at < ?
+      ORDER BY f.disposition_1, f.disposition_2, t.created_at, t.id`,
+    [departmentId, start, end]
+  );
+  return rows;
+}
+
+/**
+ * Disposition-1 → Disposition-2 → forms
+ * @returns {Array<{ disposition_1, count, groups: Array<{ disposition_2, count, forms }> }>}
+ */
+function groupByDisposition(forms) {
+  const byD1 = new Map();
+  forms.forEach(form => {
+    if (!byD1.has(form.disposition_1)) byD1.set(form.disposition_1, new Map());
+    const byD2 = byD1.get(form.disposition_1);
+    if (!byD2.has(form.disposition_2)) byD2.set(form.disposition_2, []);
+    byD2.get(form.disposition_2).push(form);
+  });
+
+  return [...byD1].map(([disposition_1, byD2]) => {
+    const groups = [...byD2].map(([disposition_2, list]) => ({ disposition_2, count: list.length, forms: list }));
+    return { disposition_1, count: groups.reduce((sum, g) => sum + g.count, 0), groups };
+  });
+}
+
+const formatLocal = (date, options) => new Intl.DateTimeFormat('en-GB', { timeZone: BUSINESS_TIMEZONE, ...options })
+  .format(new Date(date));
+
+/**
+ * Subject and body of one tenant's digest for a department
+ */
+function renderDigest(department, frequency, period, tenant, forms) {
+  const label = frequency === 'daily' ? 'Daily' : 'Weekly';
+  const range = `${formatLocal(period.start, { dateStyle: 'medium', timeStyle: 'short' })} – ${formatLocal(period.end, { dateStyle: 'medium', timeStyle: 'short' })}`;
+  const clientUrl = clientUrlFor(tenant);
+
+  const sections = groupByDisposition(forms).map(d1 => `
+      <h3>${escapeHtml(d1.disposition_1)} (${d1.count})</h3>
+      ${d1.groups.map(d2 => `
+      <p><strong>${escapeHtml(d2.disposition_2)}</strong> – ${d2.count}</p>
+      <ul>
+        ${d2.forms.map(form => `<li><a href="${escapeHtml(`${clientUrl}/?id=${form.id}`)}">${escapeHtml(ticketReference(form.ticket_id))}</a>
+          ${escapeHtml(formatLocal(form.created_at, { dateStyle: 'short', timeStyle: 'short' }))} –
+          ${escapeHtml(form.company)}, ${escapeHtml(form.name)} (${escapeHtml(form.contact_number)})${form.disposition_2_custom ? ` – ${escapeHtml(form.disposition_2_custom)}` : ''}
+          [${escapeHtml(form.ticket_status.replace('_', ' '))}]</li>`).join('\n        ')}
+      </ul>`).join('')}`).join('');
+
+  const html = `
+      <p>Hi, Good Day!</p>
+      <p>${label} summary of the calls routed to <strong>${escapeHtml(department.name)}</strong>
+        (${escapeHtml(range)}): <strong>${forms.length}</strong> call(s).</p>
+      ${sections}
+      <br/>
+      <p>Thank you, and have a great day!</p>
+    `;
+
+  return {
+    subject: `${label} digest – ${department.name} – ${forms.length} call(s) (${formatLocal(period.end, { dateStyle: 'medium' })})`,
+    html,
+    text: htmlToText(html),
+  };
+}
+
+/**
+ * A department's digest emails for a period, one per tenant with
+ * submissions in it (tickets opened before departments belonged to a
+ * tenant may be of another one)
+ *
+ * @param {Object} department Formatted department
+ * @param {string} frequency 'daily' | 'weekly'
+ * @param {Date} periodEnd
+ * @param {Object} [conn]
+ * @returns {Promise<{ period: { start: Date, end: Date }, forms: number, messages: Object[] }>}
+ */
+export async function buildDepartmentDigest(department, frequency, periodEnd, conn = pool) {
+  const period = { start: new Date(periodEnd.getTime() - PERIOD_DAYS[frequency] * DAY_MS), end: periodEnd };
+  const forms = await getDigestForms(conn, department.id, period.start, period.end);
+
+  const byTenant = new Map();
+  forms.forEach(form => {
+    if (!byTenant.has(form.tenant)) byTenant.set(form.tenant, []);
+    byTenant.get(form.tenant).push(form);
+  });
+
+  const to = department.digest_recipients || department.recipients;
+  const cc = department.digest_recipients ? [] : department.cc;
+  const messages = [];
+  for (const [code, tenantForms] of byTenant) {
+    const tenant = await getTenant(code);
+    messages.push({
+      tenant: code,
+      from: senderFor(tenant),
+      to,
+      cc,
+      forms: tenantForms.length,
+      ...renderDigest(department, frequency, period, tenant, tenantForms),
+    });
+  }
+  return { period, forms: forms.length, messages };
+}
+
+/**
+ * Queues a department's digest for the period ending at periodEnd, unless
+ * it already went out. Periods without submissions are recorded but not
+ * mailed.
+ * @returns {Promise<number|null>} forms in the digest, null when already sent
+ */
+async function sendDepartmentDigest(departmentId, frequency, periodEnd) {
+  return withTransaction(async (conn) => {
+    // serialises instances racing for the same department
+    const [locked] = await conn.execute('SELECT * FROM departments WHERE id = ? FOR UPDATE', [departmentId]);
+    if (locked.length === 0) return null;
+
+    const [runs] = await conn.execute(
+      'SELECT id FROM digest_runs WHERE department_id = ? AND frequency = ? AND period_end = ?',
+      [departmentId, frequency, periodEnd]
+    );
+    if (runs.length > 0) return null;
+
+    const digest = await buildDepartmentDigest(formatDepartment(locked[0]), frequency, periodEnd, conn);
+    for (const { forms, ...message } of digest.messages) {
+      await enqueueEmail(conn, message);
+    }
+    await conn.execute(
+      'INSERT INTO digest_runs (department_id, frequency, period_start, period_end, forms) VALUES (?, ?, ?, ?, ?)',
+      [departmentId, frequency, digest.period.start, periodEnd, digest.forms]
+    );
+    return digest.forms;
+  });
+}
+
+/**
+ * Queues every digest whose send time has passed and that has not gone
+ * out yet. Only the latest period of each digest is considered, and only
+ * within DIGEST_MAX_DELAY_HOURS of its time, so an outage or a newly
+ * subscribed department does not get stale digests.
+ * @param {Date} [now]
+ * @returns {Promise<number>} number of digests queued
+ */
+export async function sendDueDigests(now = new Date()) {
+  const [rows] = await pool.execute(
+    "SELECT * FROM departments WHERE is_active = TRUE AND digest_frequency <> 'none' ORDER BY id"
+  );
+
+  let queued = 0;
+  for (const department of rows.map(formatDepartment)) {
+    for (const frequency of digestFrequencies(department)) {
+      try {
+        const periodEnd = lastPeriodEnd(department, frequency, now);
+        if (now.getTime() - periodEnd.getTime() > MAX_DELAY_HOURS * HOUR_MS) continue;
+        const forms = await sendDepartmentDigest(department.id, frequency, periodEnd);
+        if (forms) queued += 1;
+      } catch (err) {
+        console.error(`Digest: ${frequency} digest of ${department.name} failed:`, err.message);
+      }
+    }
+  }
+  return queued;
+}
+
+/**
+ * Starts the background digest scheduler
+ * @returns {Function} stop function
+ */
+export function startDigestScheduler() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const queued = await sendDueDigests();
+      if (queued > 0) console.log(`📰 ${queued} department digest(s) queued`);
+    } catch (err) {
+      console.error('Digest scheduler error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  timer.unref();
+  tick();
+
+  console.log(`📰 Digest scheduler started (${BUSINESS_TIMEZONE})`);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Registers GET /admin/departments/:id/digest, a preview of the latest
+ * daily (?frequency=weekly for the weekly) digest of a department
+ * @param {Object} mainApp Express app
+ */
+export function setupDigestRoutes(mainApp) {
+  mainApp.get('/admin/departments/:id/digest', requirePlatformAdmin, async (req, res) => {
+    try {
+      const frequency = req.query.frequency || 'daily';
+      if (!PERIOD_DAYS[frequency]) {
+        throw new HttpError(400, `frequency must be one of: ${Object.keys(PERIOD_DAYS).join(', ')}`);
+      }
+      const department = await getDepartmentById(req.params.id, req.tenant);
+      if (!department) throw new HttpError(404, 'Department not found');
+
+      const periodEnd = lastPeriodEnd(department, frequency, new Date());
+      const digest = await buildDepartmentDigest(department, frequency, periodEnd);
+      res.json({
+        department: department.name,
+        frequency,
+        subscribed: digestFrequencies(department).includes(frequency),
+        timezone: BUSINESS_TIMEZONE,
+        period: { from: digest.period.start.toISOString(), to: digest.period.end.toISOString() },
+        forms: digest.forms,
+        messages: digest.messages,
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Department digest routes configured');
+}
@@ -0,0 +1,306 @@
+// src/departments.js
+// Department directory: who receives notifications for a disposition.
+// Each tenant has its own departments; every function takes the tenant row.
+// ------------------------------------------------------------
+
+import express from 'express';
+import { pool } from './db.js';
+import { requirePlatformAdmin } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DEPARTMENT_COLUMNS = `id, tenant, name, recipients, cc, bcc, escalation_email, is_active,
+  digest_frequency, digest_hour, digest_weekday, digest_recipients, created_at, updated_at`;
+
+// Digest schedule (see departmentDigests.js); 'none' opts out
+export const DIGEST_FREQUENCIES = ['none', 'daily', 'weekly', 'both'];
+export const DIGEST_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Accepts an array or a comma/semicolon separated string of addresses and
+ * returns a de-duplicated array, validating each entry.
+ * @param {string[]|string|null} value
+ * @param {string} field Field name used in error messages
+ * @returns {string[]}
+ */
+function normaliseEmailList(value, field) {
+  if (value === null || value === undefined || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+  const emails = [...new Set(list.map(e => String(e).trim()).filter(Boolean))];
+
+  const invalid = emails.filter(e => !EMAIL_RE.test(e));
+  if (invalid.length) {
+    throw new HttpError(400, `${field} contains invalid email address(es): ${invalid.join(', ')}`);
+  }
+  return emails;
+}
+
+/**
+ * mysql2 returns JSON columns already parsed, but be lenient with strings
+ */
+function parseEmailColumn(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Shape a departments row for API consumers
+ */
+export function formatDepartment(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tenant: row.tenant,
+    name: row.name,
+    recipients: parseEmailColumn(row.recipients),
+    cc: parseEmailColumn(row.cc),
+    bcc: parseEmailColumn(row.bcc),
+    escalation_email: row.escalation_email || null,
+    is_active: Boolean(row.is_active),
+    digest_frequency: row.digest_frequency,
+    digest_hour: row.digest_hour,
+    digest_weekday: row.digest_weekday,
+    // null = the digest goes to recipients + cc
+    digest_recipients: row.digest_recipients ? parseEmailColumn(row.digest_recipients) : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function normaliseDepartment(data) {
+  const name = String(data.name ?? '').trim();
+  if (!name) throw new HttpError(400, 'name is required');
+  if (name.length > 100) throw new HttpError(400, 'name must be at most 100 characters');
+
+  const recipients = normaliseEmailList(data.recipients, 'recipients');
+  if (recipients.length === 0) throw new HttpError(400, 'At least one recipient is required');
+
+  const escalation = String(data.escalation_email ?? '').trim();
+  if (escalation && !EMAIL_RE.test(escalation)) {
+    throw new HttpError(400, `escalation_email "${escalation}" is not a valid email`);
+  }
+
+  const digestFrequency = data.digest_frequency ?? 'daily';
+  if (!DIGEST_FREQUENCIES.includes(digestFrequency)) {
+    throw new HttpError(400, `digest_frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+  }
+  const digestHour = Number(data.digest_hour ?? 8);
+  if (!Number.isInteger(digestHour) || digestHour < 0 || digestHour > 23) {
+    throw new HttpError(400, 'digest_hour must be an hour between 0 and 23');
+  }
+  const digestWeekday = String(data.digest_weekday ?? 'mon').trim().toLowerCase();
+  if (!DIGEST_WEEKDAYS.includes(digestWeekday)) {
+    throw new HttpError(400, `digest_weekday must be one of: ${DIGEST_WEEKDAYS.join(', ')}`);
+  }
+  const digestRecipients = normaliseEmailList(data.digest_recipients, 'digest_recipients');
+
+  return {
+    name,
+    recipients,
+    cc: normaliseEmailList(data.cc, 'cc'),
+    bcc: normaliseEmailList(data.bcc, 'bcc'),
+    escalation_email: escalation || null,
+    is_active: data.is_active === undefined ? true : [true, 1, '1', 'true'].includes(data.is_active),
+    digest_frequency: digestFrequency,
+    digest_hour: digestHour,
+    digest_weekday: digestWeekday,
+    digest_recipients: digestRecipients.length ? digestRecipients : null,
+  };
+}
+
+function mapDuplicateError(err) {
+  if (err.code === 'ER_DUP_ENTRY') {
+    return new HttpError(409, 'A department with this name already exists');
+  }
+  return err;
+}
+
+/**
+ * Lists the departments of a tenant
+ * @param {Object} tenant Tenant row
+ * @param {Object} [options] { activeOnly }
+ */
+export async function listDepartments(tenant, { activeOnly = false } = {}) {
+  const [rows] = await pool.execute(
+    `SELECT ${DEPARTMENT_COLUMNS} FROM departments
+      WHERE tenant = ? ${activeOnly ? 'AND is_active = TRUE' : ''}
+      ORDER BY name`,
+    [tenant.code]
+  );
+  return rows.map(formatDepartment);
+}
+
+/**
+ * Retrieves a department of a tenant by ID
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ */
+export async function getDepartmentById(id, tenant, conn = pool) {
+  const [rows] = await conn.execute(
+    `SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE id = ? AND tenant = ?`,
+    [id, tenant.code]
+  );
+  return formatDepartment(rows[0]);
+}
+
+/**
+ * Retrieves a department of a tenant by its display name
+ * @param {string} name
+ * @param {Object} tenant Tenant row
+ */
+export async function getDepartmentByName(name, tenant) {
+  const [rows] = await pool.execute(
+    `SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE name = ? AND tenant = ?`,
+    [name, tenant.code]
+  );
+  return formatDepartment(rows[0]);
+}
+
+/**
+ * Rejects a department_id that is not one of the tenant's departments,
+ * as if it did not exist
+ * @param {number|null} departmentId
+ * @param {Object} tenant Tenant row
+ * @param {Object} [conn]
+ */
+export async function assertTenantDepartment(departmentId, tenant, conn = pool) {
+  if (departmentId === null || departmentId === undefined) return;
+  if (!(await getDepartmentById(departmentId, tenant, conn))) {
+    throw new HttpError(400, 'department_id does not reference an existing department');
+  }
+}
+
+/**
+ * Creates a department of a tenant
+ * @param {Object} data { name, recipients, cc, bcc, escalation_email, is_active,
+ *   digest_frequency, digest_hour, digest_weekday, digest_recipients }
+ * @param {Object} tenant Tenant row
+ */
+export async function createDepartment(data, tenant) {
+  const dept = normaliseDepartment(data);
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO departments (tenant, name, recipients, cc, bcc, escalation_email, is_active,
+         digest_frequency, digest_hour, digest_weekday, digest_recipients)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [tenant.code, dept.name, JSON.stringify(dept.recipients), JSON.stringify(dept.cc), JSON.stringify(dept.bcc),
+        dept.escalation_email, dept.is_active, dept.digest_frequency, dept.digest_hour, dept.digest_weekday,
+        dept.digest_recipients && JSON.stringify(dept.digest_recipients)]
+    );
+    return getDepartmentById(result.insertId, tenant);
+  } catch (err) {
+    throw mapDuplicateError(err);
+  }
+}
+
+/**
+ * Updates a department (partial updates are merged onto the current row)
+ * @param {number} id
+ * @param {Object} changes
+ * @param {Object} tenant Tenant row
+ */
+export async function updateDepartment(id, changes, tenant) {
+  const current = await getDepartmentById(id, tenant);
+  if (!current) throw new HttpError(404, 'Department not found');
+
+  const dept = normaliseDepartment({ ...current, ...changes });
+  try {
+    await pool.execute(
+      `UPDATE departments
+          SET name = ?, recipients = ?, cc = ?, bcc = ?, escalation_email = ?, is_active = ?,
+              digest_frequency = ?, digest_hour = ?, digest_weekday = ?, digest_recipients = ?
+        WHERE id = ?`,
+      [dept.name, JSON.stringify(dept.recipients), JSON.stringify(dept.cc), JSON.stringify(dept.bcc),
+        dept.escalation_email, dept.is_active, dept.digest_frequency, dept.digest_hour, dept.digest_weekday,
+        dept.digest_recipients && JSON.stringify(dept.digest_recipients), id]
+    );
+  } catch (err) {
+    throw mapDuplicateError(err);
+  }
+  return getDepartmentById(id, tenant);
+}
+
+/**
+ * Deletes a department. Refused while dispositions still route to it –
+ * deactivate it or re-route those dispositions first.
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ */
+export async function deleteDepartment(id, tenant) {
+  const current = await getDepartmentById(id, tenant);
+  if (!current) throw new HttpError(404, 'Department not found');
+
+  const [[{ total }]] = await pool.execute(
+    'SELECT COUNT(*) AS total FROM disposition_config WHERE department_id = ?',
+    [id]
+  );
+  if (Number(total) > 0) {
+    throw new HttpError(409, `Department is still used by ${total} disposition(s)`, { dispositions: Number(total) });
+  }
+
+  await pool.execute('DELETE FROM departments WHERE id = ?', [id]);
+  return current;
+}
+
+/**
+ * Registers the authenticated /admin/departments routes on the main app,
+ * acting on the departments of the X-Tenant tenant
+ * @param {Object} mainApp Express app
+ */
+export function setupDepartmentRoutes(mainApp) {
+  const router = express.Router();
+  router.use(requirePlatformAdmin);
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listDepartments(req.tenant, { activeOnly: req.query.active === 'true' }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      res.status(201).json(await createDepartment(req.body || {}, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const dept = await getDepartmentById(req.params.id, req.tenant);
+      if (!dept) return res.status(404).json({ error: 'Department not found' });
+      res.json(dept);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      res.json(await updateDepartment(req.params.id, req.body || {}, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await deleteDepartment(req.params.id, req.tenant);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/departments', router);
+  console.log('Department admin routes configured');
+}
@@ -0,0 +1,563 @@
+// src/dispositionConfig.js
+// Admin management of the Call Type → Disposition-1 → Disposition-2 tree.
+// Each tenant has its own tree; every function takes the tenant row.
+// ------------------------------------------------------------
+
+import express from 'express';
+import { pool, withTransaction } from './db.js';
+import { requireRole } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+import { parseCsv, toCsv } from './csv.js';
+import { assertTenantDepartment } from './departments.js';
+
+const CSV_COLUMNS = [
+  'call_type', 'disposition_1', 'disposition_2', 'department', 'is_custom_input',
+  'response_sla_hours', 'resolution_sla_hours',
+];
+
+const NODE_COLUMNS = `dc.id, dc.call_type, dc.disposition_1, dc.disposition_2, dc.department_id,
+  d.name AS department, dc.is_custom_input, dc.response_sla_hours, dc.resolution_sla_hours`;
+
+// SLA targets are business hours; empty = the SLA_*_HOURS defaults
+const SLA_FIELDS = ['response_sla_hours', 'resolution_sla_hours'];
+const MAX_SLA_HOURS = 9999;
+
+const keyOf = (row) => `${row.call_type}\u0000${row.disposition_1}\u0000${row.disposition_2}`;
+
+const toSlaHours = value => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Shape a disposition_config row (DECIMAL columns arrive as strings)
+ */
+function formatNode(row) {
+  return {
+    ...row,
+    response_sla_hours: toSlaHours(row.response_sla_hours),
+    resolution_sla_hours: toSlaHours(row.resolution_sla_hours),
+  };
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  return ['1', 'true', 'yes', 'y'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Validate and normalise a disposition node coming from the API or a CSV row.
+ * @param {Object} data
+ * @param {string} [where] Prefix for error messages (e.g. "Row 3")
+ */
+function normaliseNode(data, where = '') {
+  const prefix = where ? `${where}: ` : '';
+  const node = {
+    call_type: String(data.call_type ?? '').trim(),
+    disposition_1: String(data.disposition_1 ?? '').trim(),
+    disposition_2: String(data.disposition_2 ?? '').trim(),
+    department_id: data.department_id === undefined || data.department_id === null || data.department_id === ''
+      ? null
+      : Number(data.department_id),
+    is_custom_input: toBoolean(data.is_custom_input),
+    response_sla_hours: toSlaHours(data.response_sla_hours),
+    resolution_sla_hours: toSlaHours(data.resolution_sla_hours),
+  };
+
+  if (!node.call_type || !node.disposition_1 || !node.disposition_2) {
+    throw new HttpError(400, `${prefix}call_type, disposition_1 and disposition_2 are required`);
+  }
+  if (node.call_type.length > 50) {
+    throw new HttpError(400, `${prefix}call_type must be at most 50 characters`);
+  }
+  if (node.disposition_1.length > 100 || node.disposition_2.length > 100) {
+    throw new HttpError(400, `${prefix}disposition_1 and disposition_2 must be at most 100 characters`);
+  }
+  if (node.department_id !== null && !Number.isInteger(node.department_id)) {
+    throw new HttpError(400, `${prefix}department_id must be an integer`);
+  }
+  SLA_FIELDS.forEach((field) => {
+    const hours = node[field];
+    if (hours !== null && !(Number.isFinite(hours) && hours > 0 && hours <= MAX_SLA_HOURS)) {
+      throw new HttpError(400, `${prefix}${field} must be a number of hours between 0 and ${MAX_SLA_HOURS}`);
+    }
+  });
+  if (node.response_sla_hours !== null && node.resolution_sla_hours !== null
+    && node.response_sla_hours > node.resolution_sla_hours) {
+    throw new HttpError(400, `${prefix}response_sla_hours cannot exceed resolution_sla_hours`);
+  }
+
+  return node;
+}
+
+/**
+ * Refuse a change that would orphan existing forms_new rows unless the
+ * caller explicitly accepted it.
+ * @param {Array<{call_type, disposition_1, disposition_2, forms}>} orphans
+ * @param {boolean} allowOrphans
+ */
+function assertNoOrphans(orphans, allowOrphans) {
+  const total = orphans.reduce((sum, o) => sum + o.forms, 0);
+  if (total > 0 && !allowOrphans) {
+    throw new HttpError(
+      409,
+      `${total} existing form(s) would reference dispositions that no longer exist`,
+      { orphans, hint: 'Re-send with allowOrphans=true to apply the change anyway' }
+    );
+  }
+}
+
+/**
+ * Count a tenant's forms_new rows per disposition triple, optionally restricted to a branch.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countFormsByDisposition(conn, tenant, { call_type, disposition_1 } = {}) {
+  const where = ['tenant = ?'];
+  const params = [tenant.code];
+  if (call_type !== undefined) {
+    where.push('call_type = ?');
+    params.push(call_type);
+  }
+  if (disposition_1 !== undefined) {
+    where.push('disposition_1 = ?');
+    params.push(disposition_1);
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT call_type, disposition_1, disposition_2, COUNT(*) AS forms
+       FROM forms_new
+      WHERE ${where.join(' AND ')}
+      GROUP BY call_type, disposition_1, disposition_2`,
+    params
+  );
+
+  return new Map(rows.map(r => [keyOf(r), Number(r.forms)]));
+}
+
+function mapWriteError(err) {
+  if (err.code === 'ER_DUP_ENTRY') {
+    return new HttpError(409, 'A disposition with this call_type / disposition_1 / disposition_2 already exists');
+  }
+  if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+    return new HttpError(400, 'department_id does not reference an existing department');
+  }
+  return err;
+}
+
+/**
+ * Lists every disposition_config row of a tenant (flat, with ids)
+ * @param {Object} tenant Tenant row
+ */
+export async function listDispositionConfig(tenant) {
+  const [rows] = await pool.execute(
+    `SELECT ${NODE_COLUMNS}
+       FROM disposition_config dc
+       LEFT JOIN departments d ON d.id = dc.department_id
+      WHERE dc.tenant = ?
+      ORDER BY dc.call_type, dc.disposition_1, dc.disposition_2`,
+    [tenant.code]
+  );
+  return rows.map(formatNode);
+}
+
+/**
+ * Retrieves a single disposition_config row of a tenant by ID
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ */
+export async function getDispositionConfigById(id, tenant, conn = pool) {
+  const [rows] = await conn.execute(
+    `SELECT ${NODE_COLUMNS}
+       FROM disposition_config dc
+       LEFT JOIN departments d ON d.id = dc.department_id
+      WHERE dc.id = ? AND dc.tenant = ?`,
+    [id, tenant.code]
+  );
+  return rows.length > 0 ? formatNode(rows[0]) : null;
+}
+
+/**
+ * Creates a new leaf node in the disposition tree, routed to one of the
+ * tenant's departments
+ * @param {Object} data { call_type, disposition_1, disposition_2, department_id, is_custom_input }
+ * @param {Object} tenant Tenant row
+ */
+export async function createDisposition(data, tenant) {
+  const node = normaliseNode(data);
+  await assertTenantDepartment(node.department_id, tenant);
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO disposition_config
+         (tenant, call_type, disposition_1, disposition_2, department_id, is_custom_input,
+          response_sla_hours, resolution_sla_hours)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [tenant.code, node.call_type, node.disposition_1, node.disposition_2, node.department_id, node.is_custom_input,
+        node.response_sla_hours, node.resolution_sla_hours]
+    );
+    return getDispositionConfigById(result.insertId, tenant);
+  } catch (err) {
+    throw mapWriteError(err);
+  }
+}
+
+/**
+ * Updates a leaf node: rename any level, re-route (department_id), toggle
+ * is_custom_input or change its SLA targets.
+ * @param {number} id
+ * @param {Object} changes Partial node fields
+ * @param {Object} tenant Tenant row
+ * @param {Object} [options] { allowOrphans }
+ */
+export async function updateDisposition(id, changes, tenant, { allowOrphans = false } = {}) {
+  return withTransaction(async (conn) => {
+    const current = await getDispositionConfigById(id, tenant, conn);
+    if (!current) throw new HttpError(404, 'Disposition not found');
+
+    const next = normaliseNode({ ...current, ...changes });
+    await assertTenantDepartment(next.department_id, tenant, conn);
+
+    if (keyOf(next) !== keyOf(current)) {
+      const counts = await countFormsByDisposition(conn, tenant, current);
+      const forms = counts.get(keyOf(current)) || 0;
+      assertNoOrphans(
+        forms ? [{ call_type: current.call_type, disposition_1: current.disposition_1, disposition_2: current.disposition_2, forms }] : [],
+        allowOrphans
+      );
+    }
+
+    try {
+      await conn.execute(
+        `UPDATE disposition_config
+            SET call_type = ?, disposition_1 = ?, disposition_2 = ?, department_id = ?, is_custom_input = ?,
+                response_sla_hours = ?, resolution_sla_hours = ?
+          WHERE id = ?`,
+        [next.call_type, next.disposition_1, next.disposition_2, next.department_id, next.is_custom_input,
+          next.response_sla_hours, next.resolution_sla_hours, id]
+      );
+    } catch (err) {
+      throw mapWriteError(err);
+    }
+
+    return getDispositionConfigById(id, tenant, conn);
+  });
+}
+
+/**
+ * Renames a whole branch of the tree (every row under a call type or a
+ * call type + disposition_1 pair).
+ * @param {Object} branch { level: 'call_type'|'disposition_1', call_type, disposition_1, new_name }
+ * @param {Object} tenant Tenant row
+ * @param {Object} [options] { allowOrphans }
+ * @returns {Promise<{renamed: number}>}
+ */
+export async function renameDispositionBranch(branch, tenant, { allowOrphans = false } = {}) {
+  const level = branch.level;
+  const newName = String(branch.new_name ?? '').trim();
+
+  if (!['call_type', 'disposition_1'].includes(level)) {
+    throw new HttpError(400, 'level must be "call_type" or "disposition_1" (rename leaves via PATCH /admin/dispositions/:id)');
+  }
+  if (!branch.call_type || (level === 'disposition_1' && !branch.disposition_1)) {
+    throw new HttpError(400, level === 'call_type' ? 'call_type is required' : 'call_type and disposition_1 are required');
+  }
+  if (!newName) throw new HttpError(400, 'new_name is required');
+  if (newName.length > (level === 'call_type' ? 50 : 100)) {
+    throw new HttpError(400, `new_name is too long for ${level}`);
+  }
+
+  const filter = level === 'call_type'
+    ? { call_type: branch.call_type }
+    : { call_type: branch.call_type, disposition_1: branch.disposition_1 };
+
+  return withTransaction(async (conn) => {
+    const where = ['tenant = ?', ...Object.keys(filter).map(col => `${col} = ?`)].join(' AND ');
+    const whereParams = [tenant.code, ...Object.values(filter)];
+    const [rows] = await conn.execute(
+      `SELECT call_type, disposition_1, disposition_2 FROM disposition_config WHERE ${where}`,
+      whereParams
+    );
+    if (rows.length === 0) throw new HttpError(404, 'Disposition branch not found');
+
+    const counts = await countFormsByDisposition(conn, tenant, filter);
+    const orphans = rows
+      .map(r => ({ ...r, forms: counts.get(keyOf(r)) || 0 }))
+      .filter(r => r.forms > 0);
+    assertNoOrphans(orphans, allowOrphans);
+
+    try {
+      const [result] = await conn.execute(
+        `UPDATE disposition_config SET ${level} = ? WHERE ${where}`,
+        [newName, ...whereParams]
+      );
+      return { renamed: result.affectedRows };
+    } catch (err) {
+      throw mapWriteError(err);
+    }
+  });
+}
+
+/**
+ * Deletes a leaf node from the tree
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ * @param {Object} [options] { allowOrphans }
+ */
+export async function deleteDisposition(id, tenant, { allowOrphans = false } = {}) {
+  return withTransaction(async (conn) => {
+    const current = await getDispositionConfigById(id, tenant, conn);
+    if (!current) throw new HttpError(404, 'Disposition not found');
+
+    const counts = await countFormsByDisposition(conn, tenant, current);
+    const forms = counts.get(keyOf(current)) || 0;
+    assertNoOrphans(
+      forms ? [{ call_type: current.call_type, disposition_1: current.disposition_1, disposition_2: current.disposition_2, forms }] : [],
+      allowOrphans
+    );
+
+    await conn.execute('DELETE FROM disposition_config WHERE id = ?', [id]);
+    return current;
+  });
+}
+
+/**
+ * Exports a tenant's disposition tree as CSV
+ * @param {Object} tenant Tenant row
+ * @returns {Promise<string>}
+ */
+export async function exportDispositionCsv(tenant) {
+  const rows = await listDispositionConfig(tenant);
+  return toCsv(
+    rows.map(r => ({ ...r, is_custom_input: r.is_custom_input ? 'true' : 'false' })),
+    CSV_COLUMNS
+  );
+}
+
+/**
+ * Bulk import of the disposition tree from CSV.
+ *
+ * mode "merge" (default) inserts new rows and updates existing ones;
+ * mode "replace" additionally deletes rows missing from the file.
+ * With dryRun the diff is computed and returned without touching the table.
+ *
+ * @param {string} csvText
+ * @param {Object} tenant Tenant row whose tree is imported
+ * @param {Object} [options] { mode, dryRun, allowOrphans }
+ * @returns {Promise<Object>} diff { added, updated, removed, unchanged, orphans, applied }
+ */
+export async function importDispositionCsv(csvText, tenant, { mode = 'merge', dryRun = false, allowOrphans = false } = {}) {
+  if (!['merge', 'replace'].includes(mode)) {
+    throw new HttpError(400, 'mode must be "merge" or "replace"');
+  }
+  if (typeof csvText !== 'string' || csvText.trim() === '') {
+    throw new HttpError(400, 'CSV body is empty');
+  }
+
+  let records;
+  try {
+    records = parseCsv(csvText);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+
+  const missing = ['call_type', 'disposition_1', 'disposition_2'].filter(col => records.length && !(col in records[0]));
+  if (missing.length) {
+    throw new HttpError(400, `CSV is missing required column(s): ${missing.join(', ')}`);
+  }
+
+  return withTransaction(async (conn) => {
+    const [departments] = await conn.execute('SELECT id, name FROM departments WHERE tenant = ?', [tenant.code]);
+    const departmentIds = new Map(departments.map(d => [d.name, d.id]));
+
+    const incoming = new Map();
+    records.forEach((record, idx) => {
+      // +2: header is line 1 and rows are 1-based
+      const where = `Row ${idx + 2}`;
+      const departmentName = String(record.department ?? '').trim();
+      if (departmentName && !departmentIds.has(departmentName)) {
+        throw new HttpError(400, `${where}: unknown department "${departmentName}"`);
+      }
+
+      const node = normaliseNode({ ...record, department_id: departmentIds.get(departmentName) ?? null }, where);
+      node.department = departmentName || null;
+      const key = keyOf(node);
+      if (incoming.has(key)) {
+        throw new HttpError(400, `${where}: duplicate disposition ${node.call_type} / ${node.disposition_1} / ${node.disposition_2}`);
+      }
+      incoming.set(key, node);
+    });
+
+    const [existingRows] = await conn.execute(
+      `SELECT ${NODE_COLUMNS}
+         FROM disposition_config dc
+         LEFT JOIN departments d ON d.id = dc.department_id
+        WHERE dc.tenant = ?`,
+      [tenant.code]
+    );
+    const existing = new Map(existingRows.map(r => [keyOf(r), { ...formatNode(r), is_custom_input: Boolean(r.is_custom_input) }]));
+
+    const added = [];
+    const updated = [];
+    const unchanged = [];
+    const removed = [];
+
+    incoming.forEach((node, key) => {
+      const current = existing.get(key);
+      if (!current) {
+        added.push(node);
+      } else if (current.department_id !== node.department_id || current.is_custom_input !== node.is_custom_input
+        || SLA_FIELDS.some(field => current[field] !== node[field])) {
+        updated.push({ id: current.id, before: current, after: node });
+      } else {
+        unchanged.push(node);
+      }
+    });
+
+    if (mode === 'replace') {
+      existing.forEach((row, key) => {
+        if (!incoming.has(key)) removed.push(row);
+      });
+    }
+
+    let orphans = [];
+    if (removed.length) {
+      const counts = await countFormsByDisposition(conn, tenant);
+      orphans = removed
+        .map(r => ({ call_type: r.call_type, disposition_1: r.disposition_1, disposition_2: r.disposition_2, forms: counts.get(keyOf(r)) || 0 }))
+        .filter(r => r.forms > 0);
+    }
+
+    const diff = { mode, added, updated, removed, unchanged: unchanged.length, orphans, applied: false };
+    if (dryRun) return diff;
+
+    assertNoOrphans(orphans, allowOrphans);
+
+    for (const node of added) {
+      await conn.execute(
+        `INSERT INTO disposition_config
+           (tenant, call_type, disposition_1, disposition_2, department_id, is_custom_input,
+            response_sla_hours, resolution_sla_hours)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [tenant.code, node.call_type, node.disposition_1, node.disposition_2, node.department_id, node.is_custom_input,
+          node.response_sla_hours, node.resolution_sla_hours]
+      );
+    }
+    for (const { id, after } of updated) {
+      await conn.execute(
+        `UPDATE disposition_config
+            SET department_id = ?, is_custom_input = ?, response_sla_hours = ?, resolution_sla_hours = ?
+          WHERE id = ?`,
+        [after.department_id, after.is_custom_input, after.response_sla_hours, after.resolution_sla_hours, id]
+      );
+    }
+    for (const row of removed) {
+      await conn.execute('DELETE FROM disposition_config WHERE id = ?', [row.id]);
+    }
+
+    diff.applied = true;
+    return diff;
+  });
+}
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Registers the authenticated /admin/dispositions routes on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupDispositionAdminRoutes(mainApp) {
+  const router = express.Router();
+  router.use(requireRole('admin'));
+
+  // Flat list of all nodes
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listDispositionConfig(req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // CSV export
+  router.get('/export', async (req, res) => {
+    try {
+      const csv = await exportDispositionCsv(req.tenant);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="disposition_config_${req.tenant.code}.csv"`);
+      res.send(csv);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // CSV import – raw text/csv body or JSON { csv }
+  router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+    try {
+      const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+      const diff = await importDispositionCsv(csvText, req.tenant, {
+        mode: req.query.mode || req.body?.mode,
+        dryRun: isTrue(req.query.dryRun) || isTrue(req.body?.dryRun),
+        allowOrphans: isTrue(req.query.allowOrphans) || isTrue(req.body?.allowOrphans),
+      });
+      res.json(diff);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Rename a call type or disposition_1 branch
+  router.post('/rename', async (req, res) => {
+    try {
+      const result = await renameDispositionBranch(req.body || {}, req.tenant, {
+        allowOrphans: isTrue(req.query.allowOrphans) || isTrue(req.body?.allowOrphans),
+      });
+      res.json(result);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Create a leaf node
+  router.post('/', async (req, res) => {
+    try {
+      const node = await createDisposition(req.body || {}, req.tenant);
+      res.status(201).json(node);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Get a single node
+  router.get('/:id', async (req, res) => {
+    try {
+      const node = await getDispositionConfigById(req.params.id, req.tenant);
+      if (!node) return res.status(404).json({ error: 'Disposition not found' });
+      res.json(node);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Rename / re-route / toggle custom input on a leaf node
+  router.patch('/:id', async (req, res) => {
+    try {
+      const { allowOrphans, ...changes } = req.body || {};
+      const node = await updateDisposition(req.params.id, changes, req.tenant, {
+        allowOrphans: isTrue(req.query.allowOrphans) || isTrue(allowOrphans),
+      });
+      res.json(node);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Delete a leaf node
+  router.delete('/:id', async (req, res) => {
+    try {
+      await deleteDisposition(req.params.id, req.tenant, { allowOrphans: isTrue(req.query.allowOrphans) });
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/dispositions', router);
+  console.log('Disposition admin routes configured');
+}
@@ -0,0 +1,457 @@
+// src/emailTemplates.js
+// Notification email templates: per disposition / department with a
+// default fallback, auto-escaped {{variables}} and generated plaintext.
+// Each tenant has its own templates.
+// ------------------------------------------------------------
+
+import express from 'express';
+import { pool, getFormById, getDispositionEmail } from './form.js';
+import { requirePlatformAdmin } from './auth.js';
+import { assertTenantDepartment } from './departments.js';
+import { HttpError, sendError } from './httpError.js';
+
+const TEMPLATE_SCOPES = ['default', 'department', 'disposition'];
+
+// Variables a template may reference
+export const TEMPLATE_VARIABLES = [
+  'form_id', 'department', 'company', 'name', 'email', 'contact_number',
+  'call_type', 'disposition_1', 'disposition_2', 'query',
+  'queue_id', 'queue_name', 'agent_id', 'agent_ext', 'caller_id_name', 'caller_id_number',
+  'created_at', 'ticket_reference', 'acknowledge_url', 'resolve_url',
+];
+
+// Built-in template used when no stored template matches
+export const DEFAULT_TEMPLATE = {
+  id: null,
+  name: 'Built-in default',
+  scope: 'default',
+  subject: 'Call Notification{{#ticket_reference}} [{{ticket_reference}}]{{/ticket_reference}}',
+  html: `
+      <p>Hi, Good Day!</p>
+      <p>We received a call with the following details. Kindly take the necessary action:</p>
+      <br/>
+      <p><strong>Ticket raised for: </strong>{{department}}</p>
+      {{#ticket_reference}}<p><strong>Reference:</strong> {{ticket_reference}}</p>{{/ticket_reference}}
+      <p><strong>Company:</strong> {{company}}</p>
+      <p><strong>Client/Caller Name:</strong> {{name}}</p>
+      <p><strong>Email:</strong> {{email}}</p>
+      <p><strong>Contact:</strong> {{contact_number}}</p>
+      <p><strong>Call Type:</strong> {{call_type}}</p>
+      <p><strong>Disposition 1:</strong> {{disposition_1}}</p>
+      <p><strong>Disposition 2:</strong> {{disposition_2}}</p>
+      {{#query}}<p><strong>Query/Details:</strong> {{query}}</p>{{/query}}
+      {{#acknowledge_url}}<p><a href="{{acknowledge_url}}">Acknowledge</a> | <a href="{{resolve_url}}">Mark as resolved</a></p>{{/acknowledge_url}}
+      <br/>
+      <p>Thank you, and have a great day!</p>
+    `,
+  text: null,
+};
+
+const SECTION_RE = /\{\{\s*([#^])\s*([a-zA-Z0-9_]+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/g;
+const VARIABLE_RE = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Render a template string. `{{var}}` is replaced by the (escaped) value,
+ * `{{#var}}…{{/var}}` is kept only when var is non-empty and
+ * `{{^var}}…{{/var}}` only when it is empty.
+ *
+ * @param {string} source
+ * @param {Object} vars
+ * @param {Function} [escape] Escaping applied to every value
+ * @returns {string}
+ */
+export function renderString(source, vars, escape = escapeHtml) {
+  if (!source) return '';
+
+  let out = source;
+  let previous;
+  // Resolve (possibly nested) sections from the inside out
+  do {
+    previous = out;
+    out = out.replace(SECTION_RE, (_m, type, key, body) => {
+      const present = vars[key] !== undefined && vars[key] !== null && String(vars[key]).trim() !== '';
+      return (type === '#' ? present : !present) ? body : '';
+    });
+  } while (out !== previous);
+
+  return out.replace(VARIABLE_RE, (_m, key) => escape(vars[key]));
+}
+
+/**
+ * Derive a plaintext alternative from rendered HTML
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    // source layout whitespace is not significant in HTML
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Variable names referenced by a template source (sections included)
+ */
+function referencedVariables(source) {
+  const names = new Set();
+  for (const re of [VARIABLE_RE, SECTION_RE]) {
+    for (const match of String(source || '').matchAll(re)) {
+      names.add(re === VARIABLE_RE ? match[1] : match[2]);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Build the variable map for a form row + routing information
+ * @param {Object} form forms_new row (or submission payload)
+ * @param {Object} routing Result of getDispositionEmail
+ * @param {Object} [ticket] { reference, acknowledge_url, resolve_url } of the routed form
+ */
+export function buildTemplateVars(form, routing, ticket = null) {
+  const vars = {};
+  TEMPLATE_VARIABLES.forEach(key => {
+    vars[key] = form[key] ?? '';
+  });
+  vars.form_id = form.id ?? form.form_id ?? '';
+  vars.department = routing?.departmentName || '';
+  vars.created_at = form.created_at instanceof Date ? form.created_at.toISOString() : (form.created_at || '');
+  vars.ticket_reference = ticket?.reference || '';
+  vars.acknowledge_url = ticket?.acknowledge_url || '';
+  vars.resolve_url = ticket?.resolve_url || '';
+  return vars;
+}
+
+/**
+ * Render a template against variables
+ * @param {Object} template { subject, html, text }
+ * @param {Object} vars
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderTemplate(template, vars) {
+  const html = renderString(template.html, vars);
+  // Subjects are plain header text: no HTML escaping, but never allow line breaks
+  const subject = renderString(template.subject, vars, v => String(v ?? ''))
+    .replace(/[\r\n]+/g, ' ')
+    .trim()
+    .slice(0, 255);
+  const text = template.text
+    ? renderString(template.text, vars, v => String(v ?? ''))
+    : htmlToText(html);
+
+  return { subject: subject || 'Call Notification', html, text };
+}
+
+/**
+ * Pick the tenant's most specific active template for a disposition:
+ * disposition (exact Disposition-2 first) → department → default → built-in.
+ *
+ * @param {Object} disposition { call_type, disposition_1, disposition_2 }
+ * @param {number|null} departmentId
+ * @param {Object} tenant Tenant row
+ */
+export async function resolveTemplate({ call_type, disposition_1, disposition_2 }, departmentId, tenant) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM email_templates
+      WHERE tenant = ? AND is_active = TRUE
+        AND (
+          (scope = 'disposition' AND call_type = ? AND disposition_1 = ?
+             AND (disposition_2 = ? OR disposition_2 IS NULL))
+          OR (scope = 'department' AND department_id = ?)
+          OR scope = 'default'
+        )
+      ORDER BY CASE scope WHEN 'disposition' THEN 1 WHEN 'department' THEN 2 ELSE 3 END,
+               disposition_2 IS NULL,
+               updated_at DESC
+      LIMIT 1`,
+    [tenant.code, call_type || '', disposition_1 || '', disposition_2 || '', departmentId ?? null]
+  );
+  return rows[0] || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Render the notification for a form
+ * @param {Object} form forms_new row or submission payload (with id when known)
+ * @param {Object} routing Result of getDispositionEmail
+ * @param {Object} template Result of resolveTemplate
+ * @param {Object} [ticket] Ticket reference and action links
+ */
+export async function renderNotificationEmail(form, routing, template, ticket = null) {
+  return renderTemplate(template, buildTemplateVars(form, routing, ticket));
+}
+
+function normaliseTemplate(data) {
+  const tpl = {
+    name: String(data.name ?? '').trim(),
+    scope: data.scope || 'default',
+    department_id: data.department_id ?? null,
+    call_type: data.call_type || null,
+    disposition_1: data.disposition_1 || null,
+    disposition_2: data.disposition_2 || null,
+    subject: String(data.subject ?? '').trim(),
+    html: String(data.html ?? ''),
+    text: data.text ? String(data.text) : null,
+    is_active: data.is_active === undefined ? true : [true, 1, '1', 'true'].includes(data.is_active),
+  };
+
+  if (!tpl.name) throw new HttpError(400, 'name is required');
+  if (!TEMPLATE_SCOPES.includes(tpl.scope)) {
+    throw new HttpError(400, `scope must be one of: ${TEMPLATE_SCOPES.join(', ')}`);
+  }
+  if (!tpl.subject) throw new HttpError(400, 'subject is required');
+  if (tpl.subject.length > 255) throw new HttpError(400, 'subject must be at most 255 characters');
+  if (!tpl.html.trim()) throw new HttpError(400, 'html is required');
+
+  if (tpl.scope === 'department' && !tpl.department_id) {
+    throw new HttpError(400, 'department_id is required for department templates');
+  }
+  if (tpl.scope === 'disposition' && (!tpl.call_type || !tpl.disposition_1)) {
+    throw new HttpError(400, 'call_type and disposition_1 are required for disposition templates');
+  }
+  if (tpl.scope !== 'department') tpl.department_id = null;
+  if (tpl.scope !== 'disposition') {
+    tpl.call_type = null;
+    tpl.disposition_1 = null;
+    tpl.disposition_2 = null;
+  }
+
+  const unknown = referencedVariables(`${tpl.subject}${tpl.html}${tpl.text || ''}`)
+    .filter(v => !TEMPLATE_VARIABLES.includes(v));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown template variable(s): ${unknown.join(', ')}`, { allowed: TEMPLATE_VARIABLES });
+  }
+
+  return tpl;
+}
+
+/**
+ * Lists the stored templates of a tenant
+ * @param {Object} tenant Tenant row
+ */
+export async function listTemplates(tenant) {
+  const [rows] = await pool.execute(
+    `SELECT * FROM email_templates
+      WHERE tenant = ?
+      ORDER BY CASE scope WHEN 'default' THEN 0 WHEN 'department' THEN 1 ELSE 2 END, name`,
+    [tenant.code]
+  );
+  return rows;
+}
+
+/**
+ * Retrieves a stored template of a tenant by ID
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ */
+export async function getTemplateById(id, tenant) {
+  const [rows] = await pool.execute('SELECT * FROM email_templates WHERE id = ? AND tenant = ?', [id, tenant.code]);
+  return rows[0] || null;
+}
+
+/**
+ * Creates a template of a tenant; department templates must be for one
+ * of the tenant's departments
+ * @param {Object} data
+ * @param {Object} tenant Tenant row
+ */
+export async function createTemplate(data, tenant) {
+  const t = normaliseTemplate(data);
+  await assertTenantDepartment(t.department_id, tenant);
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO email_templates
+         (tenant, name, scope, department_id, call_type, disposition_1, disposition_2, subject, html, text, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [tenant.code, t.name, t.scope, t.department_id, t.call_type, t.disposition_1, t.disposition_2, t.subject, t.html, t.text, t.is_active]
+    );
+    return getTemplateById(result.insertId, tenant);
+  } catch (err) {
+    if (err.code === 'ER_NO_REFERENCED_ROW_2') throw new HttpError(400, 'department_id does not reference an existing department');
+    throw err;
+  }
+}
+
+/**
+ * Updates a template (partial updates merged onto the stored row)
+ * @param {number} id
+ * @param {Object} changes
+ * @param {Object} tenant Tenant row
+ */
+export async function updateTemplate(id, changes, tenant) {
+  const current = await getTemplateById(id, tenant);
+  if (!current) throw new HttpError(404, 'Template not found');
+
+  const t = normaliseTemplate({ ...current, ...changes });
+  await assertTenantDepartment(t.department_id, tenant);
+  try {
+    await pool.execute(
+      `UPDATE email_templates
+          SET name = ?, scope = ?, department_id = ?, call_type = ?, disposition_1 = ?, disposition_2 = ?,
+              subject = ?, html = ?, text = ?, is_active = ?
+        WHERE id = ? AND tenant = ?`,
+      [t.name, t.scope, t.department_id, t.call_type, t.disposition_1, t.disposition_2, t.subject, t.html, t.text, t.is_active, id, tenant.code]
+    );
+  } catch (err) {
+    if (err.code === 'ER_NO_REFERENCED_ROW_2') throw new HttpError(400, 'department_id does not reference an existing department');
+    throw err;
+  }
+  return getTemplateById(id, tenant);
+}
+
+/**
+ * Deletes a template
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ */
+export async function deleteTemplate(id, tenant) {
+  const [result] = await pool.execute('DELETE FROM email_templates WHERE id = ? AND tenant = ?', [id, tenant.code]);
+  if (result.affectedRows === 0) throw new HttpError(404, 'Template not found');
+}
+
+/**
+ * Renders a template against a stored form.
+ * Without a template the one that would be picked for the form is used.
+ *
+ * @param {number} formId
+ * @param {Object|number|null} template Stored template id, or an unsaved { subject, html, text }
+ * @param {Object} tenant Tenant row of the form
+ */
+export async function previewTemplate(formId, template, tenant) {
+  const form = await getFormById(formId, tenant);
+  if (!form) throw new HttpError(404, 'Form not found');
+
+  const routing = await getDispositionEmail(form.call_type, form.disposition_1, form.disposition_2, tenant);
+
+  let tpl;
+  if (template && typeof template === 'object') {
+    tpl = normaliseTemplate({ name: 'Preview', ...template });
+  } else if (template) {
+    tpl = await getTemplateById(template, tenant);
+    if (!tpl) throw new HttpError(404, 'Template not found');
+  } else {
+    tpl = await resolveTemplate(form, routing.departmentId, tenant);
+  }
+
+  return {
+    template: { id: tpl.id ?? null, name: tpl.name, scope: tpl.scope },
+    to: routing.to,
+    cc: routing.cc,
+    bcc: routing.bcc,
+    ...renderTemplate(tpl, buildTemplateVars(form, routing)),
+  };
+}
+
+/**
+ * Registers the authenticated /admin/email-templates routes on the main app,
+ * acting on the templates of the X-Tenant tenant
+ * @param {Object} mainApp Express app
+ */
+export function setupTemplateRoutes(mainApp) {
+  const router = express.Router();
+  router.use(requirePlatformAdmin);
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listTemplates(req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/variables', (_req, res) => {
+    res.json(TEMPLATE_VARIABLES);
+  });
+
+  // Preview: ?formId=…[&templateId=…], or POST an unsaved template body
+  router.get('/preview', async (req, res) => {
+    try {
+      if (!req.query.formId) throw new HttpError(400, 'formId is required');
+      res.json(await previewTemplate(req.query.formId, req.query.templateId || null, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/preview', async (req, res) => {
+    try {
+      const { formId, ...template } = req.body || {};
+      if (!formId) throw new HttpError(400, 'formId is required');
+      res.json(await previewTemplate(formId, template.html ? template : null, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      res.status(201).json(await createTemplate(req.body || {}, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const tpl = await getTemplateById(req.params.id, req.tenant);
+      if (!tpl) return res.status(404).json({ error: 'Template not found' });
+      res.json(tpl);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/:id/preview', async (req, res) => {
+    try {
+      if (!req.query.formId) throw new HttpError(400, 'formId is required');
+      res.json(await previewTemplate(req.query.formId, req.params.id, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      res.json(await updateTemplate(req.params.id, req.body || {}, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await deleteTemplate(req.params.id, req.tenant);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/email-templates', router);
+  console.log('Email template routes configured');
+}
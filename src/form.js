@@ -1,95 +1,73 @@
 // src/form.js
 
-import mysql from 'mysql2/promise';
-import nodemailer from 'nodemailer';
-import dotenv from 'dotenv';
 import { setupWebhookRoutes } from './webhook.js';
+import { setupDispositionAdminRoutes } from './dispositionConfig.js';
+import { setupDepartmentRoutes, formatDepartment } from './departments.js';
+import { enqueueEmail, startOutboxWorker, setupOutboxRoutes } from './mailOutbox.js';
+import { resolveTemplate, renderNotificationEmail, setupTemplateRoutes } from './emailTemplates.js';
+import { buildFormFilters, parseSort, parsePagination } from './formQuery.js';
+import { streamFormsExport } from './formExport.js';
+import { setupReportRoutes } from './reports.js';
+import { diffFields, recordHistory, resolveActor, getFormHistory } from './formHistory.js';
+import { requireRole, canAccessForm, buildCorsOptions } from './auth.js';
+import { senderFor, setupTenantRoutes } from './tenants.js';
+import { setupApiClientRoutes } from './apiClients.js';
+import { setupCallerRoutes } from './callerHistory.js';
+import { pool, withTransaction, dialect } from './db.js';
+import { ensureMigrated } from './migrate.js';
+import { buildSubmissionPayload, enqueueDeliveries, startDeliveryWorker, setupDeliveryRoutes } from './outboundDelivery.js';
+import { captureRawBody } from './webhookAuth.js';
+import { formatDisposition, queueDispositionSync, syncDispositionNow, startDispositionSyncWorker, setupVoiceMeetMeSyncRoutes } from './voicemeetmeSync.js';
+import { statusAfterSave, startDraftSweeper } from './formDrafts.js';
+import { publishFormEvent, startLiveFeed, setupLiveFeedRoutes } from './liveFeed.js';
+import { ensureTicket, ticketActionLinks, setupTicketRoutes } from './tickets.js';
+import { slaDueDates, startSlaScheduler } from './sla.js';
+import { startDigestScheduler, setupDigestRoutes } from './departmentDigests.js';
+import { HttpError, sendError } from './httpError.js';
+import { config, assertValidConfig } from './config.js';
+import { createMailTransport, verifyMailTransport } from './mailTransport.js';
+import { assertValidForm } from './formValidation.js';
+import { normalizePhone, callerMatch } from './phone.js';
 import express from 'express';
 import cors from 'cors';
 
-dotenv.config();
-
 // 1. Database -------------------------------------------------------
-export const pool = mysql.createPool({
-  host: process.env.MYSQL_HOST || 'localhost',
-  user: process.env.MYSQL_USER || 'root',
-  password: process.env.MYSQL_PASSWORD || '',
-  database: process.env.MYSQL_DB || 'shams_new_form',
-  port: process.env.MYSQL_PORT || 3306,
-  waitForConnections: true,
-  connectionLimit: 10,
-});
-
+// MySQL or PostgreSQL depending on DB_CLIENT; the pool lives in db.js so
+// command-line scripts can use it without starting this server.
+export { pool, withTransaction };
 
 // 2. Mail transport -------------------------------------------------
-// Primary configuration for Office365
-const transporter = nodemailer.createTransport({
-  host: 'smtp.office365.com',
-  port: 587,
-  secure: false, // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER || 'no-reply@shams.ae',
-    pass: process.env.EMAIL_PASSWORD || 'rcjsbkpkrwgvvqsx',
-  },
-  tls: {
-    ciphers: 'SSLv3',
-    rejectUnauthorized: false
-  },
-  debug: true, // Enable debug output
-  logger: true // Log to console
-});
-
-// Alternative Gmail configuration (uncomment if Office365 fails)
-// const transporter = nodemailer.createTransport({
-//   service: 'gmail',
-//   auth: {
-//     user: 'your-gmail@gmail.com',
-//     pass: 'your-app-password', // Gmail app password
-//   },
-// });
-
-// Test SMTP connection
-transporter.verify((error, success) => {
-  if (error) {
-    console.log("❌ SMTP Error:", error.message);
-    console.log("\n📧 SMTP Configuration:");
-    console.log("- Host: smtp.office365.com");
-    console.log("- Port: 587");
-    console.log("- User:", process.env.EMAIL_USER || 'noreply-multycomm@spcfz.ae');
-    console.log("- Password length:", (process.env.EMAIL_PASSWORD || 'wwsbfysyndyqqgmt').length);
-    console.log("\n🔧 Troubleshooting suggestions:");
-    console.log("1. Verify the email account exists and is active");
-    console.log("2. Check if 2FA is enabled - you may need an app password");
-    console.log("3. Ensure SMTP is enabled for this account");
-    console.log("4. Try using the account's full credentials");
-    console.log("5. Contact IT admin to verify account permissions");
-  } else {
-    console.log("✅ SMTP connection successful!");
-  }
-});
+// SMTP, sendmail or the file transport depending on MAIL_TRANSPORT
+// (see mailTransport.js); settings are validated by config.js.
+const transporter = createMailTransport();
 
 /**
  * Get disposition hierarchy for cascading dropdowns
+ * @param {Object} tenant Tenant row
  */
-export async function getDispositionHierarchy() {
+export async function getDispositionHierarchy(tenant) {
   const sql = `
     SELECT DISTINCT 
-      call_type,
-      disposition_1,
-      disposition_2,
-      email_address,
-      is_custom_input
-    FROM disposition_config
-    ORDER BY call_type, disposition_1, disposition_2
+      dc.call_type,
+      dc.disposition_1,
+      dc.disposition_2,
+      dc.is_custom_input,
+      d.name AS department,
+      d.recipients
+    FROM disposition_config dc
+    LEFT JOIN departments d ON d.id = dc.department_id AND d.is_active = TRUE
+    WHERE dc.tenant = ?
+    ORDER BY dc.call_type, dc.disposition_1, dc.disposition_2
   `;
   
-  const [rows] = await pool.execute(sql);
+  const [rows] = await pool.execute(sql, [tenant.code]);
   
   // Structure data for frontend cascading dropdowns
   const hierarchy = {};
   
   rows.forEach(row => {
-    const { call_type, disposition_1, disposition_2, email_address, is_custom_input } = row;
+    const { call_type, disposition_1, disposition_2, is_custom_input, department } = row;
+    const { recipients } = formatDepartment(row);
     
     if (!hierarchy[call_type]) {
       hierarchy[call_type] = {};
@@ -101,7 +79,8 @@ export async function getDispositionHierarchy() {
     
     hierarchy[call_type][disposition_1].push({
       value: disposition_2,
-      email: email_address,
+      email: recipients.join(', '),
+      department: department || null,
       isCustomInput: is_custom_input
     });
   });
@@ -110,48 +89,93 @@ export async function getDispositionHierarchy() {
 }
 
 /**
- * Get email address for a specific disposition combination
+ * Get the routing (department + recipients) for a specific disposition combination.
+ * `email` is the comma-joined primary recipient list; it is empty when the
+ * disposition is not routed to any department (e.g. custom "Others" input).
+ * Dispositions missing from the tenant's tree go to its fallback_email.
+ * `sla` holds the disposition's SLA targets in business hours (null = the
+ * SLA_*_HOURS defaults, see sla.js).
+ * @param {Object} tenant Tenant row
  */
-export async function getDispositionEmail(callType, disposition1, disposition2) {
+export async function getDispositionEmail(callType, disposition1, disposition2, tenant) {
   const sql = `
-    SELECT email_address, is_custom_input 
-    FROM disposition_config 
-    WHERE call_type = ? AND disposition_1 = ? AND disposition_2 = ?
+    SELECT dc.is_custom_input, dc.response_sla_hours, dc.resolution_sla_hours, d.id, d.name, d.recipients, d.cc, d.bcc, d.escalation_email, d.is_active
+    FROM disposition_config dc
+    LEFT JOIN departments d ON d.id = dc.department_id
+    WHERE dc.tenant = ? AND dc.call_type = ? AND dc.disposition_1 = ? AND dc.disposition_2 = ?
   `;
   
-  const [rows] = await pool.execute(sql, [callType, disposition1, disposition2]);
+  const [rows] = await pool.execute(sql, [tenant.code, callType, disposition1, disposition2]);
   
+  const fallbackEmail = tenant.fallback_email || '';
+  const fallback = {
+    email: fallbackEmail,
+    to: fallbackEmail ? [fallbackEmail] : [],
+    cc: [],
+    bcc: [],
+    escalationEmail: null,
+    departmentId: null,
+    departmentName: 'Support Team',
+  };
+
   if (rows.length === 0) {
-    return { email: 'info@spcfz.ae', isCustomInput: false }; // fallback email
+    return { ...fallback, isCustomInput: false, sla: { responseHours: null, resolutionHours: null } };
+  }
+
+  const isCustomInput = rows[0].is_custom_input;
+  const hoursOrNull = value => (value === null || value === undefined ? null : Number(value));
+  const sla = {
+    responseHours: hoursOrNull(rows[0].response_sla_hours),
+    resolutionHours: hoursOrNull(rows[0].resolution_sla_hours),
+  };
+
+  if (rows[0].id === null) {
+    return { email: '', to: [], cc: [], bcc: [], escalationEmail: null, departmentId: null, departmentName: 'Support Team', isCustomInput, sla };
+  }
+
+  const department = formatDepartment(rows[0]);
+  if (!department.is_active) {
+    return { ...fallback, isCustomInput, sla };
   }
   
   return {
-    email: rows[0].email_address,
-    isCustomInput: rows[0].is_custom_input
+    email: department.recipients.join(', '),
+    to: department.recipients,
+    cc: department.cc,
+    bcc: department.bcc,
+    escalationEmail: department.escalation_email,
+    departmentId: department.id,
+    departmentName: department.name,
+    isCustomInput,
+    sla
   };
 }
 
 /**
- * Get department name based on email address
+ * Get department name based on email address (looked up among the
+ * departments the tenant's dispositions route to)
+ * @param {Object} tenant Tenant row
  */
-export async function getDepartmentByEmail(emailAddress) {
-  const departmentMap = {
-    'businesscenetersupport@shamsfz.ae': 'Business Center Support Team',
-    // 'cx@spcfz.ae': 'Customer Experience Team',
-    // 'cp.support@spcfz.ae': 'Customer Support Team', 
-    // 'services@spcfz.ae': 'Services Team',
-    // 'accounts@spcfz.ae': 'Accounts Team',
-    // 'info@spcfz.ae': 'General Support Team'
-  };
+export async function getDepartmentByEmail(emailAddress, tenant) {
+  const [rows] = await pool.execute(
+    `SELECT name FROM departments
+      WHERE ${dialect.jsonArrayContains('recipients')}
+        AND id IN (SELECT department_id FROM disposition_config WHERE tenant = ?)
+      ORDER BY is_active DESC, id
+      LIMIT 1`,
+    [emailAddress || '', tenant.code]
+  );
   
-  return departmentMap[emailAddress] || 'Support Team';
+  return rows.length > 0 ? rows[0].name : 'Support Team';
 }
 
 /**
  * Inserts a new form submission & triggers notification email.
  * @param {Object} data Form submission data
+ * @param {Object} tenant Tenant row the form belongs to
+ * @param {Object} [context] Audit context { actor, source }
  */
-export async function handleFormSubmission(data) {
+export async function handleFormSubmission(data, tenant, context = {}) {
   const {
     company,
     name,
@@ -169,156 +193,92 @@ export async function handleFormSubmission(data) {
     caller_id_number,
   } = data;
 
-  // Validate required fields
-  if (!company || !name || !contact_number || !email || !call_type || !disposition_1 || !disposition_2) {
-    throw new Error('Missing required fields: company, name, contact_number, email, call_type, disposition_1, disposition_2');
-  }
+  // Required fields, column limits and a configured disposition (400 otherwise)
+  await assertValidForm(data, tenant);
 
   // Get email configuration for this disposition
-  const { email: targetEmail, isCustomInput } = await getDispositionEmail(call_type, disposition_1, disposition_2);
-  const departmentName = await getDepartmentByEmail(targetEmail);
+  const routing = await getDispositionEmail(call_type, disposition_1, disposition_2, tenant);
+  const { email: targetEmail } = routing;
+
+  // Notification template for this disposition / department
+  const template = targetEmail ? await resolveTemplate(data, routing.departmentId, tenant) : null;
 
   // ---- Store in DB ----
+  // The form row, its queued notification and its outbound deliveries
+  // commit together, so an SMTP or destination outage can no longer lose
+  // them (the outbox and delivery workers retry).
   const sql = `INSERT INTO forms_new (
-    company, name, contact_number, email, call_type, disposition_1, disposition_2, 
+    tenant, status, company, name, contact_number, email, call_type, disposition_1, disposition_2, 
     query, queue_id, queue_name, agent_id, agent_ext, 
-    caller_id_name, caller_id_number
-  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-  
-  await pool.execute(sql, [
-    company, name, contact_number, email, call_type, disposition_1, disposition_2,
-    query || null, queue_id || null, queue_name || null, 
-    agent_id || null, agent_ext || null, caller_id_name || null, caller_id_number || null
-  ]);
-
-  // Send final submission data to external database/API
-  await sendFinalSubmissionData(data, caller_id_number);
-
-  // ---- Send email ----
-  // Skip email if it's a custom input without email or empty email
-  if (!targetEmail || targetEmail === '') {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Form submission stored (no email sent for custom input)`);
-    return;
-  }
+    caller_id_name, caller_id_number, caller_id_e164
+  ) VALUES (?, 'submitted', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+  const formId = await withTransaction(async (conn) => {
+    const [result] = await conn.execute(sql, [
+      tenant.code, company, name, contact_number, email, call_type, disposition_1, disposition_2,
+      query || null, queue_id || null, queue_name || null, 
+      agent_id || null, agent_ext || null, caller_id_name || null, caller_id_number || null,
+      normalizePhone(caller_id_number)
+    ]);
+
+    await recordHistory(conn, {
+      formId: result.insertId,
+      action: 'create',
+      changes: diffFields({}, { ...data, status: 'submitted' }),
+      actor: context.actor,
+      source: context.source,
+    });
 
-  // Prepare email content
-  const disposition2Display = disposition_2;
-
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: targetEmail,
-    subject: 'Call Notification',
-    html: `
-      <p>Hi, Good Day!</p>
-      <p>We received a call with the following details. Kindly take the necessary action:</p>
-      <br/>
-      <p><strong>Ticket raised for: </strong>${departmentName}</p>
-      <p><strong>Company:</strong> ${company}</p>
-      <p><strong>Client/Caller Name:</strong> ${name}</p>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>Contact:</strong> ${contact_number}</p>
-      <p><strong>Call Type:</strong> ${call_type}</p>
-      <p><strong>Disposition 1:</strong> ${disposition_1}</p>
-      <p><strong>Disposition 2:</strong> ${disposition2Display}</p>
-      ${query ? `<p><strong>Query/Details:</strong> ${query}</p>` : ''}
-      <br/>
-      <p>Thank you, and have a great day!</p>
-    `,
-  };
+    // Final submission payload for the tenant's outbound destinations
+    await enqueueDeliveries(conn, result.insertId, buildSubmissionPayload(result.insertId, data, routing), tenant);
 
-  try {
-    await transporter.sendMail(mailOptions);
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Email sent to ${targetEmail} for ${call_type} - ${disposition_1} - ${disposition_2}`);
-  } catch (error) {
-    console.error('Error sending email:', error);
-    // Don't throw error - form submission should still succeed even if email fails
-  }
-}
-
-/**
- * Send final submission data to external database/API
- * This function is triggered automatically when a form is submitted
- * @param {Object} submissionData - Complete form submission data
- * @param {string} cidnum - Caller ID number parameter
- */
-async function sendFinalSubmissionData(submissionData, cidnum) {
-  try {
-    // Prepare the final submission payload
-    const finalSubmissionPayload = {
-      // Basic form data
-      company: submissionData.company,
-      name: submissionData.name,
-      contact_number: submissionData.contact_number,
-      email: submissionData.email,
-      
-      // Disposition data
-      call_type: submissionData.call_type,
-      disposition_1: submissionData.disposition_1,
-      disposition_2: submissionData.disposition_2,
-      query: submissionData.query,
-      
-      // Call center data
-      queue_id: submissionData.queue_id,
-      queue_name: submissionData.queue_name,
-      agent_id: submissionData.agent_id,
-      agent_ext: submissionData.agent_ext,
-      caller_id_name: submissionData.caller_id_name,
-      caller_id_number: cidnum, // The cidnum parameter
-      
-      // Additional metadata
-      submission_timestamp: new Date().toISOString(),
-      
-      // Get the email routing information
-      target_email: await getDispositionEmail(submissionData.call_type, submissionData.disposition_1, submissionData.disposition_2),
-      department: await getDepartmentByEmail((await getDispositionEmail(submissionData.call_type, submissionData.disposition_1, submissionData.disposition_2)).email)
-    };
-
-    // Log the final submission data
-    console.log('Final Submission Data:', JSON.stringify(finalSubmissionPayload, null, 2));
-
-    // TODO: Replace this with your actual external API endpoint
-    // Example: Send to external database/API
-    /*
-    const response = await fetch('YOUR_EXTERNAL_API_ENDPOINT', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': 'Bearer YOUR_API_TOKEN' // if needed
-      },
-      body: JSON.stringify(finalSubmissionPayload)
-    });
 
-    if (!response.ok) {
-      throw new Error(`External API error: ${response.status} ${response.statusText}`);
+    // Skip email if it's a custom input without email or empty email
+    if (!targetEmail || targetEmail === '') {
+      console.log(`[${timestamp}] Form submission stored (no email sent for custom input)`);
+      return result.insertId;
     }
 
-    const result = await response.json();
-    console.log('Successfully sent to external API:', result);
-    */
+    // A routed submission becomes a ticket; the email carries its reference and action links
+    const ticket = await ensureTicket(conn, result.insertId, {
+      tenant: tenant.code,
+      departmentId: routing.departmentId,
+      due: slaDueDates(routing),
+    });
+    const message = await renderNotificationEmail(
+      { ...data, id: result.insertId }, routing, template, { ...ticket, ...ticketActionLinks(ticket.id) }
+    );
+    await enqueueEmail(conn, {
+      formId: result.insertId,
+      tenant: tenant.code,
+      from: senderFor(tenant),
+      to: routing.to,
+      cc: routing.cc,
+      bcc: routing.bcc,
+      ...message,
+    });
+    console.log(`[${timestamp}] Email queued for ${targetEmail} for ${call_type} - ${disposition_1} - ${disposition_2}`);
+    return result.insertId;
+  });
 
-    // For now, just log success
-    console.log(`[${new Date().toISOString()}] Final submission data prepared for cidnum: ${cidnum}`);
-    
-    return finalSubmissionPayload;
-    
-  } catch (error) {
-    console.error('Error sending final submission data:', error);
-    // Don't throw error - form submission should still succeed even if external API fails
-    return null;
-  }
+  publishFormEvent('form.submitted', formId, { source: context.source });
+  return formId;
 }
 
 /**
  * Updates an existing form submission & triggers notification email.
  * @param {number} id The ID of the form to update
  * @param {Object} data Updated form data
+ * @param {Object} tenant Tenant row the form belongs to
+ * @param {Object} [context] Audit context { actor, source }
  */
-export async function updateFormSubmission(id, data) {
+export async function updateFormSubmission(id, data, tenant, context = {}) {
   // fetch existing row to keep not-null columns intact
-  const current = await getFormById(id);
-  if (!current) throw new Error(`Form with id ${id} not found`);
+  const current = await getFormById(id, tenant);
+  if (!current) throw new HttpError(404, `Form with id ${id} not found`);
+
+  await assertValidForm(data, tenant, current);
 
   const {
     company = current.company,
@@ -337,19 +297,16 @@ export async function updateFormSubmission(id, data) {
     caller_id_number = current.caller_id_number,
   } = data;
 
-  // ---- update in DB ----
-  const sql = `UPDATE forms_new SET 
-    company = ?, name = ?, contact_number = ?, email = ?, 
-    call_type = ?, disposition_1 = ?, disposition_2 = ?, 
-    query = ?, queue_id = ?, queue_name = ?,
-    agent_id = ?, agent_ext = ?, caller_id_name = ?, caller_id_number = ?
-    WHERE id = ?`;
-  
-  await pool.execute(sql, [
-    company, name, contact_number, email, call_type, disposition_1, disposition_2,
-    query, queue_id, queue_name, agent_id, agent_ext, 
-    caller_id_name, caller_id_number, id
-  ]);
+  // A draft (or abandoned call) becomes submitted once its dispositions are filled in
+  const status = statusAfterSave({ call_type, disposition_1, disposition_2 }, current.status);
+
+  // ...but only with everything a new submission needs (400 otherwise)
+  if (status === 'submitted' && current.status !== 'submitted') {
+    await assertValidForm({
+      company, name, contact_number, email, call_type, disposition_1, disposition_2,
+      query, queue_id, queue_name, agent_id, agent_ext, caller_id_name, caller_id_number,
+    }, tenant);
+  }
 
   // ---- decide whether an email is required ----
   const payloadKeys = Object.keys(data).filter(k => data[k] !== undefined);
@@ -359,90 +316,159 @@ export async function updateFormSubmission(id, data) {
   const touchesOnlyAfterFields =
     payloadKeys.length > 0 && payloadKeys.every(k => k.startsWith('after_'));
 
-  if (touchesOnlyAfterFields) {
-    const ts = new Date().toISOString();
-    console.log(`[${ts}] After-call fields updated (id=${id}) – email suppressed`);
-    return;
+  let routing = null;
+  let targetEmail = '';
+  let template = null;
+
+  if (!touchesOnlyAfterFields) {
+    // Get email configuration for this disposition
+    routing = await getDispositionEmail(call_type, disposition_1, disposition_2, tenant);
+    targetEmail = routing.email;
+    // Notification template for this disposition / department
+    if (targetEmail) {
+      template = await resolveTemplate({ call_type, disposition_1, disposition_2 }, routing.departmentId, tenant);
+    }
   }
 
-  // Get email configuration for this disposition
-  const { email: targetEmail, isCustomInput } = await getDispositionEmail(call_type, disposition_1, disposition_2);
-  const departmentName = await getDepartmentByEmail(targetEmail);
+  // ---- update in DB (and queue the notification in the same transaction) ----
+  const sql = `UPDATE forms_new SET 
+    company = ?, name = ?, contact_number = ?, email = ?, 
+    call_type = ?, disposition_1 = ?, disposition_2 = ?, 
+    query = ?, queue_id = ?, queue_name = ?,
+    agent_id = ?, agent_ext = ?, caller_id_name = ?, caller_id_number = ?,
+    caller_id_e164 = ?, status = ?
+    WHERE id = ? AND tenant = ?`;
+
+  // A dialer draft (call_id set) pushes its final disposition to VoiceMeetMe
+  // once it is filled in, and again whenever it changes
+  const vmmDisposition = current.call_id && call_type && disposition_1 && disposition_2
+    ? formatDisposition({ call_type, disposition_1, disposition_2, disposition_2_custom: current.disposition_2_custom })
+    : null;
+  const syncDisposition = vmmDisposition !== null && vmmDisposition !== current.vmm_disposition;
+
+  await withTransaction(async (conn) => {
+    await conn.execute(sql, [
+      company, name, contact_number, email, call_type, disposition_1, disposition_2,
+      query, queue_id, queue_name, agent_id, agent_ext, 
+      caller_id_name, caller_id_number, normalizePhone(caller_id_number), status, id, tenant.code
+    ]);
+
+    if (syncDisposition) {
+      await queueDispositionSync(conn, id, {
+        tenant: current.call_tenant,
+        callId: current.call_id,
+        disposition: vmmDisposition,
+      });
+    }
+
+    await recordHistory(conn, {
+      formId: id,
+      action: 'update',
+      changes: diffFields(current, {
+        company, name, contact_number, email, call_type, disposition_1, disposition_2,
+        query, queue_id, queue_name, agent_id, agent_ext, caller_id_name, caller_id_number, status,
+      }),
+      actor: context.actor,
+      source: context.source,
+    });
 
-  // Skip email if it's a custom input without email or empty email
-  if (!targetEmail || targetEmail === '') {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Form update stored (no email sent for custom input)`);
-    return;
-  }
 
-  // Prepare email content
-  const disposition2Display = disposition_2;
-
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: targetEmail,
-    subject: 'Call Notification',
-    html: `
-      <p>Hi, Good Day!</p>
-      <p>We received a call with the following details. Kindly take the necessary action:</p>
-      <br/>
-      <p><strong>Ticket raised for: </strong>${departmentName}</p>
-      <p><strong>Company:</strong> ${company}</p>
-      <p><strong>Client/Caller Name:</strong> ${name}</p>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>Contact:</strong> ${contact_number}</p>
-      <p><strong>Call Type:</strong> ${call_type}</p>
-      <p><strong>Disposition 1:</strong> ${disposition_1}</p>
-      <p><strong>Disposition 2:</strong> ${disposition2Display}</p>
-      ${query ? `<p><strong>Query/Details:</strong> ${query}</p>` : ''}
-      <br/>
-      <p>Thank you, and have a great day!</p>
-    `,
-  };
+    if (touchesOnlyAfterFields) {
+      console.log(`[${timestamp}] After-call fields updated (id=${id}) – email suppressed`);
+      return;
+    }
 
-  try {
-    await transporter.sendMail(mailOptions);
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Update notification email sent to ${targetEmail} for ${call_type} - ${disposition_1} - ${disposition_2}`);
-  } catch (error) {
-    console.error('Error sending email:', error);
-    // Don't throw error - form submission should still succeed even if email fails
-  }
+    // Skip email if it's a custom input without email or empty email
+    if (!targetEmail || targetEmail === '') {
+      console.log(`[${timestamp}] Form update stored (no email sent for custom input)`);
+      return;
+    }
+
+    // The ticket follows the form to the department it is now routed to
+    const ticket = await ensureTicket(conn, id, {
+      tenant: tenant.code,
+      departmentId: routing.departmentId,
+      due: slaDueDates(routing),
+    });
+    const message = await renderNotificationEmail({
+      ...current, company, name, contact_number, email, call_type, disposition_1, disposition_2,
+      query, queue_id, queue_name, agent_id, agent_ext, caller_id_name, caller_id_number,
+    }, routing, template, { ...ticket, ...ticketActionLinks(ticket.id) });
+
+    await enqueueEmail(conn, {
+      formId: id,
+      tenant: tenant.code,
+      from: senderFor(tenant),
+      to: routing.to,
+      cc: routing.cc,
+      bcc: routing.bcc,
+      ...message,
+    });
+    console.log(`[${timestamp}] Update notification email queued for ${targetEmail} for ${call_type} - ${disposition_1} - ${disposition_2}`);
+  });
+
+  if (!touchesOnlyAfterFields) publishFormEvent('form.updated', id, { source: context.source });
+
+  // First attempt right away; the sync worker retries failures
+  if (syncDisposition) syncDispositionNow(id);
 }
 
 /**
  * Retrieves a specific form submission by ID
  * @param {number} id The ID of the form to retrieve
+ * @param {Object} tenant Tenant row (forms of other tenants are not found)
  */
-export async function getFormById(id) {
-  const [rows] = await pool.execute('SELECT * FROM forms_new WHERE id = ?', [id]);
+export async function getFormById(id, tenant) {
+  const [rows] = await pool.execute('SELECT * FROM forms_new WHERE id = ? AND tenant = ?', [id, tenant.code]);
   return rows.length > 0 ? rows[0] : null;
 }
 
 /**
- * Retrieves all form submissions ordered by newest first
+ * Retrieves a page of form submissions (newest first by default)
+ * @param {Object} query Filters, sort and pagination – see formQuery.js
+ * @param {Object} tenant Tenant row
+ * @returns {Promise<{data: Object[], total: number, page: number, pageSize: number, totalPages: number, sort: Object}>}
  */
-export async function listForms() {
-  const [rows] = await pool.execute('SELECT * FROM forms_new ORDER BY created_at DESC');
-  return rows;
+export async function listForms(query, tenant) {
+  const { where, params } = buildFormFilters(query, tenant);
+  const { field, direction, orderBy } = parseSort(query);
+  const { page, pageSize, offset } = parsePagination(query);
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM forms_new ${where}`, params);
+  const [rows] = await pool.query(
+    `SELECT * FROM forms_new ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+    [...params, pageSize, offset]
+  );
+
+  return {
+    data: rows,
+    total: Number(total),
+    page,
+    pageSize,
+    totalPages: Math.ceil(Number(total) / pageSize),
+    sort: { field, order: direction.toLowerCase() },
+  };
 }
 
 /**
  * Finds the most recent form submission that matches a queue + caller-number pair.
  * @param {string} queueId  The queue_id received from the Web-Socket invite event
  * @param {string} callerNumber  Raw caller number as provided by the call-center
+ * @param {Object} tenant  Tenant row
  * @returns {Promise<Object|null>}  The matching form row or null if none found
  */
-export async function findFormByQueueAndCaller(queueId, callerNumber) {
+export async function findFormByQueueAndCaller(queueId, callerNumber, tenant) {
+  // +971…, 00971… and 05… all match the same canonical number
+  const caller = callerMatch(callerNumber);
   const [rows] = await pool.execute(
     `SELECT *
        FROM forms_new
-      WHERE queue_id = ?
-        AND caller_id_number = ?
+      WHERE tenant = ? AND queue_id = ?
+        AND ${caller.clause}
       ORDER BY created_at DESC
       LIMIT 1`,
-    [queueId, callerNumber]
+    [tenant.code, queueId, ...caller.params]
   );
 
   return rows.length > 0 ? rows[0] : null;
@@ -450,21 +476,52 @@ export async function findFormByQueueAndCaller(queueId, callerNumber) {
 
 // --- Stand-alone express server (used when this module is run directly) ----
 
-const PORT = process.env.PORT || 8989;
-const HOST = process.env.HOST || '0.0.0.0';
-const PUBLIC_URL = process.env.PUBLIC_URL || `http://${HOST}:${PORT}`;
+const { port: PORT, host: HOST, publicUrl: PUBLIC_URL } = config.server;
 
-console.log(`🚀 Server will start on: ${PUBLIC_URL}`);
+export const app = express();
+app.use(cors(buildCorsOptions()));
+// raw body kept for webhook signature checks
+app.use(express.json({ verify: captureRawBody }));
 
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-// Create a new form
-app.post('/forms', async (req, res) => {
+// Create a new form (agents always submit under their own agent_id)
+app.post('/forms', requireRole('agent'), async (req, res) => {
   try {
-    await handleFormSubmission(req.body);
+    const data = req.principal.role === 'agent'
+      ? { ...req.body, agent_id: req.principal.agentId }
+      : req.body;
+    await handleFormSubmission(data, req.tenant, { actor: resolveActor(req), source: 'POST /forms' });
     res.sendStatus(201);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Export forms as CSV / XLSX (same filters as GET /forms)
+app.get('/forms/export', requireRole('supervisor'), async (req, res) => {
+  try {
+    await streamFormsExport(req.query, res, req.tenant);
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err);
+    // Too late for a JSON error – abort so the client sees a truncated download
+    console.error('Export failed mid-stream:', err);
+    res.destroy(err);
+  }
+});
+
+// Search for an existing form by queueId & caller number
+app.get('/forms/search', requireRole('supervisor'), async (req, res) => {
+  const { queueId, callerNumber } = req.query;
+
+  if (!queueId || !callerNumber) {
+    return res.status(400).json({ error: 'queueId and callerNumber are required' });
+  }
+
+  try {
+    const form = await findFormByQueueAndCaller(queueId, callerNumber, req.tenant);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+    res.json(form);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal Server Error' });
@@ -472,14 +529,17 @@ app.post('/forms', async (req, res) => {
 });
 
 // Get a specific form by ID
-app.get('/forms/:id', async (req, res) => {
+app.get('/forms/:id', requireRole('agent'), async (req, res) => {
   try {
     const id = req.params.id;
-    const form = await getFormById(id);
+    const form = await getFormById(id, req.tenant);
     
     if (!form) {
       return res.status(404).json({ error: 'Form not found' });
     }
+    if (!canAccessForm(req.principal, form)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
     
     res.json(form);
   } catch (err) {
@@ -488,39 +548,60 @@ app.get('/forms/:id', async (req, res) => {
   }
 });
 
+// Change history of a form (oldest first)
+app.get('/forms/:id/history', requireRole('agent'), async (req, res) => {
+  try {
+    const form = await getFormById(req.params.id, req.tenant);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+    if (!canAccessForm(req.principal, form)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    res.json(await getFormHistory(req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
 // Update an existing form
-app.put('/forms/:id', async (req, res) => {
+app.put('/forms/:id', requireRole('agent'), async (req, res) => {
   try {
     const id = req.params.id;
-    const form = await getFormById(id);
+    const form = await getFormById(id, req.tenant);
     
     if (!form) {
       return res.status(404).json({ error: 'Form not found' });
     }
+    if (!canAccessForm(req.principal, form)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // Agents cannot hand a form over to another agent
+    const { agent_id, ...agentEditable } = req.body;
+    const data = req.principal.role === 'agent' ? agentEditable : req.body;
     
-    await updateFormSubmission(id, req.body);
+    await updateFormSubmission(id, data, req.tenant, { actor: resolveActor(req), source: 'PUT /forms' });
     res.sendStatus(200);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
   }
 });
 
-// Get all forms
-app.get('/forms', async (_req, res) => {
+// List forms – paginated, filterable and sortable (see formQuery.js)
+app.get('/forms', requireRole('supervisor'), async (req, res) => {
   try {
-    const rows = await listForms();
-    res.json(rows);
+    res.json(await listForms(req.query, req.tenant));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendError(res, err);
   }
 });
 
 // Get disposition hierarchy for cascading dropdowns
-app.get('/disposition-hierarchy', async (_req, res) => {
+app.get('/disposition-hierarchy', requireRole('agent'), async (req, res) => {
   try {
-    const hierarchy = await getDispositionHierarchy();
+    const hierarchy = await getDispositionHierarchy(req.tenant);
     res.json(hierarchy);
   } catch (err) {
     console.error(err);
@@ -528,39 +609,62 @@ app.get('/disposition-hierarchy', async (_req, res) => {
   }
 });
 
-// Search for an existing form by queueId & caller number
-app.get('/forms/search', async (req, res) => {
-  const { queueId, callerNumber } = req.query;
-
-  if (!queueId || !callerNumber) {
-    return res.status(400).json({ error: 'queueId and callerNumber are required' });
-  }
-
+setupWebhookRoutes(app);
+setupDispositionAdminRoutes(app);
+setupDepartmentRoutes(app);
+setupDigestRoutes(app);
+setupOutboxRoutes(app);
+setupTemplateRoutes(app);
+setupReportRoutes(app);
+setupApiClientRoutes(app);
+setupCallerRoutes(app);
+setupDeliveryRoutes(app);
+setupVoiceMeetMeSyncRoutes(app);
+setupTenantRoutes(app);
+setupLiveFeedRoutes(app);
+setupTicketRoutes(app);
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Stop before anything starts when a setting is invalid, listing them all
   try {
-    const form = await findFormByQueueAndCaller(queueId, callerNumber);
-    if (!form) {
-      return res.status(404).json({ error: 'Form not found' });
-    }
-    res.json(form);
+    assertValidConfig({ mail: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
+    console.error(err.message);
+    process.exit(1);
   }
-});
 
-setupWebhookRoutes(app);
+  console.log(`🚀 Server will start on: ${PUBLIC_URL}`);
 
-const server = app.listen(PORT, HOST, () => {
-  console.log(`🌐 HTTP server running at ${PUBLIC_URL}`);
-  console.log(`📡 Server accessible on all network interfaces (${HOST}:${PORT})`);
-});
+  // Test the transport, reporting the configured settings when it fails
+  verifyMailTransport(transporter);
 
-server.on('error', (err) => {
-  console.error('❌ HTTP Server error:', err);
-  if (err.code === 'EADDRINUSE') {
-    console.error(`  Port ${PORT} is already in use. Try a different port.`);
-  } else if (err.code === 'EACCES') {
-    console.error(`  Permission denied. Port ${PORT} might require sudo privileges.`);
+  // Refuse to serve against a schema older than the code
+  try {
+    await ensureMigrated();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
   }
-  process.exit(1);
-});
\ No newline at end of file
+
+  const server = app.listen(PORT, HOST, () => {
+    console.log(`🌐 HTTP server running at ${PUBLIC_URL}`);
+    console.log(`📡 Server accessible on all network interfaces (${HOST}:${PORT})`);
+    startOutboxWorker(transporter);
+    startDeliveryWorker();
+    startDispositionSyncWorker();
+    startDraftSweeper();
+    startLiveFeed();
+    startSlaScheduler();
+    startDigestScheduler();
+  });
+
+  server.on('error', (err) => {
+    console.error('❌ HTTP Server error:', err);
+    if (err.code === 'EADDRINUSE') {
+      console.error(`  Port ${PORT} is already in use. Try a different port.`);
+    } else if (err.code === 'EACCES') {
+      console.error(`  Permission denied. Port ${PORT} might require sudo privileges.`);
+    }
+    process.exit(1);
+  });
+}
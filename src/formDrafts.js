@@ -0,0 +1,91 @@
+// src/formDrafts.js
+// Form lifecycle: webhook drafts that no agent submits within
+// DRAFT_ABANDON_AFTER_MINUTES are marked abandoned by a background sweep.
+// ------------------------------------------------------------
+
+import { withTransaction, dialect } from './db.js';
+import { recordHistory } from './formHistory.js';
+import { config } from './config.js';
+
+export const FORM_STATUSES = ['draft', 'submitted', 'abandoned'];
+
+const { abandonAfterMinutes: ABANDON_AFTER_MINUTES, sweepIntervalMs: SWEEP_INTERVAL_MS } = config.drafts;
+const BATCH_SIZE = 200;
+
+/**
+ * Status of a form once its values are saved: complete dispositions make
+ * it submitted, otherwise it keeps its current status.
+ * @param {Object} values call_type, disposition_1, disposition_2
+ * @param {string} currentStatus
+ */
+export function statusAfterSave({ call_type, disposition_1, disposition_2 }, currentStatus) {
+  return call_type && disposition_1 && disposition_2 ? 'submitted' : currentStatus;
+}
+
+/**
+ * Marks one batch of stale drafts abandoned
+ * @returns {Promise<number>} number of forms abandoned
+ */
+export async function abandonStaleDrafts() {
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT id FROM forms_new
+        WHERE status = 'draft' AND created_at < ${dialect.secondsAgo()}
+        ORDER BY id
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED`,
+      [ABANDON_AFTER_MINUTES * 60, BATCH_SIZE]
+    );
+    if (rows.length === 0) return 0;
+
+    const ids = rows.map(r => r.id);
+    await conn.query(
+      `UPDATE forms_new SET status = 'abandoned', abandoned_at = NOW() WHERE id IN (?)`,
+      [ids]
+    );
+
+    for (const id of ids) {
+      await recordHistory(conn, {
+        formId: id,
+        action: 'update',
+        changes: { status: { from: 'draft', to: 'abandoned' } },
+        actor: 'system',
+        source: 'draft sweep',
+      });
+    }
+    return ids.length;
+  });
+}
+
+/**
+ * Starts the background sweep of stale drafts
+ * @returns {Function} stop function
+ */
+export function startDraftSweeper() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      let total = 0;
+      let swept;
+      do {
+        swept = await abandonStaleDrafts();
+        total += swept;
+      } while (swept === BATCH_SIZE);
+      if (total > 0) console.log(`🗑️  ${total} stale draft(s) marked abandoned`);
+    } catch (err) {
+      console.error('Draft sweep error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  timer.unref();
+  tick();
+
+  console.log(`🗑️  Draft sweeper started (drafts abandoned after ${ABANDON_AFTER_MINUTES} min)`);
+  return () => clearInterval(timer);
+}
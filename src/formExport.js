@@ -0,0 +1,166 @@
+// src/formExport.js
+// Streaming CSV / XLSX export of forms_new rows
+// ------------------------------------------------------------
+
+import ExcelJS from 'exceljs';
+import { pool, getDispositionEmail } from './form.js';
+import { buildFormFilters, parseSort } from './formQuery.js';
+import { HttpError } from './httpError.js';
+import { escapeCsvValue } from './csv.js';
+import { streamRows } from './db.js';
+
+// Raw forms_new columns that may be exported
+const FORM_COLUMNS = [
+  'id', 'created_at', 'company', 'name', 'contact_number', 'email',
+  'call_type', 'disposition_1', 'disposition_2', 'query',
+  'queue_id', 'queue_name', 'agent_id', 'agent_ext', 'caller_id_name', 'caller_id_number',
+];
+
+// Columns computed per row from the disposition routing
+const ROUTING_COLUMNS = ['department', 'target_email'];
+
+export const EXPORT_COLUMNS = [...FORM_COLUMNS, ...ROUTING_COLUMNS];
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Parse ?columns=a,b,c against the whitelist (all columns by default)
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseExportColumns(value) {
+  if (!value) return EXPORT_COLUMNS;
+
+  const columns = (Array.isArray(value) ? value.join(',') : String(value))
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean);
+
+  const unknown = columns.filter(c => !EXPORT_COLUMNS.includes(c));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown export column(s): ${unknown.join(', ')}`, { allowed: EXPORT_COLUMNS });
+  }
+  if (columns.length === 0) throw new HttpError(400, 'columns must not be empty');
+  return [...new Set(columns)];
+}
+
+/**
+ * Memoised routing lookup – an export touches only a handful of distinct
+ * dispositions, so resolve each one once.
+ */
+function createRoutingResolver(tenant) {
+  const cache = new Map();
+  return (row) => {
+    const key = `${row.call_type}\u0000${row.disposition_1}\u0000${row.disposition_2}`;
+    if (!cache.has(key)) {
+      cache.set(key, getDispositionEmail(row.call_type, row.disposition_1, row.disposition_2, tenant));
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Resolves once `res` takes more data: true on 'drain', false when the
+ * client has gone away and it never will.
+ * @param {Object} res Express response
+ * @returns {Promise<boolean>}
+ */
+function drained(res) {
+  if (res.destroyed) return Promise.resolve(false);
+  return new Promise(resolve => {
+    const settle = ok => () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(ok);
+    };
+    const onDrain = settle(true);
+    const onClose = settle(false);
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Streams rows matching the list-view filters into `onRow`, one at a time,
+ * without buffering the result set. Stops early, releasing the row stream,
+ * when `onRow` returns false.
+ * @param {Object} query Express req.query
+ * @param {Object} tenant Tenant row
+ * @param {Function} onRow async (row) => boolean|void
+ */
+async function forEachFormRow(query, tenant, onRow) {
+  const { where, params } = buildFormFilters(query, tenant);
+  const { orderBy } = parseSort(query);
+
+  for await (const row of streamRows(pool, `SELECT * FROM forms_new ${where} ORDER BY ${orderBy}`, params)) {
+    if ((await onRow(row)) === false) break;
+  }
+}
+
+/**
+ * Writes an export of forms_new to an Express response.
+ * Accepts the same filters and sort as GET /forms plus
+ * ?format=csv|xlsx and ?columns=a,b,c.
+ *
+ * @param {Object} query Express req.query
+ * @param {Object} res Express response
+ * @param {Object} tenant Tenant row
+ */
+export async function streamFormsExport(query, res, tenant) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new HttpError(400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const columns = parseExportColumns(query.columns);
+  // Validate filters before any header is sent
+  buildFormFilters(query);
+  parseSort(query);
+
+  const needsRouting = columns.some(c => ROUTING_COLUMNS.includes(c));
+  const resolveRouting = createRoutingResolver(tenant);
+
+  const toRecord = async (row) => {
+    const record = { ...row };
+    if (needsRouting) {
+      const routing = await resolveRouting(row);
+      record.department = routing.departmentName;
+      record.target_email = routing.email;
+    }
+    return record;
+  };
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `forms-${stamp}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    // BOM so Excel opens UTF-8 (Arabic names) correctly
+    res.write('\uFEFF' + columns.map(escapeCsvValue).join(',') + '\r\n');
+
+    await forEachFormRow(query, tenant, async (row) => {
+      const record = await toRecord(row);
+      const line = columns.map(c => escapeCsvValue(record[c])).join(',') + '\r\n';
+      return res.write(line) || drained(res);
+    });
+
+    if (!res.destroyed) res.end();
+    return;
+  }
+
+  res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Forms');
+  sheet.columns = columns.map(c => ({ header: c, key: c, width: c === 'query' ? 50 : 20 }));
+
+  await forEachFormRow(query, tenant, async (row) => {
+    const record = await toRecord(row);
+    sheet.addRow(columns.map(c => record[c] ?? null)).commit();
+    return !res.destroyed;
+  });
+
+  // Client gone: nothing left to finish the workbook for
+  if (res.destroyed) return;
+  sheet.commit();
+  await workbook.commit();
+}
@@ -0,0 +1,87 @@
+// src/formHistory.js
+// Audit trail of forms_new changes (forms_new_history)
+// ------------------------------------------------------------
+
+import { pool } from './db.js';
+
+// forms_new columns tracked in the history log
+export const TRACKED_FIELDS = [
+  'company', 'name', 'contact_number', 'email',
+  'call_type', 'disposition_1', 'disposition_2', 'disposition_2_custom', 'query',
+  'queue_id', 'queue_name', 'agent_id', 'agent_ext', 'caller_id_name', 'caller_id_number', 'status',
+];
+
+export const HISTORY_ACTIONS = ['create', 'update', 'disposition'];
+
+// null, undefined and '' all mean "empty" – don't log noise between them
+const normalise = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+/**
+ * Field-level diff between two versions of a form row
+ * @param {Object} before Previous values ({} for a new row)
+ * @param {Object} after New values
+ * @param {string[]} [fields]
+ * @returns {Object} { field: { from, to } } for every changed field
+ */
+export function diffFields(before, after, fields = TRACKED_FIELDS) {
+  const changes = {};
+  fields.forEach(field => {
+    if (!(field in after)) return;
+    const from = normalise(before[field]);
+    const to = normalise(after[field]);
+    if (from !== to) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+/**
+ * Identifies who made a request for the audit log: the authenticated
+ * principal (agent id when it has one), else the client address.
+ * @param {Object} req Express request
+ * @returns {string}
+ */
+export function resolveActor(req) {
+  const principal = req.principal;
+  if (principal?.agentId) return `agent:${principal.agentId}`.slice(0, 100);
+  if (principal) return `${principal.type === 'jwt' ? 'user' : 'client'}:${principal.name}`.slice(0, 100);
+  return `client:${req.ip}`.slice(0, 100);
+}
+
+/**
+ * Appends an entry to forms_new_history. Nothing is written when an
+ * update carries no actual change.
+ *
+ * @param {Object} conn Transaction connection (or the pool)
+ * @param {Object} entry { formId, action, changes, actor, source }
+ * @returns {Promise<number|null>} history id
+ */
+export async function recordHistory(conn, { formId, action, changes, actor, source }) {
+  if (!HISTORY_ACTIONS.includes(action)) throw new Error(`Unknown history action "${action}"`);
+  if (action !== 'create' && Object.keys(changes).length === 0) return null;
+
+  const [result] = await conn.execute(
+    `INSERT INTO forms_new_history (form_id, action, changes, actor, source)
+     VALUES (?, ?, ?, ?, ?)`,
+    [formId, action, JSON.stringify(changes), actor || null, source || null]
+  );
+  return result.insertId;
+}
+
+/**
+ * Timeline of a form, oldest first
+ * @param {number} formId
+ */
+export async function getFormHistory(formId) {
+  const [rows] = await pool.execute(
+    `SELECT id, form_id, action, changes, actor, source, created_at
+       FROM forms_new_history
+      WHERE form_id = ?
+      ORDER BY created_at, id`,
+    [formId]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes,
+  }));
+}
@@ -0,0 +1,188 @@
+// src/formQuery.js
+// Shared filter / sort / pagination parsing for forms_new list queries
+// ------------------------------------------------------------
+
+import { HttpError } from './httpError.js';
+import { callerMatch } from './phone.js';
+import { dialect } from './db.js';
+import { FORM_STATUSES } from './formDrafts.js';
+
+// Columns callers may sort by (anything else is rejected)
+export const SORTABLE_FIELDS = [
+  'created_at', 'id', 'company', 'name', 'call_type', 'disposition_1', 'disposition_2',
+  'agent_id', 'queue_id', 'queue_name', 'caller_id_number', 'status',
+];
+
+// Exact-match filters: query parameter → column
+const EQUALITY_FILTERS = {
+  call_type: 'call_type',
+  disposition_1: 'disposition_1',
+  disposition_2: 'disposition_2',
+  agent_id: 'agent_id',
+  queue_id: 'queue_id',
+};
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a date filter. A date-only upper bound covers that whole day.
+ * @param {string} value
+ * @param {string} field Parameter name used in error messages
+ * @param {boolean} [endOfRange]
+ * @returns {Date}
+ */
+function parseDate(value, field, endOfRange = false) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${field} must be a valid date (YYYY-MM-DD or ISO 8601)`);
+  }
+  if (endOfRange && DATE_ONLY_RE.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+/**
+ * Turn free text into a full-text expression where every word is required
+ * and prefix-matched ("acme tra" → "+acme* +tra*" on MySQL,
+ * "acme:* & tra:*" on PostgreSQL). Operator characters are dropped.
+ * @param {string} text
+ * @returns {string}
+ */
+function toFulltextQuery(text) {
+  const words = String(text)
+    .replace(/[+\-<>()~*"@&|!:'\\]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return dialect.fullTextQuery(words);
+}
+
+/**
+ * Parse ?status= – one or more comma-separated FORM_STATUSES, or "all".
+ * Only submitted forms match by default: drafts and abandoned calls are
+ * blank placeholders.
+ * @param {string} [value]
+ * @returns {string[]|null} statuses, null for all
+ */
+function parseStatusFilter(value) {
+  if (value === undefined || value === '') return ['submitted'];
+  if (value === 'all') return null;
+
+  const statuses = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = statuses.filter(s => !FORM_STATUSES.includes(s));
+  if (statuses.length === 0 || unknown.length) {
+    throw new HttpError(400, `status must be "all" or a comma-separated list of: ${FORM_STATUSES.join(', ')}`);
+  }
+  return statuses;
+}
+
+/**
+ * Build the WHERE clause for forms_new from request query parameters.
+ *
+ * Supported: from, to (created_at range), call_type, disposition_1,
+ * disposition_2, agent_id, queue_id, caller (matched on the E.164 form),
+ * q (free text over company / name / email / query) and status
+ * (submitted only by default, see parseStatusFilter).
+ * With a tenant only that tenant's forms match.
+ *
+ * @param {Object} query Express req.query
+ * @param {Object} [tenant] Tenant row
+ * @returns {{ where: string, params: Array }} where is '' or 'WHERE …'
+ */
+export function buildFormFilters(query = {}, tenant = null) {
+  const clauses = [];
+  const params = [];
+
+  if (tenant) {
+    clauses.push('tenant = ?');
+    params.push(tenant.code);
+  }
+
+  const statuses = parseStatusFilter(query.status);
+  if (statuses) {
+    clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (query.from) {
+    clauses.push('created_at >= ?');
+    params.push(parseDate(query.from, 'from'));
+  }
+  if (query.to) {
+    clauses.push('created_at < ?');
+    params.push(parseDate(query.to, 'to', true));
+  }
+
+  Object.entries(EQUALITY_FILTERS).forEach(([param, column]) => {
+    if (query[param] !== undefined && query[param] !== '') {
+      clauses.push(`${column} = ?`);
+      params.push(String(query[param]));
+    }
+  });
+
+  if (query.caller) {
+    const caller = callerMatch(query.caller);
+    clauses.push(caller.clause);
+    params.push(...caller.params);
+  }
+
+  if (query.q) {
+    const expr = toFulltextQuery(query.q);
+    if (expr) {
+      clauses.push(dialect.fullTextMatch(['company', 'name', 'email', 'query']));
+      params.push(expr);
+    }
+  }
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Parse ?sort=field&order=asc|desc (also accepts sort=-field)
+ * @param {Object} query
+ * @returns {{ field: string, direction: 'ASC'|'DESC', orderBy: string }}
+ */
+export function parseSort(query = {}) {
+  let field = String(query.sort || 'created_at');
+  let direction = String(query.order || 'desc').toUpperCase();
+
+  if (field.startsWith('-')) {
+    field = field.slice(1);
+    direction = 'DESC';
+  }
+  if (!SORTABLE_FIELDS.includes(field)) {
+    throw new HttpError(400, `sort must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+  if (!['ASC', 'DESC'].includes(direction)) {
+    throw new HttpError(400, 'order must be "asc" or "desc"');
+  }
+
+  // id as tie-breaker keeps pages stable when many rows share a timestamp
+  const orderBy = field === 'id' ? `id ${direction}` : `${field} ${direction}, id ${direction}`;
+  return { field, direction, orderBy };
+}
+
+/**
+ * Parse ?page=&pageSize= (1-based page)
+ * @param {Object} query
+ * @returns {{ page: number, pageSize: number, offset: number }}
+ */
+export function parsePagination(query = {}) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new HttpError(400, 'page must be a positive integer');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
@@ -0,0 +1,126 @@
+// src/formValidation.js
+// Validation of POST / PUT /forms bodies with field-level errors
+// ------------------------------------------------------------
+
+import { pool } from './db.js';
+import { HttpError } from './httpError.js';
+
+// Column limits mirror the VARCHAR sizes of forms_new in the migrations
+export const FORM_FIELDS = {
+  company: { required: true, maxLength: 200 },
+  name: { required: true, maxLength: 100 },
+  contact_number: { required: true, maxLength: 20 },
+  email: { required: true, maxLength: 100, format: 'email' },
+  call_type: { required: true, maxLength: 50 },
+  disposition_1: { required: true, maxLength: 100 },
+  disposition_2: { required: true, maxLength: 100 },
+  query: { maxLength: 65535 }, // TEXT
+  queue_id: { maxLength: 100 },
+  queue_name: { maxLength: 100 },
+  agent_id: { maxLength: 100 },
+  agent_ext: { maxLength: 100 },
+  caller_id_name: { maxLength: 100 },
+  caller_id_number: { maxLength: 100 },
+  disposition_2_custom: { maxLength: 255 },
+};
+
+const DISPOSITION_FIELDS = ['call_type', 'disposition_1', 'disposition_2'];
+
+// Deliberately loose: one "@", no spaces, a dot in the domain
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Checks a single field against its rule
+ * @returns {string|null} error message
+ */
+function checkField(field, value, rule) {
+  if (isEmpty(value)) {
+    return rule.required ? `${field} is required` : null;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return `${field} must be a string`;
+  }
+
+  const text = String(value);
+  if (text.length > rule.maxLength) {
+    return `${field} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.format === 'email' && !EMAIL_RE.test(text.trim())) {
+    return `${field} must be a valid email address`;
+  }
+  return null;
+}
+
+/**
+ * Field-level checks of a form body (no database access).
+ * With `partial` (updates) only the fields present in the body are checked,
+ * but a required field still cannot be cleared.
+ *
+ * @param {Object} data Request body
+ * @param {Object} [options] { partial }
+ * @returns {Array<{ field: string, message: string }>}
+ */
+export function validateFormFields(data, { partial = false } = {}) {
+  const errors = [];
+  Object.entries(FORM_FIELDS).forEach(([field, rule]) => {
+    if (partial && data[field] === undefined) return;
+    const message = checkField(field, data[field], rule);
+    if (message) errors.push({ field, message });
+  });
+  return errors;
+}
+
+/**
+ * True when the call_type / disposition_1 / disposition_2 triple is
+ * configured for the tenant
+ */
+export async function dispositionExists(callType, disposition1, disposition2, tenant) {
+  const [rows] = await pool.execute(
+    `SELECT 1 FROM disposition_config
+      WHERE tenant = ? AND call_type = ? AND disposition_1 = ? AND disposition_2 = ?
+      LIMIT 1`,
+    [tenant.code, callType, disposition1, disposition2]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Validates a create (no `current`) or update body and throws a 400
+ * HttpError listing every invalid field:
+ *   { error: 'Validation failed', errors: [{ field, message }] }
+ *
+ * On update the disposition triple is checked only when the body changes
+ * part of it, merged with the stored values.
+ *
+ * @param {Object} data Request body
+ * @param {Object} tenant Tenant row whose disposition tree applies
+ * @param {Object} [current] Existing forms_new row when updating
+ */
+export async function assertValidForm(data, tenant, current = null) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpError(400, 'Validation failed', {
+      errors: [{ field: null, message: 'Request body must be a JSON object' }],
+    });
+  }
+
+  const errors = validateFormFields(data, { partial: Boolean(current) });
+
+  const touchesDisposition = !current || DISPOSITION_FIELDS.some(f => data[f] !== undefined);
+  const dispositionFieldsValid = !errors.some(e => DISPOSITION_FIELDS.includes(e.field));
+
+  if (touchesDisposition && dispositionFieldsValid) {
+    const [callType, disposition1, disposition2] = DISPOSITION_FIELDS.map(f => data[f] ?? current?.[f]);
+    if (!(await dispositionExists(callType, disposition1, disposition2, tenant))) {
+      errors.push({
+        field: 'disposition_2',
+        message: `"${callType} / ${disposition1} / ${disposition2}" is not a configured disposition`,
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Validation failed', { errors });
+  }
+}
@@ -0,0 +1,33 @@
+// src/httpError.js
+
+/**
+ * Error carrying an HTTP status code (and optional details) so route
+ * handlers can translate it into a proper response instead of a 500.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status  HTTP status code to respond with
+   * @param {string} message Human readable error message
+   * @param {Object} [details] Extra JSON-serialisable context for the client
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error as JSON. HttpErrors keep their status, anything else is
+ * logged and reported as a generic 500.
+ * @param {Object} res Express response object
+ * @param {Error} err
+ */
+export function sendError(res, err) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.message, ...(err.details || {}) });
+  }
+  console.error(err);
+  return res.status(500).json({ error: 'Internal Server Error' });
+}
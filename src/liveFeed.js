@@ -0,0 +1,278 @@
+// src/liveFeed.js
+// Supervisor live feed over Server-Sent Events: calls opened by the
+// webhook, stored dispositions and failed email / VoiceMeetMe deliveries.
+//
+// Events are written to live_events after the change commits; every
+// instance polls the table and fans new rows out to its subscribers, so
+// a client reconnecting (to any instance) resumes from Last-Event-ID.
+// ------------------------------------------------------------
+
+import { pool, dialect } from './db.js';
+import { requireRole } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+import { config } from './config.js';
+
+export const LIVE_EVENT_TYPES = ['call.opened', 'form.submitted', 'form.updated', 'email.failed', 'voicemeetme.failed'];
+
+const { pollIntervalMs: POLL_INTERVAL_MS, retentionHours: RETENTION_HOURS } = config.liveFeed;
+const HEARTBEAT_MS = 25 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+// An event id is taken on insert but visible only on commit, so an event
+// can appear below ids already delivered: every poll re-reads this many
+// seconds behind the cursors, and subscribers remember what they were sent
+const LATE_COMMIT_SECONDS = 10;
+const SEEN_TTL_MS = 6 * LATE_COMMIT_SECONDS * 1000;
+
+// Form columns copied into every event
+const FORM_FIELDS = [
+  'status', 'company', 'name', 'call_type', 'disposition_1', 'disposition_2', 'disposition_2_custom',
+  'queue_name', 'agent_ext', 'caller_id_name', 'caller_id_number',
+];
+
+// Subscription filters: query parameter → event field
+const FILTERS = { queue_id: 'queue_id', agent_id: 'agent_id', department: 'department', type: 'type' };
+
+const subscribers = new Set(); // { res, tenant, filters, floor, cursor, seen }
+
+/**
+ * Records a live feed event about a form. Call it after the change has
+ * committed; failures are logged, never thrown.
+ *
+ * @param {string} type One of LIVE_EVENT_TYPES
+ * @param {number} formId
+ * @param {Object} [data] Event specific fields (error, attempts …)
+ */
+export async function publishFormEvent(type, formId, data = {}) {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT f.tenant, f.queue_id, f.agent_id, d.name AS department, ${FORM_FIELDS.map(c => `f.${c}`).join(', ')}
+         FROM forms_new f
+         LEFT JOIN disposition_config dc
+           ON dc.tenant = f.tenant AND dc.call_type = f.call_type
+          AND dc.disposition_1 = f.disposition_1 AND dc.disposition_2 = f.disposition_2
+         LEFT JOIN departments d ON d.id = dc.department_id
+        WHERE f.id = ?`,
+      [formId]
+    );
+    if (rows.length === 0) return;
+
+    const form = rows[0];
+    const snapshot = Object.fromEntries(FORM_FIELDS.map(c => [c, form[c] ?? null]));
+    await pool.execute(
+      `INSERT INTO live_events (tenant, type, form_id, queue_id, agent_id, department, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        form.tenant, type, formId, form.queue_id || null, form.agent_id || null, form.department || null,
+        JSON.stringify({ form: snapshot, ...data }),
+      ]
+    );
+  } catch (err) {
+    console.error(`Live feed: ${type} event for form #${formId} not recorded:`, err.message);
+  }
+}
+
+function formatEvent(row) {
+  const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+  return {
+    id: Number(row.id),
+    tenant: row.tenant,
+    type: row.type,
+    formId: row.form_id,
+    queue_id: row.queue_id,
+    agent_id: row.agent_id,
+    department: row.department,
+    at: new Date(row.created_at).toISOString(),
+    ...data,
+  };
+}
+
+/**
+ * Parse ?queue_id=&agent_id=&department=&type= (comma-separated lists)
+ * @returns {Object} field → allowed values
+ */
+function parseFilters(query) {
+  const filters = {};
+  Object.entries(FILTERS).forEach(([param, field]) => {
+    if (query[param] === undefined || query[param] === '') return;
+    filters[field] = String(query[param]).split(',').map(v => v.trim()).filter(Boolean);
+  });
+
+  const unknown = (filters.type || []).filter(t => !LIVE_EVENT_TYPES.includes(t));
+  if (unknown.length) {
+    throw new HttpError(400, `type must be a comma-separated list of: ${LIVE_EVENT_TYPES.join(', ')}`);
+  }
+  return filters;
+}
+
+const matches = (subscriber, event) => event.tenant === subscriber.tenant
+  && Object.entries(subscriber.filters).every(([field, values]) => values.includes(event[field]));
+
+function send(subscriber, event) {
+  const { tenant, ...payload } = event;
+  subscriber.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Sends an event to a subscriber if it matches, and remembers it either way
+ */
+function deliver(subscriber, event) {
+  subscriber.seen.set(event.id, Date.now());
+  if (matches(subscriber, event)) send(subscriber, event);
+}
+
+/**
+ * Delivers events that committed behind a subscriber's cursor within the
+ * last LATE_COMMIT_SECONDS and were not sent yet
+ */
+async function pollLateEvents() {
+  const upTo = Math.max(...[...subscribers].map(s => s.cursor));
+  const [rows] = await pool.query(
+    `SELECT * FROM live_events WHERE id <= ? AND created_at >= ${dialect.secondsAgo()} ORDER BY id`,
+    [upTo, LATE_COMMIT_SECONDS]
+  );
+
+  rows.map(formatEvent).forEach(event => {
+    subscribers.forEach(subscriber => {
+      // Above the cursor it is still to come; below the floor it predates the subscription
+      if (event.id > subscriber.cursor || event.id <= subscriber.floor || subscriber.seen.has(event.id)) return;
+      deliver(subscriber, event);
+    });
+  });
+
+  const expired = Date.now() - SEEN_TTL_MS;
+  subscribers.forEach(subscriber => {
+    subscriber.seen.forEach((at, id) => {
+      if (at < expired) subscriber.seen.delete(id);
+    });
+  });
+}
+
+/**
+ * Delivers events newer than the oldest subscriber cursor, then any that
+ * committed late
+ */
+async function pollEvents() {
+  let more = true;
+  while (more && subscribers.size > 0) {
+    const from = Math.min(...[...subscribers].map(s => s.cursor));
+    const [rows] = await pool.query(
+      'SELECT * FROM live_events WHERE id > ? ORDER BY id LIMIT ?',
+      [from, BATCH_SIZE]
+    );
+
+    rows.map(formatEvent).forEach(event => {
+      subscribers.forEach(subscriber => {
+        if (event.id <= subscriber.cursor) return;
+        deliver(subscriber, event);
+        subscriber.cursor = event.id;
+      });
+    });
+    more = rows.length === BATCH_SIZE;
+  }
+
+  if (subscribers.size > 0) await pollLateEvents();
+}
+
+/**
+ * Deletes events older than LIVE_EVENT_RETENTION_HOURS
+ * @returns {Promise<number>} number of events deleted
+ */
+export async function pruneLiveEvents() {
+  const [result] = await pool.query(
+    `DELETE FROM live_events WHERE created_at < ${dialect.secondsAgo()}`,
+    [RETENTION_HOURS * 3600]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Starts polling live_events for subscribers, and the hourly pruning
+ * @returns {Function} stop function
+ */
+export function startLiveFeed() {
+  let running = false;
+  let lastPrune = 0;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await pollEvents();
+      if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+        lastPrune = Date.now();
+        await pruneLiveEvents();
+      }
+    } catch (err) {
+      console.error('Live feed error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+
+  console.log(`📺 Live feed started (events kept ${RETENTION_HOURS}h)`);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Where a new subscriber starts: after its Last-Event-ID (header or
+ * ?lastEventId=) when resuming, after the newest event otherwise
+ */
+async function initialCursor(req) {
+  const lastEventId = req.get('last-event-id') ?? req.query.lastEventId;
+  if (lastEventId !== undefined && lastEventId !== '') {
+    if (!/^\d+$/.test(String(lastEventId))) throw new HttpError(400, 'Last-Event-ID must be an event id');
+    return Number(lastEventId);
+  }
+  // PostgreSQL folds unquoted aliases to lower case
+  const [[{ last_id }]] = await pool.query('SELECT MAX(id) AS last_id FROM live_events');
+  return Number(last_id) || 0;
+}
+
+/**
+ * Registers the supervisor-only GET /live/events stream on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupLiveFeedRoutes(mainApp) {
+  mainApp.get('/live/events', requireRole('supervisor'), async (req, res) => {
+    let subscriber;
+    try {
+      const filters = parseFilters(req.query);
+      const cursor = await initialCursor(req);
+      subscriber = {
+        res,
+        tenant: req.tenant.code,
+        filters,
+        floor: cursor,
+        cursor,
+        seen: new Map(), // event id → when it was delivered
+      };
+    } catch (err) {
+      return sendError(res, err);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // no proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    subscribers.add(subscriber);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscribers.delete(subscriber);
+    });
+  });
+
+  console.log('Live feed routes configured');
+}
@@ -0,0 +1,300 @@
+// src/mailOutbox.js
+// Durable email outbox: notifications are persisted together with the form
+// row and delivered by a background worker with exponential backoff.
+// ------------------------------------------------------------
+
+import express from 'express';
+import { requirePlatformAdmin } from './auth.js';
+import { pool, withTransaction, dialect } from './db.js';
+import { HttpError, sendError } from './httpError.js';
+import { getTenantTransporter } from './tenants.js';
+import { publishFormEvent } from './liveFeed.js';
+import { config } from './config.js';
+
+const { maxAttempts: MAX_ATTEMPTS, pollIntervalMs: POLL_INTERVAL_MS, baseDelaySeconds: BASE_DELAY_SECONDS } = config.outbox;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const BATCH_SIZE = 10;
+// A row stuck in "sending" this long means the worker died mid-send
+const STALE_LOCK_MINUTES = 10;
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+const asList = (value) => {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const parseJsonList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return [value];
+  }
+};
+
+/**
+ * Delay before the next attempt: BASE * 2^(attempts-1), capped at 6h
+ * @param {number} attempts Attempts made so far (>= 1)
+ * @returns {number} seconds
+ */
+export function backoffSeconds(attempts) {
+  return Math.min(BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Persists a message in the outbox. Pass the transaction connection used
+ * for the forms_new write so both commit (or roll back) together.
+ *
+ * @param {Object} conn mysql2 connection (or the pool)
+ * @param {Object} message { formId, tenant, from, to, cc, bcc, subject, html, text }
+ * @returns {Promise<number>} outbox id
+ */
+export async function enqueueEmail(conn, message) {
+  const to = asList(message.to);
+  if (to.length === 0) throw new Error('enqueueEmail: at least one recipient is required');
+
+  const [result] = await conn.execute(
+    `INSERT INTO email_outbox
+       (form_id, tenant, from_address, to_addresses, cc_addresses, bcc_addresses, subject, html, text)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      message.formId || null,
+      message.tenant || null,
+      message.from || null,
+      JSON.stringify(to),
+      JSON.stringify(asList(message.cc)),
+      JSON.stringify(asList(message.bcc)),
+      message.subject || '',
+      message.html || null,
+      message.text || null,
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Claims a batch of due messages by flipping them to "sending"
+ */
+async function claimDueMessages() {
+  return withTransaction(async (conn) => {
+    await conn.query(
+      `UPDATE email_outbox SET status = 'pending'
+        WHERE status = 'sending' AND locked_at < ${dialect.secondsAgo()}`,
+      [STALE_LOCK_MINUTES * 60]
+    );
+
+    const [rows] = await conn.query(
+      `SELECT * FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at, id
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED`,
+      [BATCH_SIZE]
+    );
+
+    if (rows.length > 0) {
+      await conn.query(
+        `UPDATE email_outbox SET status = 'sending', locked_at = NOW() WHERE id IN (?)`,
+        [rows.map(r => r.id)]
+      );
+    }
+    return rows;
+  });
+}
+
+/**
+ * Sends one claimed message (through its tenant's SMTP server when it
+ * has one) and records the outcome
+ */
+async function deliver(transporter, row) {
+  const attempts = row.attempts + 1;
+  const cc = parseJsonList(row.cc_addresses);
+  const bcc = parseJsonList(row.bcc_addresses);
+
+  try {
+    const mailer = await getTenantTransporter(row.tenant, transporter);
+    await mailer.sendMail({
+      from: row.from_address || config.mail.from,
+      to: parseJsonList(row.to_addresses),
+      cc: cc.length ? cc : undefined,
+      bcc: bcc.length ? bcc : undefined,
+      subject: row.subject,
+      html: row.html || undefined,
+      text: row.text || undefined,
+    });
+
+    await pool.execute(
+      `UPDATE email_outbox
+          SET status = 'sent', attempts = ?, last_error = NULL, sent_at = NOW(), locked_at = NULL
+        WHERE id = ?`,
+      [attempts, row.id]
+    );
+    console.log(`[${new Date().toISOString()}] Outbox email #${row.id} sent to ${parseJsonList(row.to_addresses).join(', ')}`);
+  } catch (error) {
+    const dead = attempts >= MAX_ATTEMPTS;
+    await pool.execute(
+      `UPDATE email_outbox
+          SET status = ?, attempts = ?, last_error = ?, locked_at = NULL,
+              next_attempt_at = ${dialect.secondsFromNow()}
+        WHERE id = ?`,
+      [dead ? 'dead' : 'pending', attempts, String(error.message || error).slice(0, 2000), backoffSeconds(attempts), row.id]
+    );
+
+    if (dead) {
+      console.error(`Outbox email #${row.id} dead-lettered after ${attempts} attempts:`, error.message);
+    } else {
+      console.error(`Outbox email #${row.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${backoffSeconds(attempts)}s:`, error.message);
+    }
+
+    if (row.form_id) {
+      await publishFormEvent('email.failed', row.form_id, {
+        outboxId: row.id, attempts, final: dead, error: String(error.message || error),
+      });
+    }
+  }
+}
+
+/**
+ * Processes one batch of due messages
+ * @param {Object} transporter nodemailer transport
+ * @returns {Promise<number>} number of messages attempted
+ */
+export async function processOutbox(transporter) {
+  const rows = await claimDueMessages();
+  for (const row of rows) {
+    await deliver(transporter, row);
+  }
+  return rows.length;
+}
+
+/**
+ * Starts the background delivery loop
+ * @param {Object} transporter nodemailer transport
+ * @returns {Function} stop function
+ */
+export function startOutboxWorker(transporter) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      // keep draining while full batches come back
+      while ((await processOutbox(transporter)) === BATCH_SIZE);
+    } catch (err) {
+      console.error('Outbox worker error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+
+  console.log(`📬 Email outbox worker started (every ${POLL_INTERVAL_MS / 1000}s, max ${MAX_ATTEMPTS} attempts)`);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Lists outbox messages by status (dead-lettered by default)
+ * @param {Object} [options] { status, formId, limit }
+ */
+export async function listOutboxMessages({ status = 'dead', formId, limit = 100 } = {}) {
+  if (!OUTBOX_STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be one of: ${OUTBOX_STATUSES.join(', ')}`);
+  }
+
+  const where = ['status = ?'];
+  const params = [status];
+  if (formId) {
+    where.push('form_id = ?');
+    params.push(formId);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT id, form_id, from_address, to_addresses, cc_addresses, bcc_addresses, subject,
+            status, attempts, last_error, next_attempt_at, sent_at, created_at, updated_at
+       FROM email_outbox
+      WHERE ${where.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [...params, Math.min(Number(limit) || 100, 500)]
+  );
+  return rows;
+}
+
+/**
+ * Puts a failed (or any unsent) message back in the queue for immediate delivery
+ * @param {number} id
+ */
+export async function resendOutboxMessage(id) {
+  const [result] = await pool.execute(
+    `UPDATE email_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL
+      WHERE id = ? AND status IN ('dead', 'pending')`,
+    [id]
+  );
+  if (result.affectedRows === 0) {
+    throw new HttpError(404, 'No failed or pending outbox message with this id');
+  }
+}
+
+/**
+ * Re-queues every dead-lettered message
+ * @returns {Promise<number>} number of messages re-queued
+ */
+export async function resendDeadMessages() {
+  const [result] = await pool.execute(
+    `UPDATE email_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL
+      WHERE status = 'dead'`
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Registers the authenticated /admin/outbox routes on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupOutboxRoutes(mainApp) {
+  const router = express.Router();
+  router.use(requirePlatformAdmin);
+
+  // List messages (failed ones by default)
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listOutboxMessages({
+        status: req.query.status || 'dead',
+        formId: req.query.formId,
+        limit: req.query.limit,
+      }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Re-send every dead-lettered message
+  router.post('/resend', async (_req, res) => {
+    try {
+      res.json({ requeued: await resendDeadMessages() });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Re-send a single message
+  router.post('/:id/resend', async (req, res) => {
+    try {
+      await resendOutboxMessage(req.params.id);
+      res.json({ requeued: 1 });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/outbox', router);
+  console.log('Email outbox routes configured');
+}
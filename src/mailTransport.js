@@ -0,0 +1,163 @@
+// src/mailTransport.js
+// The server's mail transport, selected with MAIL_TRANSPORT:
+//   smtp      SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+//             EMAIL_USER / EMAIL_PASSWORD, SMTP_TLS_REJECT_UNAUTHORIZED)
+//   sendmail  the local sendmail binary (SENDMAIL_PATH)
+//   file      writes each message as JSON under MAIL_FILE_DIR, for local
+//             testing – nothing is sent
+//
+//   npm run mail:verify               check the configured transport
+// ------------------------------------------------------------
+
+import fs from 'fs/promises';
+import { constants as fsConstants } from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { config, assertValidConfig } from './config.js';
+
+/**
+ * nodemailer transport writing messages to `dir` as JSON files
+ * @param {string} dir
+ */
+function createFileTransport(dir) {
+  return {
+    name: 'FileTransport',
+    version: '1.0.0',
+    send(mail, done) {
+      mail.message.keepBcc = true;
+      const messageId = mail.message.messageId();
+      const envelope = mail.message.getEnvelope();
+
+      mail.normalize(async (err, data) => {
+        if (err) return done(err);
+        const { normalizedHeaders, envelope: _envelope, ...message } = data;
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(dir, `${stamp}-${messageId.replace(/[^\w.@-]/g, '')}.json`);
+        try {
+          await fs.mkdir(dir, { recursive: true });
+          await fs.writeFile(file, JSON.stringify({ messageId, envelope, ...message }, null, 2));
+          done(null, { envelope, messageId, path: file });
+        } catch (writeErr) {
+          done(writeErr);
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Creates the configured nodemailer transporter
+ * @param {Object} [mail] config.mail
+ */
+export function createMailTransport(mail = config.mail) {
+  if (mail.transport === 'sendmail') {
+    return nodemailer.createTransport({ sendmail: true, path: mail.sendmail.path, newline: 'unix', logger: mail.debug });
+  }
+  if (mail.transport === 'file') {
+    return nodemailer.createTransport(createFileTransport(mail.file.dir));
+  }
+
+  const { smtp } = mail;
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+    tls: { rejectUnauthorized: smtp.rejectUnauthorized },
+    debug: mail.debug,
+    logger: mail.debug,
+  });
+}
+
+/**
+ * The configured transport settings as [label, value] pairs, for
+ * diagnostics – the password is reported by length only
+ * @param {Object} [mail] config.mail
+ * @returns {Array<[string, string]>}
+ */
+export function describeMailTransport(mail = config.mail) {
+  const rows = [['Transport', mail.transport]];
+  if (mail.transport === 'smtp') {
+    const { smtp } = mail;
+    rows.push(
+      ['Host', smtp.host],
+      ['Port', String(smtp.port)],
+      ['Encryption', smtp.secure ? 'TLS on connect' : 'STARTTLS when offered'],
+      ['Certificate check', smtp.rejectUnauthorized ? 'on' : 'off (SMTP_TLS_REJECT_UNAUTHORIZED=false)'],
+      ['User', smtp.user || '(none – no login)'],
+      ['Password', smtp.password ? `set (${smtp.password.length} characters)` : 'not set'],
+    );
+  } else if (mail.transport === 'sendmail') {
+    rows.push(['Sendmail path', mail.sendmail.path]);
+  } else {
+    rows.push(['Directory', mail.file.dir]);
+  }
+  rows.push(['Default sender', mail.from]);
+  return rows;
+}
+
+const TROUBLESHOOTING = {
+  smtp: [
+    'Verify the email account exists and is active',
+    'Check if 2FA is enabled - you may need an app password',
+    'Ensure SMTP AUTH is enabled for this account',
+    'Check SMTP_HOST / SMTP_PORT / SMTP_SECURE match the server (465 = TLS on connect, 587 = STARTTLS)',
+    'Contact IT admin to verify account permissions',
+  ],
+  sendmail: ['Install sendmail (or postfix / msmtp) or point SENDMAIL_PATH at it'],
+  file: ['Make sure MAIL_FILE_DIR can be created and written by this user'],
+};
+
+/**
+ * Checks the transport can deliver: logs in to the SMTP server, or
+ * checks the sendmail binary / output directory. Logs the outcome with
+ * the configured settings; never throws.
+ *
+ * @param {Object} transporter nodemailer transporter
+ * @param {Object} [mail] config.mail
+ * @returns {Promise<boolean>}
+ */
+export async function verifyMailTransport(transporter, mail = config.mail) {
+  try {
+    if (mail.transport === 'smtp') {
+      await transporter.verify();
+    } else if (mail.transport === 'sendmail') {
+      await fs.access(mail.sendmail.path, fsConstants.X_OK);
+    } else {
+      await fs.mkdir(mail.file.dir, { recursive: true });
+      await fs.access(mail.file.dir, fsConstants.W_OK);
+    }
+    console.log(`✅ Mail transport ready (${describeMailTransport(mail).slice(0, 3).map(([, value]) => value).join(', ')})`);
+    return true;
+  } catch (err) {
+    console.log(`❌ Mail transport check failed: ${err.message}`);
+    console.log('\n📧 Mail configuration:');
+    describeMailTransport(mail).forEach(([label, value]) => console.log(`- ${label}: ${value}`));
+    console.log('\n🔧 Troubleshooting suggestions:');
+    TROUBLESHOOTING[mail.transport].forEach((tip, i) => console.log(`${i + 1}. ${tip}`));
+    return false;
+  }
+}
+
+// --- CLI -------------------------------------------------------------
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command] = process.argv.slice(2);
+  if (command !== 'verify') {
+    console.error('Usage: node src/mailTransport.js verify');
+    process.exit(1);
+  }
+
+  try {
+    assertValidConfig({ mail: true });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const transporter = createMailTransport();
+  verifyMailTransport(transporter).then((ok) => {
+    transporter.close();
+    process.exit(ok ? 0 : 1);
+  });
+}
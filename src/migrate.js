@@ -0,0 +1,334 @@
+// src/migrate.js
+// Versioned schema migrations (src/migrations/<DB_CLIENT>/NNNN_name.up|down.sql)
+//
+//   npm run migrate status            applied / pending migrations
+//   npm run migrate up [version]      apply pending migrations (up to version)
+//   npm run migrate down [steps]      revert the last migration(s), default 1
+//   npm run migrate baseline [version] [--force]
+//                                     mark an existing database as being at
+//                                     `version` (default 0001) without running it
+// ------------------------------------------------------------
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DB_CLIENT, openScriptConnection } from './db.js';
+import { config, assertValidConfig } from './config.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations', DB_CLIENT);
+const FILE_RE = /^(\d{4})_([\w-]+)\.(up|down)\.sql$/;
+const BASELINE_VERSION = '0001';
+const LOCK_NAME = 'schema_migrations';
+
+// What `baseline` expects to find in a database created before migrations
+const BASELINE_TABLES = ['forms_new', 'departments', 'disposition_config', 'email_outbox', 'email_templates', 'forms_new_history', 'api_clients'];
+const BASELINE_FORM_COLUMNS = ['caller_id_e164', 'call_tenant', 'call_id', 'prefilled_from'];
+
+const TRACKING_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version VARCHAR(20) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  baseline BOOLEAN NOT NULL DEFAULT FALSE,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)`;
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Migration scripts on disk, oldest first
+ * @returns {Promise<Array<{ version, name, upFile, downFile }>>}
+ */
+export async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const byVersion = new Map();
+
+  files.forEach((file) => {
+    const match = file.match(FILE_RE);
+    if (!match) return;
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) || { version, name };
+    if (entry.name !== name) {
+      throw new Error(`Migration ${version} has scripts with different names (${entry.name}, ${name})`);
+    }
+    entry[direction === 'up' ? 'upFile' : 'downFile'] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  });
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version.localeCompare(b.version));
+  const missingUp = migrations.find(m => !m.upFile);
+  if (missingUp) throw new Error(`Migration ${missingUp.version} has no .up.sql script`);
+  return migrations;
+}
+
+async function readAppliedMigrations(conn) {
+  await conn.query(TRACKING_TABLE_SQL);
+  const [rows] = await conn.query('SELECT version, name, checksum, baseline, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Runs fn with a lock so two instances never migrate at the same time
+ */
+async function withMigrationLock(conn, fn) {
+  if (DB_CLIENT === 'postgres') {
+    await conn.query('SELECT pg_advisory_lock(hashtext(?))', [LOCK_NAME]);
+    try {
+      return await fn();
+    } finally {
+      await conn.query('SELECT pg_advisory_unlock(hashtext(?))', [LOCK_NAME]);
+    }
+  }
+
+  const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, 60) AS acquired', [LOCK_NAME]);
+  if (acquired !== 1) throw new Error('Timed out waiting for the migration lock');
+  try {
+    return await fn();
+  } finally {
+    await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+}
+
+/**
+ * Runs one script; on PostgreSQL the script and its bookkeeping share a
+ * transaction. MySQL commits DDL implicitly, so a failing MySQL migration
+ * may leave earlier statements applied and needs fixing by hand.
+ */
+async function runMigrationScript(conn, sql, bookkeeping) {
+  if (DB_CLIENT === 'postgres') {
+    await conn.runScript('BEGIN');
+    try {
+      await conn.runScript(sql);
+      await bookkeeping();
+      await conn.runScript('COMMIT');
+    } catch (err) {
+      await conn.runScript('ROLLBACK');
+      throw err;
+    }
+    return;
+  }
+
+  await conn.runScript(sql);
+  await bookkeeping();
+}
+
+async function withConnection(fn) {
+  const conn = await openScriptConnection();
+  try {
+    return await fn(conn);
+  } finally {
+    await conn.end();
+  }
+}
+
+/**
+ * Applied and pending migrations, flagging applied scripts edited since
+ * @returns {Promise<Array<{ version, name, state: 'applied'|'baseline'|'pending', modified: boolean, appliedAt }>>}
+ */
+export async function migrationStatus() {
+  const migrations = await loadMigrations();
+  return withConnection(async (conn) => {
+    const applied = await readAppliedMigrations(conn);
+
+    const status = await Promise.all(migrations.map(async (m) => {
+      const row = applied.get(m.version);
+      if (!row) return { version: m.version, name: m.name, state: 'pending', modified: false, appliedAt: null };
+      const checksum = sha256(await fs.readFile(m.upFile, 'utf8'));
+      return {
+        version: m.version,
+        name: m.name,
+        state: row.baseline ? 'baseline' : 'applied',
+        modified: !row.baseline && row.checksum !== checksum,
+        appliedAt: row.applied_at,
+      };
+    }));
+
+    // Applied versions whose scripts no longer exist
+    applied.forEach((row, version) => {
+      if (!migrations.some(m => m.version === version)) {
+        status.push({ version, name: row.name, state: 'missing', modified: false, appliedAt: row.applied_at });
+      }
+    });
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
+
+/**
+ * Applies pending migrations in order
+ * @param {string} [target] Last version to apply (default: all)
+ * @returns {Promise<string[]>} applied versions
+ */
+export async function migrateUp(target) {
+  const migrations = await loadMigrations();
+
+  return withConnection(conn => withMigrationLock(conn, async () => {
+    const applied = await readAppliedMigrations(conn);
+    const pending = migrations.filter(m => !applied.has(m.version) && (!target || m.version <= target));
+    const done = [];
+
+    for (const m of pending) {
+      const sql = await fs.readFile(m.upFile, 'utf8');
+      console.log(`⬆️  Applying ${m.version}_${m.name}`);
+      await runMigrationScript(conn, sql, () => conn.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [m.version, m.name, sha256(sql)]
+      ));
+      done.push(m.version);
+    }
+    return done;
+  }));
+}
+
+/**
+ * Reverts the most recently applied migrations
+ * @param {number} [steps]
+ * @returns {Promise<string[]>} reverted versions
+ */
+export async function migrateDown(steps = 1) {
+  const migrations = await loadMigrations();
+
+  return withConnection(conn => withMigrationLock(conn, async () => {
+    const applied = await readAppliedMigrations(conn);
+    const toRevert = [...applied.keys()].sort().reverse().slice(0, steps);
+    const done = [];
+
+    for (const version of toRevert) {
+      const m = migrations.find(entry => entry.version === version);
+      if (!m?.downFile) throw new Error(`Migration ${version} has no .down.sql script; cannot revert`);
+      if (applied.get(version).baseline) {
+        throw new Error(`Migration ${version} was baselined, not applied; refusing to revert it`);
+      }
+
+      const sql = await fs.readFile(m.downFile, 'utf8');
+      console.log(`⬇️  Reverting ${m.version}_${m.name}`);
+      await runMigrationScript(conn, sql, () => conn.query('DELETE FROM schema_migrations WHERE version = ?', [version]));
+      done.push(version);
+    }
+    return done;
+  }));
+}
+
+/**
+ * Lists baseline objects missing from the current database
+ */
+async function missingBaselineObjects(conn) {
+  const schemaExpr = DB_CLIENT === 'postgres' ? 'current_schema()' : 'DATABASE()';
+  const [tables] = await conn.query(
+    `SELECT table_name AS name FROM information_schema.tables WHERE table_schema = ${schemaExpr}`
+  );
+  const [columns] = await conn.query(
+    `SELECT column_name AS name FROM information_schema.columns
+      WHERE table_schema = ${schemaExpr} AND table_name = 'forms_new'`
+  );
+
+  const tableNames = new Set(tables.map(t => t.name));
+  const columnNames = new Set(columns.map(c => c.name));
+  return [
+    ...BASELINE_TABLES.filter(t => !tableNames.has(t)).map(t => `table ${t}`),
+    ...BASELINE_FORM_COLUMNS.filter(c => !columnNames.has(c)).map(c => `column forms_new.${c}`),
+  ];
+}
+
+/**
+ * Records migrations up to `version` as applied without running them,
+ * for databases created from the old schema.sql. Refuses when the
+ * database does not look like the baseline, unless forced.
+ *
+ * @param {string} [version]
+ * @param {Object} [options] { force }
+ * @returns {Promise<string[]>} versions marked
+ */
+export async function baseline(version = BASELINE_VERSION, { force = false } = {}) {
+  const migrations = await loadMigrations();
+  if (!migrations.some(m => m.version === version)) throw new Error(`Unknown migration version ${version}`);
+
+  return withConnection(conn => withMigrationLock(conn, async () => {
+    const applied = await readAppliedMigrations(conn);
+    if (applied.size > 0) throw new Error('Database already has migration history; baseline is only for unmanaged databases');
+
+    if (version === BASELINE_VERSION && !force) {
+      const missing = await missingBaselineObjects(conn);
+      if (missing.length) {
+        throw new Error(`Database is not at the baseline schema (missing ${missing.join(', ')}). `
+          + 'Apply the scripts in src/migrations/mysql/legacy/ first, or pass --force.');
+      }
+    }
+
+    const marked = migrations.filter(m => m.version <= version);
+    for (const m of marked) {
+      await conn.query(
+        'INSERT INTO schema_migrations (version, name, checksum, baseline) VALUES (?, ?, ?, TRUE)',
+        [m.version, m.name, sha256(await fs.readFile(m.upFile, 'utf8'))]
+      );
+    }
+    return marked.map(m => m.version);
+  }));
+}
+
+/**
+ * Startup guard: throws when migrations are pending, or applies them
+ * first when MIGRATE_ON_START=true.
+ */
+export async function ensureMigrated() {
+  if (config.db.migrateOnStart) {
+    const applied = await migrateUp();
+    if (applied.length) console.log(`🗄️  Applied migrations: ${applied.join(', ')}`);
+    return;
+  }
+
+  const pending = (await migrationStatus()).filter(m => m.state === 'pending');
+  if (pending.length) {
+    throw new Error(`Database has pending migrations (${pending.map(m => `${m.version}_${m.name}`).join(', ')}). `
+      + 'Run `npm run migrate up` (or set MIGRATE_ON_START=true).');
+  }
+}
+
+// --- CLI -------------------------------------------------------------
+
+async function main([command = 'status', ...args]) {
+  switch (command) {
+    case 'status': {
+      const status = await migrationStatus();
+      if (status.length === 0) console.log('No migrations found');
+      status.forEach((m) => {
+        const when = m.appliedAt ? ` (${new Date(m.appliedAt).toISOString()})` : '';
+        console.log(`${m.state.padEnd(8)} ${m.version}_${m.name}${when}${m.modified ? '  ⚠️ modified since applied' : ''}`);
+      });
+      break;
+    }
+    case 'up': {
+      const applied = await migrateUp(args[0]);
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = args[0] === undefined ? 1 : Number(args[0]);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('down expects a positive number of steps');
+      const reverted = await migrateDown(steps);
+      console.log(reverted.length ? `Reverted ${reverted.join(', ')}` : 'Nothing to revert');
+      break;
+    }
+    case 'baseline': {
+      const version = args.find(a => !a.startsWith('--'));
+      const marked = await baseline(version, { force: args.includes('--force') });
+      console.log(`Marked as applied: ${marked.join(', ')}`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected status, up, down or baseline)`);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    assertValidConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,12 @@
+-- src/migrations/mysql/0001_baseline.down.sql
+
+-- Drops everything the baseline created (all data is lost).
+
+DROP VIEW IF EXISTS disposition_hierarchy;
+DROP TABLE IF EXISTS api_clients;
+DROP TABLE IF EXISTS forms_new_history;
+DROP TABLE IF EXISTS email_templates;
+DROP TABLE IF EXISTS email_outbox;
+DROP TABLE IF EXISTS disposition_config;
+DROP TABLE IF EXISTS departments;
+DROP TABLE IF EXISTS forms_new;
@@ -0,0 +1,198 @@
+-- src/migrations/mysql/0001_baseline.up.sql
+
+-- Baseline: the schema as it stood when migrations were introduced
+-- (formerly src/schema.sql). Cascading dispositions:
+-- Call Type → Disposition-1 → Disposition-2.
+--
+-- Databases that already have this schema are marked as migrated with
+-- `npm run migrate baseline` instead of running this script; bring older
+-- ones up to date first with the scripts in legacy/.
+
+-- Updated forms table to support new disposition structure
+CREATE TABLE IF NOT EXISTS forms_new (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  company VARCHAR(200) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  contact_number VARCHAR(20) NOT NULL,
+  email VARCHAR(100) NOT NULL,
+  call_type VARCHAR(50) NOT NULL,
+  disposition_1 VARCHAR(100) NOT NULL,
+  disposition_2 VARCHAR(100) NOT NULL,
+  query TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  -- Call center fields (optional)
+  queue_id VARCHAR(100) NULL,
+  queue_name VARCHAR(100) NULL,
+  agent_id VARCHAR(100) NULL,
+  agent_ext VARCHAR(100) NULL,
+  caller_id_name VARCHAR(100) NULL,
+  caller_id_number VARCHAR(100) NULL,
+  caller_id_e164 VARCHAR(16) NULL,        -- caller_id_number normalised to E.164 (src/phone.js)
+
+  -- Dialer call identity, used to de-duplicate repeated webhook events
+  call_tenant VARCHAR(100) NULL,
+  call_id VARCHAR(100) NULL,
+
+  -- Submission whose company / name / email were copied into this draft
+  prefilled_from INT NULL,
+  
+  UNIQUE KEY unique_call (call_tenant, call_id),
+  INDEX idx_call_type (call_type),
+  INDEX idx_disposition_1 (disposition_1),
+  INDEX idx_disposition_2 (disposition_2),
+  INDEX idx_created_at (created_at),
+  INDEX idx_agent_id (agent_id, created_at),
+  INDEX idx_queue_id (queue_id, created_at),
+  INDEX idx_caller_id_number (caller_id_number),
+  INDEX idx_caller_id_e164 (caller_id_e164, created_at),
+  INDEX idx_queue_caller_e164 (queue_id, caller_id_e164),
+  FULLTEXT INDEX ft_forms_search (company, name, email, query)
+);
+
+-- Department directory: who gets notified for a routed disposition
+CREATE TABLE IF NOT EXISTS departments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  recipients JSON NOT NULL,             -- primary "To" addresses
+  cc JSON NULL,
+  bcc JSON NULL,
+  escalation_email VARCHAR(255) NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_department_name (name)
+);
+
+INSERT INTO departments (name, recipients, cc, bcc) VALUES
+('Business Center Support Team', JSON_ARRAY('businesscenetersupport@shamsfz.ae'), JSON_ARRAY(), JSON_ARRAY());
+
+-- Table to store disposition hierarchy and department routing
+CREATE TABLE IF NOT EXISTS disposition_config (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  call_type VARCHAR(50) NOT NULL,
+  disposition_1 VARCHAR(100) NOT NULL,
+  disposition_2 VARCHAR(100) NOT NULL,
+  department_id INT NULL,                -- NULL = not routed (no email sent)
+  is_custom_input BOOLEAN DEFAULT FALSE, -- TRUE for "Others" options
+  
+  UNIQUE KEY unique_disposition (call_type, disposition_1, disposition_2),
+  INDEX idx_call_type (call_type),
+  INDEX idx_disposition_1 (disposition_1),
+  CONSTRAINT fk_disposition_department FOREIGN KEY (department_id) REFERENCES departments(id)
+);
+
+SET @business_center = (SELECT id FROM departments WHERE name = 'Business Center Support Team');
+
+-- Insert all disposition configurations with department routing
+INSERT INTO disposition_config (call_type, disposition_1, disposition_2, department_id, is_custom_input) VALUES
+
+--  → CallBack Not Rcvd
+('Customer Support', 'Meeting Room', 'Meeting Room Enquiry', @business_center, FALSE),
+('Customer Support', 'Application Support', 'Returned Application', @business_center, FALSE),
+('Customer Support', 'Concierge', 'Phone Answering Service', @business_center, FALSE),
+('Customer Support', 'Concierge', 'Tax Enquiry', @business_center, FALSE),
+('Customer Support', 'Concierge', 'Sponsor / Depenedent Visa', @business_center, FALSE),
+('Customer Support', 'Concierge', 'MOFA Attestaion', @business_center, FALSE),
+('Customer Support', 'Concierge', 'Bank Account Opening Assistance', @business_center, FALSE),
+('Customer Support', 'Concierge', 'Health Insurance', @business_center, FALSE),
+('Customer Support', 'Concierge', 'VIP Medical and Insurance', @business_center, FALSE),
+('Customer Support', 'Concierge', 'Document Delivery Service', @business_center, FALSE),
+('Customer Support', 'Concierge', 'Other Enquiry', @business_center, FALSE),
+('Customer Support', 'Renewals', 'License Renewal', @business_center, FALSE),
+('Customer Support', 'New Lead', 'New Company Formation', @business_center, FALSE),
+('Customer Support', 'Guide Team', 'New Application Submission', @business_center, FALSE),
+
+-- QUERY → Others
+('Customer Support', 'Others', 'Others', NULL, TRUE);
+
+
+-- Durable outbox for notification emails (written in the same transaction
+-- as the forms_new row, delivered by the background worker in mailOutbox.js)
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NULL,
+  from_address VARCHAR(255) NULL,
+  to_addresses JSON NOT NULL,
+  cc_addresses JSON NULL,
+  bcc_addresses JSON NULL,
+  subject VARCHAR(255) NOT NULL,
+  html MEDIUMTEXT NULL,
+  text MEDIUMTEXT NULL,
+  status ENUM('pending', 'sending', 'sent', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP NULL,
+  sent_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_outbox_due (status, next_attempt_at),
+  INDEX idx_outbox_form (form_id)
+);
+
+-- Notification email templates. Resolution order: disposition (exact
+-- Disposition-2, then whole Disposition-1 when disposition_2 IS NULL),
+-- department, default, then the built-in template in emailTemplates.js.
+CREATE TABLE IF NOT EXISTS email_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  scope ENUM('default', 'department', 'disposition') NOT NULL DEFAULT 'default',
+  department_id INT NULL,
+  call_type VARCHAR(50) NULL,
+  disposition_1 VARCHAR(100) NULL,
+  disposition_2 VARCHAR(100) NULL,
+  subject VARCHAR(255) NOT NULL,          -- supports {{variables}}, e.g. 'Call Notification: {{call_type}} - {{name}}'
+  html MEDIUMTEXT NOT NULL,
+  text MEDIUMTEXT NULL,                   -- optional; generated from html when empty
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_template_scope (scope),
+  INDEX idx_template_disposition (call_type, disposition_1, disposition_2),
+  CONSTRAINT fk_template_department FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE CASCADE
+);
+
+-- Audit trail: one row per create / update / disposition change of a form
+CREATE TABLE IF NOT EXISTS forms_new_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  action ENUM('create', 'update', 'disposition') NOT NULL,
+  changes JSON NOT NULL,                  -- { field: { from, to } }
+  actor VARCHAR(100) NULL,                -- agent id or API client
+  source VARCHAR(50) NULL,                -- e.g. 'PUT /forms', 'POST /webhook'
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+
+  INDEX idx_history_form (form_id, created_at)
+);
+
+-- API keys for the /forms API (only the SHA-256 hash is stored).
+-- Roles: agent (own drafts) < supervisor (list/search/export) < admin (config)
+CREATE TABLE IF NOT EXISTS api_clients (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  role ENUM('agent', 'supervisor', 'admin') NOT NULL,
+  agent_id VARCHAR(100) NULL,             -- required for agent keys
+  key_hash CHAR(64) NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  last_used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_key_hash (key_hash)
+);
+
+-- View to get disposition hierarchy for frontend
+CREATE OR REPLACE VIEW disposition_hierarchy AS
+SELECT DISTINCT 
+  dc.call_type,
+  dc.disposition_1,
+  dc.disposition_2,
+  d.name AS department,
+  d.recipients,
+  dc.is_custom_input
+FROM disposition_config dc
+LEFT JOIN departments d ON d.id = dc.department_id
+ORDER BY dc.call_type, dc.disposition_1, dc.disposition_2;
@@ -0,0 +1,6 @@
+-- src/migrations/mysql/0002_disposition_2_custom.up.sql
+
+-- Free text entered for "Others" dispositions. POST /webhook already
+-- writes this column, but the baseline never created it.
+
+ALTER TABLE forms_new ADD COLUMN disposition_2_custom VARCHAR(255) NULL AFTER disposition_2;
@@ -0,0 +1,42 @@
+-- src/migrations/mysql/0003_outbound_deliveries.up.sql
+
+-- Outbound HTTP destinations for final submission payloads
+-- (data warehouse, CRM …) and the per-destination delivery log.
+
+CREATE TABLE IF NOT EXISTS delivery_destinations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(2048) NOT NULL,
+  auth_header_name VARCHAR(100) NULL,     -- e.g. 'Authorization'
+  auth_header_value VARCHAR(1000) NULL,   -- e.g. 'Bearer …' (never returned by the API)
+  signing_secret VARCHAR(255) NULL,       -- HMAC-SHA256 key for X-Signature-256
+  field_mapping JSON NULL,                -- { "target.path": "payload_field" }; NULL = payload as is
+  timeout_ms INT NOT NULL DEFAULT 10000,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_destination_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  destination_id INT NOT NULL,
+  form_id INT NULL,
+  replay_of INT NULL,                     -- delivery this one re-sends
+  payload JSON NOT NULL,                  -- body as sent (after field mapping)
+  status ENUM('pending', 'sending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_status_code INT NULL,
+  last_error TEXT NULL,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP NULL,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_deliveries_due (status, next_attempt_at),
+  INDEX idx_deliveries_destination (destination_id, created_at),
+  INDEX idx_deliveries_form (form_id),
+  CONSTRAINT fk_delivery_destination FOREIGN KEY (destination_id) REFERENCES delivery_destinations(id) ON DELETE CASCADE
+);
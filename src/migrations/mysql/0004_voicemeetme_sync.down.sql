@@ -0,0 +1,10 @@
+-- src/migrations/mysql/0004_voicemeetme_sync.down.sql
+
+ALTER TABLE forms_new
+  DROP INDEX idx_vmm_sync_due,
+  DROP COLUMN vmm_sync_status,
+  DROP COLUMN vmm_sync_attempts,
+  DROP COLUMN vmm_last_error,
+  DROP COLUMN vmm_disposition,
+  DROP COLUMN vmm_next_attempt_at,
+  DROP COLUMN vmm_synced_at;
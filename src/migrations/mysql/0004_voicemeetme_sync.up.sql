@@ -0,0 +1,13 @@
+-- src/migrations/mysql/0004_voicemeetme_sync.up.sql
+
+-- Sync state of the disposition pushed to the VoiceMeetMe campaign call
+-- (call_tenant / call_id). NULL status = nothing to sync.
+
+ALTER TABLE forms_new
+  ADD COLUMN vmm_sync_status ENUM('pending', 'synced', 'failed') NULL,
+  ADD COLUMN vmm_sync_attempts INT NOT NULL DEFAULT 0,
+  ADD COLUMN vmm_last_error TEXT NULL,
+  ADD COLUMN vmm_disposition VARCHAR(400) NULL,     -- value last pushed / to push
+  ADD COLUMN vmm_next_attempt_at TIMESTAMP NULL,
+  ADD COLUMN vmm_synced_at TIMESTAMP NULL,
+  ADD INDEX idx_vmm_sync_due (vmm_sync_status, vmm_next_attempt_at);
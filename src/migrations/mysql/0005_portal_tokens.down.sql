@@ -0,0 +1,3 @@
+-- src/migrations/mysql/0005_portal_tokens.down.sql
+
+DROP TABLE IF EXISTS portal_tokens;
@@ -0,0 +1,17 @@
+-- src/migrations/mysql/0005_portal_tokens.up.sql
+
+-- VoiceMeetMe portal tokens shared by every instance
+-- (PORTAL_TOKEN_CACHE=db, see src/tokenService.js).
+
+CREATE TABLE IF NOT EXISTS portal_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cache_key VARCHAR(200) NOT NULL,        -- 'portal:<tenant>'
+  access_token TEXT NOT NULL,
+  refresh_token TEXT NULL,
+  expires_at BIGINT NOT NULL,             -- epoch ms
+  refresh_expires_at BIGINT NULL,         -- epoch ms; NULL = unknown
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_portal_token_key (cache_key)
+);
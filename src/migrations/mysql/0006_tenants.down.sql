@@ -0,0 +1,22 @@
+-- src/migrations/mysql/0006_tenants.down.sql
+-- Fails while two tenants share a disposition triple.
+
+ALTER TABLE api_clients
+  DROP FOREIGN KEY fk_api_client_tenant,
+  DROP COLUMN tenant;
+
+ALTER TABLE email_outbox
+  DROP COLUMN tenant;
+
+ALTER TABLE disposition_config
+  DROP FOREIGN KEY fk_disposition_tenant,
+  DROP INDEX unique_disposition,
+  ADD UNIQUE KEY unique_disposition (call_type, disposition_1, disposition_2),
+  DROP COLUMN tenant;
+
+ALTER TABLE forms_new
+  DROP FOREIGN KEY fk_forms_tenant,
+  DROP INDEX idx_forms_tenant,
+  DROP COLUMN tenant;
+
+DROP TABLE IF EXISTS tenants;
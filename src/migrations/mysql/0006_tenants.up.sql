@@ -0,0 +1,46 @@
+-- src/migrations/mysql/0006_tenants.up.sql
+
+-- Tenants (free-zone clients) served by one deployment. `code` is the
+-- tenant the dialer sends to /webhook; existing data belongs to 'default'.
+
+CREATE TABLE IF NOT EXISTS tenants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(100) NOT NULL,             -- e.g. 'mc_int'
+  name VARCHAR(200) NOT NULL,
+  sender_address VARCHAR(255) NULL,       -- From: of notifications; NULL = EMAIL_USER
+  smtp_host VARCHAR(255) NULL,            -- NULL = the server's default transport
+  smtp_port INT NULL,
+  smtp_secure BOOLEAN NOT NULL DEFAULT FALSE,
+  smtp_user VARCHAR(255) NULL,
+  smtp_password VARCHAR(255) NULL,        -- never returned by the API
+  client_url VARCHAR(2048) NULL,          -- form frontend; NULL = CLIENT_URL
+  fallback_email VARCHAR(255) NULL,       -- recipient of dispositions missing from disposition_config
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_tenant_code (code)
+);
+
+INSERT INTO tenants (code, name, fallback_email) VALUES ('default', 'Default', 'info@spcfz.ae');
+
+ALTER TABLE forms_new
+  ADD COLUMN tenant VARCHAR(100) NOT NULL DEFAULT 'default' AFTER id,
+  ADD INDEX idx_forms_tenant (tenant, created_at),
+  ADD CONSTRAINT fk_forms_tenant FOREIGN KEY (tenant) REFERENCES tenants(code) ON UPDATE CASCADE;
+
+-- Each tenant has its own disposition tree
+ALTER TABLE disposition_config
+  ADD COLUMN tenant VARCHAR(100) NOT NULL DEFAULT 'default' AFTER id,
+  DROP INDEX unique_disposition,
+  ADD UNIQUE KEY unique_disposition (tenant, call_type, disposition_1, disposition_2),
+  ADD CONSTRAINT fk_disposition_tenant FOREIGN KEY (tenant) REFERENCES tenants(code) ON UPDATE CASCADE;
+
+-- Picks the tenant's SMTP transport at send time; NULL = default transport
+ALTER TABLE email_outbox
+  ADD COLUMN tenant VARCHAR(100) NULL AFTER form_id;
+
+-- NULL = the default tenant, or any tenant (X-Tenant header) for admin keys
+ALTER TABLE api_clients
+  ADD COLUMN tenant VARCHAR(100) NULL AFTER agent_id,
+  ADD CONSTRAINT fk_api_client_tenant FOREIGN KEY (tenant) REFERENCES tenants(code) ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- src/migrations/mysql/0007_form_status.down.sql
+
+ALTER TABLE forms_new
+  DROP INDEX idx_forms_status,
+  DROP COLUMN status,
+  DROP COLUMN abandoned_at;
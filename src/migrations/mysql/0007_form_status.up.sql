@@ -0,0 +1,13 @@
+-- src/migrations/mysql/0007_form_status.up.sql
+
+-- Lifecycle of a form: the webhook creates a 'draft' when the call starts,
+-- the agent's submission makes it 'submitted', and drafts left untouched
+-- are swept to 'abandoned' (see formDrafts.js).
+
+ALTER TABLE forms_new
+  ADD COLUMN status ENUM('draft', 'submitted', 'abandoned') NOT NULL DEFAULT 'submitted' AFTER tenant,
+  ADD COLUMN abandoned_at TIMESTAMP NULL,
+  ADD INDEX idx_forms_status (tenant, status, created_at);
+
+-- Blank webhook rows from before this migration are still drafts
+UPDATE forms_new SET status = 'draft' WHERE call_type = '';
@@ -0,0 +1,19 @@
+-- src/migrations/mysql/0008_live_events.up.sql
+
+-- Events of the supervisor live feed (liveFeed.js). Kept for
+-- LIVE_EVENT_RETENTION_HOURS so reconnecting clients can resume from
+-- their last event id, and shared by every server instance.
+
+CREATE TABLE IF NOT EXISTS live_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  tenant VARCHAR(100) NOT NULL,
+  type VARCHAR(40) NOT NULL,              -- e.g. 'call.opened', 'email.failed'
+  form_id INT NULL,
+  queue_id VARCHAR(100) NULL,             -- filter fields, copied from the form
+  agent_id VARCHAR(100) NULL,
+  department VARCHAR(100) NULL,
+  data JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_live_events_created (created_at)
+);
@@ -0,0 +1,3 @@
+-- src/migrations/mysql/0009_tickets.down.sql
+
+DROP TABLE IF EXISTS tickets;
@@ -0,0 +1,28 @@
+-- src/migrations/mysql/0009_tickets.up.sql
+
+-- Ticket of a routed submission: one per form whose notification went to
+-- a department, followed through open → in_progress → resolved → closed.
+
+CREATE TABLE IF NOT EXISTS tickets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  tenant VARCHAR(100) NOT NULL,
+  department_id INT NULL,                 -- NULL = sent to the tenant's fallback email
+  status ENUM('open', 'in_progress', 'resolved', 'closed') NOT NULL DEFAULT 'open',
+  assignee VARCHAR(255) NULL,             -- an address of the department
+  resolution_notes TEXT NULL,
+  updated_by VARCHAR(100) NULL,           -- actor of the last transition / assignment
+  assigned_at TIMESTAMP NULL,
+  acknowledged_at TIMESTAMP NULL,
+  resolved_at TIMESTAMP NULL,
+  closed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_ticket_form (form_id),
+  INDEX idx_tickets_status (tenant, status, created_at),
+  INDEX idx_tickets_department (department_id, status),
+  CONSTRAINT fk_ticket_form FOREIGN KEY (form_id) REFERENCES forms_new(id) ON DELETE CASCADE,
+  CONSTRAINT fk_ticket_tenant FOREIGN KEY (tenant) REFERENCES tenants(code) ON UPDATE CASCADE,
+  CONSTRAINT fk_ticket_department FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE SET NULL
+);
@@ -0,0 +1,13 @@
+-- src/migrations/mysql/0010_sla.down.sql
+
+ALTER TABLE tickets
+  DROP INDEX idx_tickets_response_due,
+  DROP INDEX idx_tickets_resolution_due,
+  DROP COLUMN response_due_at,
+  DROP COLUMN resolution_due_at,
+  DROP COLUMN reminded_at,
+  DROP COLUMN escalated_at;
+
+ALTER TABLE disposition_config
+  DROP COLUMN response_sla_hours,
+  DROP COLUMN resolution_sla_hours;
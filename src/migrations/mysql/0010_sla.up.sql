@@ -0,0 +1,16 @@
+-- src/migrations/mysql/0010_sla.up.sql
+
+-- SLA targets per disposition, in business hours (NULL = SLA_RESPONSE_HOURS /
+-- SLA_RESOLUTION_HOURS), and the due times / chase state of each ticket.
+
+ALTER TABLE disposition_config
+  ADD COLUMN response_sla_hours DECIMAL(6,2) NULL,
+  ADD COLUMN resolution_sla_hours DECIMAL(6,2) NULL;
+
+ALTER TABLE tickets
+  ADD COLUMN response_due_at TIMESTAMP NULL,      -- acknowledge by
+  ADD COLUMN resolution_due_at TIMESTAMP NULL,    -- resolve by
+  ADD COLUMN reminded_at TIMESTAMP NULL,          -- routed address re-notified (response breached)
+  ADD COLUMN escalated_at TIMESTAMP NULL,         -- escalation contact notified (resolution breached)
+  ADD INDEX idx_tickets_response_due (status, response_due_at),
+  ADD INDEX idx_tickets_resolution_due (status, resolution_due_at);
@@ -0,0 +1,9 @@
+-- src/migrations/mysql/0011_department_digests.down.sql
+
+DROP TABLE IF EXISTS digest_runs;
+
+ALTER TABLE departments
+  DROP COLUMN digest_frequency,
+  DROP COLUMN digest_hour,
+  DROP COLUMN digest_weekday,
+  DROP COLUMN digest_recipients;
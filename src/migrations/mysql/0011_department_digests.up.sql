@@ -0,0 +1,24 @@
+-- src/migrations/mysql/0011_department_digests.up.sql
+
+-- Daily / weekly digest of the submissions routed to each department.
+-- Times are in BUSINESS_TIMEZONE; 'none' opts the department out.
+
+ALTER TABLE departments
+  ADD COLUMN digest_frequency ENUM('none', 'daily', 'weekly', 'both') NOT NULL DEFAULT 'daily',
+  ADD COLUMN digest_hour TINYINT NOT NULL DEFAULT 8,          -- local hour the digest is sent
+  ADD COLUMN digest_weekday CHAR(3) NOT NULL DEFAULT 'mon',   -- day of the weekly digest
+  ADD COLUMN digest_recipients JSON NULL;                     -- NULL = recipients + cc
+
+-- One row per digest sent, so every period is mailed once across instances
+CREATE TABLE IF NOT EXISTS digest_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  department_id INT NOT NULL,
+  frequency ENUM('daily', 'weekly') NOT NULL,
+  period_start TIMESTAMP NULL,
+  period_end TIMESTAMP NULL,
+  forms INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_digest_run (department_id, frequency, period_end),
+  CONSTRAINT fk_digest_department FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE CASCADE
+);
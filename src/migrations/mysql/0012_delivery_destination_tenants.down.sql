@@ -0,0 +1,8 @@
+-- src/migrations/mysql/0012_delivery_destination_tenants.down.sql
+-- Fails while two tenants have a destination of the same name.
+
+ALTER TABLE delivery_destinations
+  DROP FOREIGN KEY fk_destination_tenant,
+  DROP INDEX unique_destination_name,
+  ADD UNIQUE KEY unique_destination_name (name),
+  DROP COLUMN tenant;
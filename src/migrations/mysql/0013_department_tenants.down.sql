@@ -0,0 +1,19 @@
+-- src/migrations/mysql/0013_department_tenants.down.sql
+-- Copies made for each tenant are kept; departments of several tenants
+-- sharing a name get the tenant appended to it.
+
+ALTER TABLE email_templates
+  DROP FOREIGN KEY fk_template_tenant,
+  DROP INDEX idx_template_tenant,
+  DROP COLUMN tenant;
+
+UPDATE departments d
+  JOIN (SELECT name, MIN(id) AS id FROM departments GROUP BY name) kept
+    ON kept.name = d.name AND kept.id <> d.id
+   SET d.name = LEFT(CONCAT(d.name, ' (', d.tenant, ')'), 100);
+
+ALTER TABLE departments
+  DROP FOREIGN KEY fk_department_tenant,
+  DROP INDEX unique_department_name,
+  ADD UNIQUE KEY unique_department_name (name),
+  DROP COLUMN tenant;
@@ -0,0 +1,10 @@
+-- src/migrations/mysql/legacy/upgrade_caller_prefill.sql
+
+-- One-off upgrade for existing databases: marks webhook drafts whose
+-- contact details were pre-filled from the caller's last submission.
+-- Fresh installs get this from the baseline migration.
+
+USE shams_new_form;
+
+ALTER TABLE forms_new
+  ADD COLUMN prefilled_from INT NULL AFTER call_id;
@@ -0,0 +1,53 @@
+-- src/migrations/mysql/legacy/upgrade_departments.sql
+
+-- One-off upgrade for databases created from the original schema.sql:
+-- moves disposition_config.email_address into the departments directory.
+-- Fresh installs get this structure from the baseline migration.
+
+USE shams_new_form;
+
+CREATE TABLE IF NOT EXISTS departments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  recipients JSON NOT NULL,             -- primary "To" addresses
+  cc JSON NULL,
+  bcc JSON NULL,
+  escalation_email VARCHAR(255) NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_department_name (name)
+);
+
+-- One department per distinct routed address (named after the address for now)
+INSERT IGNORE INTO departments (name, recipients, cc, bcc)
+SELECT DISTINCT email_address, JSON_ARRAY(email_address), JSON_ARRAY(), JSON_ARRAY()
+FROM disposition_config
+WHERE email_address <> '';
+
+ALTER TABLE disposition_config ADD COLUMN department_id INT NULL AFTER disposition_2;
+
+UPDATE disposition_config dc
+JOIN departments d ON d.name = dc.email_address
+SET dc.department_id = d.id;
+
+-- Display names previously hardcoded in getDepartmentByEmail()
+UPDATE departments SET name = 'Business Center Support Team'
+WHERE name = 'businesscenetersupport@shamsfz.ae';
+
+ALTER TABLE disposition_config
+  ADD CONSTRAINT fk_disposition_department FOREIGN KEY (department_id) REFERENCES departments(id),
+  DROP COLUMN email_address;
+
+CREATE OR REPLACE VIEW disposition_hierarchy AS
+SELECT DISTINCT
+  dc.call_type,
+  dc.disposition_1,
+  dc.disposition_2,
+  d.name AS department,
+  d.recipients,
+  dc.is_custom_input
+FROM disposition_config dc
+LEFT JOIN departments d ON d.id = dc.department_id
+ORDER BY dc.call_type, dc.disposition_1, dc.disposition_2;
@@ -0,0 +1,15 @@
+-- src/migrations/mysql/legacy/upgrade_forms_indexes.sql
+
+-- One-off upgrade for existing databases: indexes backing the
+-- filters, sorting and free-text search of GET /forms.
+-- Fresh installs get these from the baseline migration.
+
+USE shams_new_form;
+
+ALTER TABLE forms_new
+  ADD INDEX idx_agent_id (agent_id, created_at),
+  ADD INDEX idx_queue_id (queue_id, created_at),
+  ADD INDEX idx_caller_id_number (caller_id_number);
+
+ALTER TABLE forms_new
+  ADD FULLTEXT INDEX ft_forms_search (company, name, email, query);
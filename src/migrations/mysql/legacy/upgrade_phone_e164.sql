@@ -0,0 +1,13 @@
+-- src/migrations/mysql/legacy/upgrade_phone_e164.sql
+
+-- One-off upgrade for existing databases: canonical E.164 caller number
+-- used for caller matching. Fresh installs get this from the baseline
+-- migration.
+-- Afterwards fill it for existing rows with: npm run backfill:phones
+
+USE shams_new_form;
+
+ALTER TABLE forms_new
+  ADD COLUMN caller_id_e164 VARCHAR(16) NULL AFTER caller_id_number,
+  ADD INDEX idx_caller_id_e164 (caller_id_e164, created_at),
+  ADD INDEX idx_queue_caller_e164 (queue_id, caller_id_e164);
@@ -0,0 +1,12 @@
+-- src/migrations/mysql/legacy/upgrade_webhook_idempotency.sql
+
+-- One-off upgrade for existing databases: dialer call identity on
+-- forms_new so a repeated GET /webhook reuses the existing draft.
+-- Fresh installs get these from the baseline migration.
+
+USE shams_new_form;
+
+ALTER TABLE forms_new
+  ADD COLUMN call_tenant VARCHAR(100) NULL,
+  ADD COLUMN call_id VARCHAR(100) NULL,
+  ADD UNIQUE KEY unique_call (call_tenant, call_id);
@@ -0,0 +1,209 @@
+-- src/migrations/postgres/0001_baseline.up.sql
+
+-- Baseline: PostgreSQL version of the MySQL baseline (formerly
+-- src/schema.pg.sql). Keep both migration folders in step: same
+-- tables, columns and seed data.
+
+-- updated_at maintenance (MySQL's ON UPDATE CURRENT_TIMESTAMP)
+CREATE OR REPLACE FUNCTION set_updated_at() RETURNS trigger AS $$
+BEGIN
+  NEW.updated_at = CURRENT_TIMESTAMP;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS forms_new (
+  id SERIAL PRIMARY KEY,
+  company VARCHAR(200) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  contact_number VARCHAR(20) NOT NULL,
+  email VARCHAR(100) NOT NULL,
+  call_type VARCHAR(50) NOT NULL,
+  disposition_1 VARCHAR(100) NOT NULL,
+  disposition_2 VARCHAR(100) NOT NULL,
+  query TEXT,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  -- Call center fields (optional)
+  queue_id VARCHAR(100) NULL,
+  queue_name VARCHAR(100) NULL,
+  agent_id VARCHAR(100) NULL,
+  agent_ext VARCHAR(100) NULL,
+  caller_id_name VARCHAR(100) NULL,
+  caller_id_number VARCHAR(100) NULL,
+  caller_id_e164 VARCHAR(16) NULL,
+
+  -- Dialer call identity, used to de-duplicate repeated webhook events
+  call_tenant VARCHAR(100) NULL,
+  call_id VARCHAR(100) NULL,
+
+  -- Submission whose company / name / email were copied into this draft
+  prefilled_from INT NULL,
+
+  CONSTRAINT unique_call UNIQUE (call_tenant, call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_forms_call_type ON forms_new (call_type);
+CREATE INDEX IF NOT EXISTS idx_forms_disposition_1 ON forms_new (disposition_1);
+CREATE INDEX IF NOT EXISTS idx_forms_disposition_2 ON forms_new (disposition_2);
+CREATE INDEX IF NOT EXISTS idx_forms_created_at ON forms_new (created_at);
+CREATE INDEX IF NOT EXISTS idx_forms_agent_id ON forms_new (agent_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_forms_queue_id ON forms_new (queue_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_forms_caller_id_number ON forms_new (caller_id_number);
+CREATE INDEX IF NOT EXISTS idx_forms_caller_id_e164 ON forms_new (caller_id_e164, created_at);
+CREATE INDEX IF NOT EXISTS idx_forms_queue_caller_e164 ON forms_new (queue_id, caller_id_e164);
+-- Must match the expression built by dialect.fullTextMatch in db.js
+CREATE INDEX IF NOT EXISTS ft_forms_search ON forms_new USING GIN (
+  to_tsvector('simple', coalesce(company, '') || ' ' || coalesce(name, '') || ' ' || coalesce(email, '') || ' ' || coalesce(query, ''))
+);
+
+-- Department directory: who gets notified for a routed disposition
+CREATE TABLE IF NOT EXISTS departments (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  recipients JSONB NOT NULL,            -- primary "To" addresses
+  cc JSONB NULL,
+  bcc JSONB NULL,
+  escalation_email VARCHAR(255) NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_department_name UNIQUE (name)
+);
+
+CREATE OR REPLACE TRIGGER departments_updated_at BEFORE UPDATE ON departments
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+INSERT INTO departments (name, recipients, cc, bcc) VALUES
+('Business Center Support Team', '["businesscenetersupport@shamsfz.ae"]', '[]', '[]')
+ON CONFLICT (name) DO NOTHING;
+
+-- Table to store disposition hierarchy and department routing
+CREATE TABLE IF NOT EXISTS disposition_config (
+  id SERIAL PRIMARY KEY,
+  call_type VARCHAR(50) NOT NULL,
+  disposition_1 VARCHAR(100) NOT NULL,
+  disposition_2 VARCHAR(100) NOT NULL,
+  department_id INT NULL REFERENCES departments(id),  -- NULL = not routed (no email sent)
+  is_custom_input BOOLEAN DEFAULT FALSE,               -- TRUE for "Others" options
+
+  CONSTRAINT unique_disposition UNIQUE (call_type, disposition_1, disposition_2)
+);
+
+CREATE INDEX IF NOT EXISTS idx_disposition_call_type ON disposition_config (call_type);
+CREATE INDEX IF NOT EXISTS idx_disposition_disposition_1 ON disposition_config (disposition_1);
+
+-- Insert all disposition configurations with department routing
+INSERT INTO disposition_config (call_type, disposition_1, disposition_2, department_id, is_custom_input)
+SELECT v.call_type, v.disposition_1, v.disposition_2,
+       CASE WHEN v.routed THEN (SELECT id FROM departments WHERE name = 'Business Center Support Team') END,
+       v.is_custom_input
+FROM (VALUES
+  ('Customer Support', 'Meeting Room', 'Meeting Room Enquiry', TRUE, FALSE),
+  ('Customer Support', 'Application Support', 'Returned Application', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'Phone Answering Service', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'Tax Enquiry', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'Sponsor / Depenedent Visa', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'MOFA Attestaion', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'Bank Account Opening Assistance', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'Health Insurance', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'VIP Medical and Insurance', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'Document Delivery Service', TRUE, FALSE),
+  ('Customer Support', 'Concierge', 'Other Enquiry', TRUE, FALSE),
+  ('Customer Support', 'Renewals', 'License Renewal', TRUE, FALSE),
+  ('Customer Support', 'New Lead', 'New Company Formation', TRUE, FALSE),
+  ('Customer Support', 'Guide Team', 'New Application Submission', TRUE, FALSE),
+  ('Customer Support', 'Others', 'Others', FALSE, TRUE)
+) AS v (call_type, disposition_1, disposition_2, routed, is_custom_input)
+ON CONFLICT (call_type, disposition_1, disposition_2) DO NOTHING;
+
+-- Durable outbox for notification emails (see mailOutbox.js)
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id SERIAL PRIMARY KEY,
+  form_id INT NULL,
+  from_address VARCHAR(255) NULL,
+  to_addresses JSONB NOT NULL,
+  cc_addresses JSONB NULL,
+  bcc_addresses JSONB NULL,
+  subject VARCHAR(255) NOT NULL,
+  html TEXT NULL,
+  text TEXT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMPTZ NULL,
+  sent_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_due ON email_outbox (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbox_form ON email_outbox (form_id);
+
+CREATE OR REPLACE TRIGGER email_outbox_updated_at BEFORE UPDATE ON email_outbox
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Notification email templates (resolution order: see the MySQL baseline)
+CREATE TABLE IF NOT EXISTS email_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  scope VARCHAR(12) NOT NULL DEFAULT 'default' CHECK (scope IN ('default', 'department', 'disposition')),
+  department_id INT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  call_type VARCHAR(50) NULL,
+  disposition_1 VARCHAR(100) NULL,
+  disposition_2 VARCHAR(100) NULL,
+  subject VARCHAR(255) NOT NULL,
+  html TEXT NOT NULL,
+  text TEXT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_scope ON email_templates (scope);
+CREATE INDEX IF NOT EXISTS idx_template_disposition ON email_templates (call_type, disposition_1, disposition_2);
+
+CREATE OR REPLACE TRIGGER email_templates_updated_at BEFORE UPDATE ON email_templates
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Audit trail: one row per create / update / disposition change of a form
+CREATE TABLE IF NOT EXISTS forms_new_history (
+  id SERIAL PRIMARY KEY,
+  form_id INT NOT NULL,
+  action VARCHAR(12) NOT NULL CHECK (action IN ('create', 'update', 'disposition')),
+  changes JSONB NOT NULL,
+  actor VARCHAR(100) NULL,
+  source VARCHAR(50) NULL,
+  created_at TIMESTAMPTZ(3) DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_history_form ON forms_new_history (form_id, created_at);
+
+-- API keys for the /forms API (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS api_clients (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  role VARCHAR(10) NOT NULL CHECK (role IN ('agent', 'supervisor', 'admin')),
+  agent_id VARCHAR(100) NULL,
+  key_hash CHAR(64) NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  last_used_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_key_hash UNIQUE (key_hash)
+);
+
+-- View to get disposition hierarchy for frontend
+CREATE OR REPLACE VIEW disposition_hierarchy AS
+SELECT DISTINCT
+  dc.call_type,
+  dc.disposition_1,
+  dc.disposition_2,
+  d.name AS department,
+  d.recipients,
+  dc.is_custom_input
+FROM disposition_config dc
+LEFT JOIN departments d ON d.id = dc.department_id
+ORDER BY dc.call_type, dc.disposition_1, dc.disposition_2;
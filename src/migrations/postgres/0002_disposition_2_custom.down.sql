@@ -0,0 +1,3 @@
+-- src/migrations/postgres/0002_disposition_2_custom.down.sql
+
+ALTER TABLE forms_new DROP COLUMN disposition_2_custom;
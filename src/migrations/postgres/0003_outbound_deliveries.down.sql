@@ -0,0 +1,4 @@
+-- src/migrations/postgres/0003_outbound_deliveries.down.sql
+
+DROP TABLE IF EXISTS deliveries;
+DROP TABLE IF EXISTS delivery_destinations;
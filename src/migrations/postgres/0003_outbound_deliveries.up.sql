@@ -0,0 +1,47 @@
+-- src/migrations/postgres/0003_outbound_deliveries.up.sql
+
+-- Outbound HTTP destinations for final submission payloads
+-- (data warehouse, CRM …) and the per-destination delivery log.
+
+CREATE TABLE IF NOT EXISTS delivery_destinations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(2048) NOT NULL,
+  auth_header_name VARCHAR(100) NULL,
+  auth_header_value VARCHAR(1000) NULL,
+  signing_secret VARCHAR(255) NULL,
+  field_mapping JSONB NULL,
+  timeout_ms INT NOT NULL DEFAULT 10000,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_destination_name UNIQUE (name)
+);
+
+CREATE OR REPLACE TRIGGER delivery_destinations_updated_at BEFORE UPDATE ON delivery_destinations
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS deliveries (
+  id SERIAL PRIMARY KEY,
+  destination_id INT NOT NULL REFERENCES delivery_destinations(id) ON DELETE CASCADE,
+  form_id INT NULL,
+  replay_of INT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'delivered', 'dead')),
+  attempts INT NOT NULL DEFAULT 0,
+  last_status_code INT NULL,
+  last_error TEXT NULL,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMPTZ NULL,
+  delivered_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_due ON deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_deliveries_destination ON deliveries (destination_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_deliveries_form ON deliveries (form_id);
+
+CREATE OR REPLACE TRIGGER deliveries_updated_at BEFORE UPDATE ON deliveries
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,11 @@
+-- src/migrations/postgres/0004_voicemeetme_sync.down.sql
+
+DROP INDEX IF EXISTS idx_vmm_sync_due;
+
+ALTER TABLE forms_new
+  DROP COLUMN vmm_sync_status,
+  DROP COLUMN vmm_sync_attempts,
+  DROP COLUMN vmm_last_error,
+  DROP COLUMN vmm_disposition,
+  DROP COLUMN vmm_next_attempt_at,
+  DROP COLUMN vmm_synced_at;
@@ -0,0 +1,14 @@
+-- src/migrations/postgres/0004_voicemeetme_sync.up.sql
+
+-- Sync state of the disposition pushed to the VoiceMeetMe campaign call
+-- (call_tenant / call_id). NULL status = nothing to sync.
+
+ALTER TABLE forms_new
+  ADD COLUMN vmm_sync_status VARCHAR(10) NULL CHECK (vmm_sync_status IN ('pending', 'synced', 'failed')),
+  ADD COLUMN vmm_sync_attempts INT NOT NULL DEFAULT 0,
+  ADD COLUMN vmm_last_error TEXT NULL,
+  ADD COLUMN vmm_disposition VARCHAR(400) NULL,
+  ADD COLUMN vmm_next_attempt_at TIMESTAMPTZ NULL,
+  ADD COLUMN vmm_synced_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vmm_sync_due ON forms_new (vmm_sync_status, vmm_next_attempt_at);
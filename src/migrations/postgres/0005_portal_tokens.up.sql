@@ -0,0 +1,20 @@
+-- src/migrations/postgres/0005_portal_tokens.up.sql
+
+-- VoiceMeetMe portal tokens shared by every instance
+-- (PORTAL_TOKEN_CACHE=db, see src/tokenService.js).
+
+CREATE TABLE IF NOT EXISTS portal_tokens (
+  id SERIAL PRIMARY KEY,
+  cache_key VARCHAR(200) NOT NULL,
+  access_token TEXT NOT NULL,
+  refresh_token TEXT NULL,
+  expires_at BIGINT NOT NULL,
+  refresh_expires_at BIGINT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_portal_token_key UNIQUE (cache_key)
+);
+
+CREATE OR REPLACE TRIGGER portal_tokens_updated_at BEFORE UPDATE ON portal_tokens
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
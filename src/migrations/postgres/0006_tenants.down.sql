@@ -0,0 +1,20 @@
+-- src/migrations/postgres/0006_tenants.down.sql
+-- Fails while two tenants share a disposition triple.
+
+ALTER TABLE api_clients
+  DROP COLUMN tenant;
+
+ALTER TABLE email_outbox
+  DROP COLUMN tenant;
+
+ALTER TABLE disposition_config
+  DROP CONSTRAINT unique_disposition,
+  DROP COLUMN tenant,
+  ADD CONSTRAINT unique_disposition UNIQUE (call_type, disposition_1, disposition_2);
+
+DROP INDEX IF EXISTS idx_forms_tenant;
+
+ALTER TABLE forms_new
+  DROP COLUMN tenant;
+
+DROP TABLE IF EXISTS tenants;
@@ -0,0 +1,50 @@
+-- src/migrations/postgres/0006_tenants.up.sql
+
+-- Tenants (free-zone clients) served by one deployment. `code` is the
+-- tenant the dialer sends to /webhook; existing data belongs to 'default'.
+
+CREATE TABLE IF NOT EXISTS tenants (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(100) NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  sender_address VARCHAR(255) NULL,
+  smtp_host VARCHAR(255) NULL,
+  smtp_port INT NULL,
+  smtp_secure BOOLEAN NOT NULL DEFAULT FALSE,
+  smtp_user VARCHAR(255) NULL,
+  smtp_password VARCHAR(255) NULL,
+  client_url VARCHAR(2048) NULL,
+  fallback_email VARCHAR(255) NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_tenant_code UNIQUE (code)
+);
+
+CREATE OR REPLACE TRIGGER tenants_updated_at BEFORE UPDATE ON tenants
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+INSERT INTO tenants (code, name, fallback_email) VALUES ('default', 'Default', 'info@spcfz.ae');
+
+ALTER TABLE forms_new
+  ADD COLUMN tenant VARCHAR(100) NOT NULL DEFAULT 'default'
+    CONSTRAINT fk_forms_tenant REFERENCES tenants(code) ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_forms_tenant ON forms_new (tenant, created_at);
+
+-- Each tenant has its own disposition tree
+ALTER TABLE disposition_config
+  ADD COLUMN tenant VARCHAR(100) NOT NULL DEFAULT 'default'
+    CONSTRAINT fk_disposition_tenant REFERENCES tenants(code) ON UPDATE CASCADE,
+  DROP CONSTRAINT unique_disposition,
+  ADD CONSTRAINT unique_disposition UNIQUE (tenant, call_type, disposition_1, disposition_2);
+
+-- Picks the tenant's SMTP transport at send time; NULL = default transport
+ALTER TABLE email_outbox
+  ADD COLUMN tenant VARCHAR(100) NULL;
+
+-- NULL = the default tenant, or any tenant (X-Tenant header) for admin keys
+ALTER TABLE api_clients
+  ADD COLUMN tenant VARCHAR(100) NULL
+    CONSTRAINT fk_api_client_tenant REFERENCES tenants(code) ON UPDATE CASCADE;
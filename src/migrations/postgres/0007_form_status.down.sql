@@ -0,0 +1,7 @@
+-- src/migrations/postgres/0007_form_status.down.sql
+
+DROP INDEX IF EXISTS idx_forms_status;
+
+ALTER TABLE forms_new
+  DROP COLUMN status,
+  DROP COLUMN abandoned_at;
@@ -0,0 +1,14 @@
+-- src/migrations/postgres/0007_form_status.up.sql
+
+-- Lifecycle of a form: the webhook creates a 'draft' when the call starts,
+-- the agent's submission makes it 'submitted', and drafts left untouched
+-- are swept to 'abandoned' (see formDrafts.js).
+
+ALTER TABLE forms_new
+  ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'submitted' CHECK (status IN ('draft', 'submitted', 'abandoned')),
+  ADD COLUMN abandoned_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS idx_forms_status ON forms_new (tenant, status, created_at);
+
+-- Blank webhook rows from before this migration are still drafts
+UPDATE forms_new SET status = 'draft' WHERE call_type = '';
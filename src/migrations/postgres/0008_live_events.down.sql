@@ -0,0 +1,3 @@
+-- src/migrations/postgres/0008_live_events.down.sql
+
+DROP TABLE IF EXISTS live_events;
@@ -0,0 +1,19 @@
+-- src/migrations/postgres/0008_live_events.up.sql
+
+-- Events of the supervisor live feed (liveFeed.js). Kept for
+-- LIVE_EVENT_RETENTION_HOURS so reconnecting clients can resume from
+-- their last event id, and shared by every server instance.
+
+CREATE TABLE IF NOT EXISTS live_events (
+  id BIGSERIAL PRIMARY KEY,
+  tenant VARCHAR(100) NOT NULL,
+  type VARCHAR(40) NOT NULL,
+  form_id INT NULL,
+  queue_id VARCHAR(100) NULL,
+  agent_id VARCHAR(100) NULL,
+  department VARCHAR(100) NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_live_events_created ON live_events (created_at);
@@ -0,0 +1,29 @@
+-- src/migrations/postgres/0009_tickets.up.sql
+
+-- Ticket of a routed submission: one per form whose notification went to
+-- a department, followed through open → in_progress → resolved → closed.
+
+CREATE TABLE IF NOT EXISTS tickets (
+  id SERIAL PRIMARY KEY,
+  form_id INT NOT NULL REFERENCES forms_new(id) ON DELETE CASCADE,
+  tenant VARCHAR(100) NOT NULL REFERENCES tenants(code) ON UPDATE CASCADE,
+  department_id INT NULL REFERENCES departments(id) ON DELETE SET NULL,
+  status VARCHAR(12) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'resolved', 'closed')),
+  assignee VARCHAR(255) NULL,
+  resolution_notes TEXT NULL,
+  updated_by VARCHAR(100) NULL,
+  assigned_at TIMESTAMPTZ NULL,
+  acknowledged_at TIMESTAMPTZ NULL,
+  resolved_at TIMESTAMPTZ NULL,
+  closed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_ticket_form UNIQUE (form_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets (tenant, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_tickets_department ON tickets (department_id, status);
+
+CREATE OR REPLACE TRIGGER tickets_updated_at BEFORE UPDATE ON tickets
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
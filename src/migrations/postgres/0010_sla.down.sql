@@ -0,0 +1,14 @@
+-- src/migrations/postgres/0010_sla.down.sql
+
+DROP INDEX IF EXISTS idx_tickets_response_due;
+DROP INDEX IF EXISTS idx_tickets_resolution_due;
+
+ALTER TABLE tickets
+  DROP COLUMN response_due_at,
+  DROP COLUMN resolution_due_at,
+  DROP COLUMN reminded_at,
+  DROP COLUMN escalated_at;
+
+ALTER TABLE disposition_config
+  DROP COLUMN response_sla_hours,
+  DROP COLUMN resolution_sla_hours;
@@ -0,0 +1,17 @@
+-- src/migrations/postgres/0010_sla.up.sql
+
+-- SLA targets per disposition, in business hours (NULL = SLA_RESPONSE_HOURS /
+-- SLA_RESOLUTION_HOURS), and the due times / chase state of each ticket.
+
+ALTER TABLE disposition_config
+  ADD COLUMN response_sla_hours NUMERIC(6,2) NULL,
+  ADD COLUMN resolution_sla_hours NUMERIC(6,2) NULL;
+
+ALTER TABLE tickets
+  ADD COLUMN response_due_at TIMESTAMPTZ NULL,
+  ADD COLUMN resolution_due_at TIMESTAMPTZ NULL,
+  ADD COLUMN reminded_at TIMESTAMPTZ NULL,
+  ADD COLUMN escalated_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_response_due ON tickets (status, response_due_at);
+CREATE INDEX IF NOT EXISTS idx_tickets_resolution_due ON tickets (status, resolution_due_at);
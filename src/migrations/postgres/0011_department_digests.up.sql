@@ -0,0 +1,24 @@
+-- src/migrations/postgres/0011_department_digests.up.sql
+
+-- Daily / weekly digest of the submissions routed to each department.
+-- Times are in BUSINESS_TIMEZONE; 'none' opts the department out.
+
+ALTER TABLE departments
+  ADD COLUMN digest_frequency VARCHAR(10) NOT NULL DEFAULT 'daily'
+    CHECK (digest_frequency IN ('none', 'daily', 'weekly', 'both')),
+  ADD COLUMN digest_hour SMALLINT NOT NULL DEFAULT 8 CHECK (digest_hour BETWEEN 0 AND 23),
+  ADD COLUMN digest_weekday CHAR(3) NOT NULL DEFAULT 'mon',
+  ADD COLUMN digest_recipients JSONB NULL;
+
+-- One row per digest sent, so every period is mailed once across instances
+CREATE TABLE IF NOT EXISTS digest_runs (
+  id SERIAL PRIMARY KEY,
+  department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  period_start TIMESTAMPTZ NULL,
+  period_end TIMESTAMPTZ NULL,
+  forms INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT unique_digest_run UNIQUE (department_id, frequency, period_end)
+);
@@ -0,0 +1,7 @@
+-- src/migrations/postgres/0012_delivery_destination_tenants.down.sql
+-- Fails while two tenants have a destination of the same name.
+
+ALTER TABLE delivery_destinations
+  DROP CONSTRAINT unique_destination_name,
+  DROP COLUMN tenant,
+  ADD CONSTRAINT unique_destination_name UNIQUE (name);
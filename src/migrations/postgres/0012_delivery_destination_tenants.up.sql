@@ -0,0 +1,11 @@
+-- src/migrations/postgres/0012_delivery_destination_tenants.up.sql
+
+-- Each tenant has its own delivery destinations; a submission is only
+-- delivered to the destinations of its tenant. Existing destinations
+-- belong to 'default'.
+
+ALTER TABLE delivery_destinations
+  ADD COLUMN tenant VARCHAR(100) NOT NULL DEFAULT 'default'
+    CONSTRAINT fk_destination_tenant REFERENCES tenants(code) ON UPDATE CASCADE,
+  DROP CONSTRAINT unique_destination_name,
+  ADD CONSTRAINT unique_destination_name UNIQUE (tenant, name);
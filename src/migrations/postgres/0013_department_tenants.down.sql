@@ -0,0 +1,18 @@
+-- src/migrations/postgres/0013_department_tenants.down.sql
+-- Copies made for each tenant are kept; departments of several tenants
+-- sharing a name get the tenant appended to it.
+
+DROP INDEX IF EXISTS idx_template_tenant;
+
+ALTER TABLE email_templates
+  DROP COLUMN tenant;
+
+UPDATE departments d
+   SET name = LEFT(d.name || ' (' || d.tenant || ')', 100)
+  FROM (SELECT name, MIN(id) AS id FROM departments GROUP BY name) kept
+ WHERE kept.name = d.name AND kept.id <> d.id;
+
+ALTER TABLE departments
+  DROP CONSTRAINT unique_department_name,
+  DROP COLUMN tenant,
+  ADD CONSTRAINT unique_department_name UNIQUE (name);
@@ -0,0 +1,68 @@
+-- src/migrations/postgres/0013_department_tenants.up.sql
+
+-- Departments and email templates belong to a tenant, like the
+-- disposition tree routing to them. Existing data keeps working:
+--  - a department goes to the tenant whose dispositions route to it, and
+--    is copied for every further tenant routing to it (those dispositions
+--    and their tickets move to the copy);
+--  - templates are copied for every tenant, department templates for the
+--    tenants having that department.
+-- Other departments and templates belong to 'default'.
+
+ALTER TABLE departments
+  ADD COLUMN tenant VARCHAR(100) NOT NULL DEFAULT 'default'
+    CONSTRAINT fk_department_tenant REFERENCES tenants(code) ON UPDATE CASCADE,
+  DROP CONSTRAINT unique_department_name,
+  ADD CONSTRAINT unique_department_name UNIQUE (tenant, name);
+
+UPDATE departments d
+   SET tenant = routed.tenant
+  FROM (SELECT department_id, MIN(tenant) AS tenant
+          FROM disposition_config
+         WHERE department_id IS NOT NULL
+         GROUP BY department_id) routed
+ WHERE routed.department_id = d.id;
+
+INSERT INTO departments
+  (tenant, name, recipients, cc, bcc, escalation_email, is_active,
+   digest_frequency, digest_hour, digest_weekday, digest_recipients, created_at, updated_at)
+SELECT routed.tenant, d.name, d.recipients, d.cc, d.bcc, d.escalation_email, d.is_active,
+       d.digest_frequency, d.digest_hour, d.digest_weekday, d.digest_recipients, d.created_at, d.updated_at
+  FROM departments d
+  JOIN (SELECT DISTINCT department_id, tenant FROM disposition_config) routed
+    ON routed.department_id = d.id AND routed.tenant <> d.tenant;
+
+-- Names were unique, so (tenant, name) finds a tenant's copy
+UPDATE disposition_config dc
+   SET department_id = copy.id
+  FROM departments shared, departments copy
+ WHERE shared.id = dc.department_id AND shared.tenant <> dc.tenant
+   AND copy.tenant = dc.tenant AND copy.name = shared.name;
+
+UPDATE tickets t
+   SET department_id = copy.id
+  FROM departments shared, departments copy
+ WHERE shared.id = t.department_id AND shared.tenant <> t.tenant
+   AND copy.tenant = t.tenant AND copy.name = shared.name;
+
+ALTER TABLE email_templates
+  ADD COLUMN tenant VARCHAR(100) NOT NULL DEFAULT 'default'
+    CONSTRAINT fk_template_tenant REFERENCES tenants(code) ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_template_tenant ON email_templates (tenant, scope);
+
+UPDATE email_templates t
+   SET tenant = d.tenant
+  FROM departments d
+ WHERE d.id = t.department_id;
+
+INSERT INTO email_templates
+  (tenant, name, scope, department_id, call_type, disposition_1, disposition_2,
+   subject, html, text, is_active, created_at, updated_at)
+SELECT tn.code, t.name, t.scope, copy.id, t.call_type, t.disposition_1, t.disposition_2,
+       t.subject, t.html, t.text, t.is_active, t.created_at, t.updated_at
+  FROM email_templates t
+  JOIN tenants tn ON tn.code <> t.tenant
+  LEFT JOIN departments d ON d.id = t.department_id
+  LEFT JOIN departments copy ON copy.tenant = tn.code AND copy.name = d.name
+ WHERE t.scope <> 'department' OR copy.id IS NOT NULL;
@@ -0,0 +1,618 @@
+// src/outboundDelivery.js
+// Outbound delivery of final submission payloads to configured HTTP
+// destinations: HMAC-signed, retried with backoff, logged and replayable.
+// ------------------------------------------------------------
+
+import crypto from 'crypto';
+import express from 'express';
+import { requirePlatformAdmin } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+import { pool, withTransaction, dialect } from './db.js';
+import { config } from './config.js';
+
+const { maxAttempts: MAX_ATTEMPTS, pollIntervalMs: POLL_INTERVAL_MS, baseDelaySeconds: BASE_DELAY_SECONDS } = config.delivery;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const BATCH_SIZE = 10;
+const STALE_LOCK_MINUTES = 10;
+const MAX_ERROR_LENGTH = 2000;
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+
+// Client errors that will not fix themselves – no point retrying
+const isPermanentFailure = status => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+const DESTINATION_COLUMNS = `id, tenant, name, url, auth_header_name, auth_header_value, signing_secret,
+  field_mapping, timeout_ms, is_active, created_at, updated_at`;
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Delay before the next attempt: BASE * 2^(attempts-1), capped at 6h
+ * @param {number} attempts Attempts made so far (>= 1)
+ * @returns {number} seconds
+ */
+export function deliveryBackoffSeconds(attempts) {
+  return Math.min(BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_SECONDS);
+}
+
+/**
+ * The final submission payload sent to every destination
+ * @param {number} formId
+ * @param {Object} data Submitted form data
+ * @param {Object} routing Result of getDispositionEmail()
+ */
+export function buildSubmissionPayload(formId, data, routing) {
+  return {
+    form_id: formId,
+
+    // Basic form data
+    company: data.company,
+    name: data.name,
+    contact_number: data.contact_number,
+    email: data.email,
+
+    // Disposition data
+    call_type: data.call_type,
+    disposition_1: data.disposition_1,
+    disposition_2: data.disposition_2,
+    disposition_2_custom: data.disposition_2_custom || null,
+    query: data.query || null,
+
+    // Call center data
+    queue_id: data.queue_id || null,
+    queue_name: data.queue_name || null,
+    agent_id: data.agent_id || null,
+    agent_ext: data.agent_ext || null,
+    caller_id_name: data.caller_id_name || null,
+    caller_id_number: data.caller_id_number || null,
+
+    // Routing
+    target_email: routing.email || null,
+    department: routing.departmentName,
+
+    submission_timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Reshapes a payload with a destination's field mapping:
+ * { "target.path": "payload_field" }. Dotted targets build nested objects;
+ * fields not listed are dropped. Without a mapping the payload is sent as is.
+ *
+ * @param {Object} payload
+ * @param {Object|null} mapping
+ */
+export function applyFieldMapping(payload, mapping) {
+  if (!mapping || Object.keys(mapping).length === 0) return payload;
+
+  const result = {};
+  Object.entries(mapping).forEach(([target, source]) => {
+    const keys = target.split('.');
+    let node = result;
+    keys.slice(0, -1).forEach((key) => {
+      if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = payload[source] ?? null;
+  });
+  return result;
+}
+
+/**
+ * Signature header value: hex HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} body Raw JSON body
+ * @param {string} secret
+ * @param {number} timestamp Unix seconds
+ */
+export function signDelivery(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Queues the payload for every active destination of the form's tenant.
+ * Pass the transaction connection of the form insert so the deliveries
+ * commit with the form.
+ *
+ * @param {Object} conn Transaction connection (or the pool)
+ * @param {number} formId
+ * @param {Object} payload Result of buildSubmissionPayload()
+ * @param {Object} tenant Tenant row of the form
+ * @returns {Promise<number>} deliveries queued
+ */
+export async function enqueueDeliveries(conn, formId, payload, tenant) {
+  const [destinations] = await conn.execute(
+    'SELECT id, field_mapping FROM delivery_destinations WHERE tenant = ? AND is_active = TRUE',
+    [tenant.code]
+  );
+
+  for (const destination of destinations) {
+    const body = applyFieldMapping(payload, parseJson(destination.field_mapping));
+    await conn.execute(
+      'INSERT INTO deliveries (destination_id, form_id, payload) VALUES (?, ?, ?)',
+      [destination.id, formId, JSON.stringify(body)]
+    );
+  }
+  return destinations.length;
+}
+
+// --- Worker ----------------------------------------------------------
+
+/**
+ * Claims a batch of due deliveries by flipping them to "sending"
+ */
+async function claimDueDeliveries() {
+  return withTransaction(async (conn) => {
+    await conn.query(
+      `UPDATE deliveries SET status = 'pending'
+        WHERE status = 'sending' AND locked_at < ${dialect.secondsAgo()}`,
+      [STALE_LOCK_MINUTES * 60]
+    );
+
+    const [rows] = await conn.query(
+      `SELECT d.id FROM deliveries d
+         JOIN delivery_destinations dd ON dd.id = d.destination_id AND dd.is_active = TRUE
+        WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+        ORDER BY d.next_attempt_at, d.id
+        LIMIT ?
+        FOR UPDATE OF d SKIP LOCKED`,
+      [BATCH_SIZE]
+    );
+    if (rows.length === 0) return [];
+
+    const ids = rows.map(r => r.id);
+    await conn.query(`UPDATE deliveries SET status = 'sending', locked_at = NOW() WHERE id IN (?)`, [ids]);
+
+    const [claimed] = await conn.query(
+      `SELECT d.id, d.payload, d.attempts, d.destination_id,
+              dd.name, dd.url, dd.auth_header_name, dd.auth_header_value, dd.signing_secret, dd.timeout_ms
+         FROM deliveries d
+         JOIN delivery_destinations dd ON dd.id = d.destination_id
+        WHERE d.id IN (?)
+        ORDER BY d.id`,
+      [ids]
+    );
+    return claimed;
+  });
+}
+
+/**
+ * POSTs one claimed delivery and records the outcome
+ */
+async function deliver(row) {
+  const attempts = row.attempts + 1;
+  const payload = parseJson(row.payload);
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'form-back-delivery/1.0',
+    'X-Delivery-Id': String(row.id),
+    'X-Delivery-Attempt': String(attempts),
+    'X-Signature-Timestamp': String(timestamp),
+  };
+  if (row.signing_secret) headers['X-Signature-256'] = signDelivery(body, row.signing_secret, timestamp);
+  if (row.auth_header_name && row.auth_header_value) headers[row.auth_header_name] = row.auth_header_value;
+
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await fetch(row.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(row.timeout_ms || 10000),
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      error = `HTTP ${response.status}${text ? `: ${text}` : ''}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${row.timeout_ms}ms` : err.message;
+  }
+
+  if (!error) {
+    await pool.execute(
+      `UPDATE deliveries
+          SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL,
+              delivered_at = NOW(), locked_at = NULL
+        WHERE id = ?`,
+      [attempts, statusCode, row.id]
+    );
+    console.log(`[${new Date().toISOString()}] Delivery #${row.id} to ${row.name} succeeded (HTTP ${statusCode})`);
+    return;
+  }
+
+  const dead = attempts >= MAX_ATTEMPTS || (statusCode !== null && isPermanentFailure(statusCode));
+  await pool.execute(
+    `UPDATE deliveries
+        SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, locked_at = NULL,
+            next_attempt_at = ${dialect.secondsFromNow()}
+      WHERE id = ?`,
+    [dead ? 'dead' : 'pending', attempts, statusCode, error.slice(0, MAX_ERROR_LENGTH), deliveryBackoffSeconds(attempts), row.id]
+  );
+
+  if (dead) {
+    console.error(`Delivery #${row.id} to ${row.name} dead-lettered after ${attempts} attempt(s): ${error}`);
+  } else {
+    console.error(`Delivery #${row.id} to ${row.name} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${deliveryBackoffSeconds(attempts)}s: ${error}`);
+  }
+}
+
+/**
+ * Processes one batch of due deliveries
+ * @returns {Promise<number>} number of deliveries attempted
+ */
+export async function processDeliveries() {
+  const rows = await claimDueDeliveries();
+  for (const row of rows) {
+    await deliver(row);
+  }
+  return rows.length;
+}
+
+/**
+ * Starts the background delivery loop
+ * @returns {Function} stop function
+ */
+export function startDeliveryWorker() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      while ((await processDeliveries()) === BATCH_SIZE);
+    } catch (err) {
+      console.error('Delivery worker error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+
+  console.log(`🚚 Outbound delivery worker started (every ${POLL_INTERVAL_MS / 1000}s, max ${MAX_ATTEMPTS} attempts)`);
+  return () => clearInterval(timer);
+}
+
+// --- Destinations ----------------------------------------------------
+
+/**
+ * Shape a destination for API consumers – credentials are never returned
+ */
+export function formatDestination(row) {
+  if (!row) return null;
+  const { auth_header_value: authValue, signing_secret: secret, ...rest } = row;
+  return {
+    ...rest,
+    field_mapping: parseJson(row.field_mapping),
+    is_active: Boolean(row.is_active),
+    has_auth_header: Boolean(row.auth_header_name && authValue),
+    has_signing_secret: Boolean(secret),
+  };
+}
+
+function normaliseDestination(data) {
+  const destination = {
+    name: String(data.name ?? '').trim(),
+    url: String(data.url ?? '').trim(),
+    auth_header_name: data.auth_header_name ? String(data.auth_header_name).trim() : null,
+    auth_header_value: data.auth_header_value ? String(data.auth_header_value) : null,
+    signing_secret: data.signing_secret ? String(data.signing_secret) : null,
+    field_mapping: parseJson(data.field_mapping),
+    timeout_ms: data.timeout_ms === undefined || data.timeout_ms === null ? 10000 : Number(data.timeout_ms),
+    is_active: data.is_active === undefined ? true : [true, 1, '1', 'true'].includes(data.is_active),
+  };
+
+  if (!destination.name) throw new HttpError(400, 'name is required');
+  if (destination.name.length > 100) throw new HttpError(400, 'name must be at most 100 characters');
+
+  let url;
+  try {
+    url = new URL(destination.url);
+  } catch {
+    throw new HttpError(400, 'url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new HttpError(400, 'url must be an absolute http(s) URL');
+
+  if (destination.auth_header_name && !/^[A-Za-z0-9-]+$/.test(destination.auth_header_name)) {
+    throw new HttpError(400, 'auth_header_name must be a valid header name');
+  }
+  if (destination.field_mapping !== null) {
+    const mapping = destination.field_mapping;
+    const valid = typeof mapping === 'object' && !Array.isArray(mapping)
+      && Object.values(mapping).every(v => typeof v === 'string');
+    if (!valid) throw new HttpError(400, 'field_mapping must be an object of { "target.path": "payload_field" }');
+  }
+  if (!Number.isInteger(destination.timeout_ms) || destination.timeout_ms < 1000 || destination.timeout_ms > 60000) {
+    throw new HttpError(400, 'timeout_ms must be an integer between 1000 and 60000');
+  }
+  return destination;
+}
+
+function mapDuplicateName(err) {
+  if (err.code === 'ER_DUP_ENTRY') throw new HttpError(409, 'A destination with this name already exists');
+  throw err;
+}
+
+/**
+ * Lists the delivery destinations of a tenant
+ * @param {Object} tenant Tenant row
+ */
+export async function listDestinations(tenant) {
+  const [rows] = await pool.execute(
+    `SELECT ${DESTINATION_COLUMNS} FROM delivery_destinations WHERE tenant = ? ORDER BY name`,
+    [tenant.code]
+  );
+  return rows.map(formatDestination);
+}
+
+async function getDestinationRow(id, tenant) {
+  const [rows] = await pool.execute(
+    `SELECT ${DESTINATION_COLUMNS} FROM delivery_destinations WHERE id = ? AND tenant = ?`,
+    [id, tenant.code]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Retrieves a destination of a tenant by ID
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ */
+export async function getDestinationById(id, tenant) {
+  return formatDestination(await getDestinationRow(id, tenant));
+}
+
+/**
+ * Creates a destination of a tenant. A signing secret is generated when
+ * none is given and returned once in the response.
+ * @param {Object} data { name, url, auth_header_name, auth_header_value, signing_secret, field_mapping, timeout_ms, is_active }
+ * @param {Object} tenant Tenant row
+ */
+export async function createDestination(data, tenant) {
+  const destination = normaliseDestination(data);
+  const generatedSecret = destination.signing_secret ? null : crypto.randomBytes(32).toString('hex');
+  const secret = destination.signing_secret || generatedSecret;
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO delivery_destinations
+         (tenant, name, url, auth_header_name, auth_header_value, signing_secret, field_mapping, timeout_ms, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tenant.code, destination.name, destination.url, destination.auth_header_name, destination.auth_header_value,
+        secret, destination.field_mapping ? JSON.stringify(destination.field_mapping) : null,
+        destination.timeout_ms, destination.is_active,
+      ]
+    );
+    const created = await getDestinationById(result.insertId, tenant);
+    return generatedSecret ? { ...created, signing_secret: generatedSecret } : created;
+  } catch (err) {
+    return mapDuplicateName(err);
+  }
+}
+
+/**
+ * Updates a destination; omitted credentials keep their stored value,
+ * null clears them.
+ * @param {number} id
+ * @param {Object} changes
+ * @param {Object} tenant Tenant row
+ */
+export async function updateDestination(id, changes, tenant) {
+  const current = await getDestinationRow(id, tenant);
+  if (!current) throw new HttpError(404, 'Destination not found');
+
+  const destination = normaliseDestination({ ...current, ...changes });
+  try {
+    await pool.execute(
+      `UPDATE delivery_destinations
+          SET name = ?, url = ?, auth_header_name = ?, auth_header_value = ?, signing_secret = ?,
+              field_mapping = ?, timeout_ms = ?, is_active = ?
+        WHERE id = ? AND tenant = ?`,
+      [
+        destination.name, destination.url, destination.auth_header_name, destination.auth_header_value,
+        destination.signing_secret, destination.field_mapping ? JSON.stringify(destination.field_mapping) : null,
+        destination.timeout_ms, destination.is_active, id, tenant.code,
+      ]
+    );
+  } catch (err) {
+    mapDuplicateName(err);
+  }
+  return getDestinationById(id, tenant);
+}
+
+/**
+ * Deletes a destination together with its delivery log
+ * @param {number} id
+ * @param {Object} tenant Tenant row
+ */
+export async function deleteDestination(id, tenant) {
+  const [result] = await pool.execute('DELETE FROM delivery_destinations WHERE id = ? AND tenant = ?', [id, tenant.code]);
+  if (result.affectedRows === 0) throw new HttpError(404, 'Destination not found');
+}
+
+// --- Delivery log & replay ------------------------------------------
+
+/**
+ * Delivery log of a destination, newest first
+ * @param {number} destinationId
+ * @param {Object} [options] { status, formId, limit }
+ */
+export async function listDeliveries(destinationId, { status, formId, limit = 100 } = {}) {
+  const where = ['destination_id = ?'];
+  const params = [destinationId];
+
+  if (status) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw new HttpError(400, `status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (formId) {
+    where.push('form_id = ?');
+    params.push(formId);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT id, destination_id, form_id, replay_of, payload, status, attempts, last_status_code,
+            last_error, next_attempt_at, delivered_at, created_at, updated_at
+       FROM deliveries
+      WHERE ${where.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [...params, Math.min(Number(limit) || 100, 500)]
+  );
+  return rows.map(row => ({ ...row, payload: parseJson(row.payload) }));
+}
+
+/**
+ * Replays a delivery as a new log entry with the same payload, so the
+ * original attempt history is kept.
+ * @param {number} id
+ * @param {Object} tenant Tenant row owning the destination
+ * @returns {Promise<number>} id of the new delivery
+ */
+export async function replayDelivery(id, tenant) {
+  const [rows] = await pool.execute(
+    `SELECT d.destination_id, d.form_id, d.payload
+       FROM deliveries d
+       JOIN delivery_destinations dd ON dd.id = d.destination_id
+      WHERE d.id = ? AND dd.tenant = ?`,
+    [id, tenant.code]
+  );
+  if (rows.length === 0) throw new HttpError(404, 'Delivery not found');
+
+  const { destination_id: destinationId, form_id: formId, payload } = rows[0];
+  const [result] = await pool.execute(
+    'INSERT INTO deliveries (destination_id, form_id, replay_of, payload) VALUES (?, ?, ?, ?)',
+    [destinationId, formId, id, typeof payload === 'string' ? payload : JSON.stringify(payload)]
+  );
+  return result.insertId;
+}
+
+/**
+ * Replays every dead-lettered delivery of a destination
+ * @param {number} destinationId
+ * @param {Object} tenant Tenant row owning the destination
+ * @returns {Promise<number>} deliveries re-queued
+ */
+export async function replayDeadDeliveries(destinationId, tenant) {
+  const [rows] = await pool.execute(
+    `SELECT id FROM deliveries d
+      WHERE destination_id = ? AND status = 'dead'
+        AND NOT EXISTS (SELECT 1 FROM deliveries r WHERE r.replay_of = d.id)`,
+    [destinationId]
+  );
+  for (const row of rows) {
+    await replayDelivery(row.id, tenant);
+  }
+  return rows.length;
+}
+
+/**
+ * Registers the admin-only /admin/destinations and /admin/deliveries
+ * routes, acting on the destinations of the X-Tenant tenant
+ * @param {Object} mainApp Express app
+ */
+export function setupDeliveryRoutes(mainApp) {
+  const destinations = express.Router();
+  destinations.use(requirePlatformAdmin);
+
+  destinations.get('/', async (req, res) => {
+    try {
+      res.json(await listDestinations(req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  destinations.post('/', async (req, res) => {
+    try {
+      res.status(201).json(await createDestination(req.body || {}, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  destinations.get('/:id', async (req, res) => {
+    try {
+      const destination = await getDestinationById(req.params.id, req.tenant);
+      if (!destination) throw new HttpError(404, 'Destination not found');
+      res.json(destination);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  destinations.patch('/:id', async (req, res) => {
+    try {
+      res.json(await updateDestination(req.params.id, req.body || {}, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  destinations.delete('/:id', async (req, res) => {
+    try {
+      await deleteDestination(req.params.id, req.tenant);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Delivery log (?status=&formId=&limit=)
+  destinations.get('/:id/deliveries', async (req, res) => {
+    try {
+      if (!(await getDestinationRow(req.params.id, req.tenant))) throw new HttpError(404, 'Destination not found');
+      res.json(await listDeliveries(req.params.id, {
+        status: req.query.status,
+        formId: req.query.formId,
+        limit: req.query.limit,
+      }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Replay every dead-lettered delivery of the destination
+  destinations.post('/:id/replay', async (req, res) => {
+    try {
+      if (!(await getDestinationRow(req.params.id, req.tenant))) throw new HttpError(404, 'Destination not found');
+      res.json({ replayed: await replayDeadDeliveries(req.params.id, req.tenant) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  const deliveries = express.Router();
+  deliveries.use(requirePlatformAdmin);
+
+  // Replay a single delivery
+  deliveries.post('/:id/replay', async (req, res) => {
+    try {
+      res.status(201).json({ id: await replayDelivery(req.params.id, req.tenant) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/destinations', destinations);
+  mainApp.use('/admin/deliveries', deliveries);
+  console.log('Outbound delivery routes configured');
+}
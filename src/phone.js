@@ -0,0 +1,86 @@
+// src/phone.js
+// Phone number normalisation to E.164 (UAE by default)
+// ------------------------------------------------------------
+
+import { config } from './config.js';
+
+/**
+ * Dialling rules per region: country calling code, national trunk prefix
+ * and the allowed lengths of the national significant number.
+ */
+export const REGIONS = {
+  AE: { countryCode: '971', trunkPrefix: '0', nsnLengths: [8, 9] },
+  SA: { countryCode: '966', trunkPrefix: '0', nsnLengths: [8, 9] },
+  OM: { countryCode: '968', trunkPrefix: '', nsnLengths: [8] },
+  QA: { countryCode: '974', trunkPrefix: '', nsnLengths: [8] },
+  BH: { countryCode: '973', trunkPrefix: '', nsnLengths: [8] },
+  KW: { countryCode: '965', trunkPrefix: '', nsnLengths: [8] },
+  IN: { countryCode: '91', trunkPrefix: '0', nsnLengths: [10] },
+  PK: { countryCode: '92', trunkPrefix: '0', nsnLengths: [9, 10] },
+  GB: { countryCode: '44', trunkPrefix: '0', nsnLengths: [9, 10] },
+  US: { countryCode: '1', trunkPrefix: '', nsnLengths: [10] },
+};
+
+export const DEFAULT_REGION = config.phone.defaultRegion;
+
+// E.164 allows at most 15 digits; shorter than 7 is an extension, not a number
+const MIN_DIGITS = 7;
+const MAX_DIGITS = 15;
+
+/**
+ * Normalise a dialled / caller-id number to E.164.
+ *
+ *   normalizePhone('+971 50 123 4567') → '+971501234567'
+ *   normalizePhone('00971501234567')   → '+971501234567'
+ *   normalizePhone('050-123-4567')     → '+971501234567'
+ *   normalizePhone('971501234567')     → '+971501234567'
+ *   normalizePhone('1001')             → null (extension)
+ *
+ * @param {string|number} raw Number in any common format
+ * @param {string} [region] ISO country used for national numbers
+ * @returns {string|null} E.164 number, or null when it cannot be normalised
+ */
+export function normalizePhone(raw, region = DEFAULT_REGION) {
+  if (raw === undefined || raw === null) return null;
+
+  const text = String(raw).trim();
+  const hasPlus = text.startsWith('+');
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return null;
+
+  const rules = REGIONS[String(region).toUpperCase()] || REGIONS[DEFAULT_REGION] || REGIONS.AE;
+
+  if (hasPlus) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (rules.trunkPrefix && digits.startsWith(rules.trunkPrefix)
+    && rules.nsnLengths.includes(digits.length - rules.trunkPrefix.length)) {
+    digits = rules.countryCode + digits.slice(rules.trunkPrefix.length);
+  } else if (digits.startsWith(rules.countryCode)
+    && rules.nsnLengths.includes(digits.length - rules.countryCode.length)) {
+    // international number without "+" or "00"
+  } else if (rules.nsnLengths.includes(digits.length)) {
+    digits = rules.countryCode + digits;
+  } else {
+    return null;
+  }
+
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS || digits.startsWith('0')) {
+    return null;
+  }
+  return `+${digits}`;
+}
+
+/**
+ * SQL condition + parameters matching a caller number: on the canonical
+ * column when the input normalises, else an exact match on the raw value.
+ * @param {string} callerNumber
+ * @returns {{ clause: string, params: Array }}
+ */
+export function callerMatch(callerNumber) {
+  const e164 = normalizePhone(callerNumber);
+  return e164
+    ? { clause: 'caller_id_e164 = ?', params: [e164] }
+    : { clause: 'caller_id_number = ?', params: [String(callerNumber).trim()] };
+}
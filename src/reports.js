@@ -0,0 +1,359 @@
+// src/reports.js
+// Aggregated call volume reports over submitted forms_new rows, the
+// abandoned-calls-per-agent view and SLA compliance of tickets
+// ------------------------------------------------------------
+
+import { pool, dialect } from './db.js';
+import { HttpError, sendError } from './httpError.js';
+import { requireRole } from './auth.js';
+import { timeZoneOffsetMinutes } from './timeZone.js';
+import { BUSINESS_TIMEZONE } from './businessCalendar.js';
+
+const DEFAULT_RANGE_DAYS = 7;
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket expressions are evaluated on the epoch so they do not depend
+// on the session time zone; `?` receives the zone offset in seconds.
+const BUCKET_EXPRS = {
+  mysql: {
+    hour: 'FLOOR(MOD(UNIX_TIMESTAMP(f.created_at) + ?, 86400) / 3600)',
+    day: `DATE_FORMAT(DATE_ADD('1970-01-01', INTERVAL FLOOR((UNIX_TIMESTAMP(f.created_at) + ?) / 86400) DAY), '%Y-%m-%d')`,
+  },
+  postgres: {
+    hour: 'FLOOR(MOD((EXTRACT(EPOCH FROM f.created_at) + ?::int)::numeric, 86400) / 3600)::int',
+    day: `to_char(DATE '1970-01-01' + FLOOR((EXTRACT(EPOCH FROM f.created_at) + ?::int) / 86400)::int, 'YYYY-MM-DD')`,
+  },
+};
+const { hour: HOUR_EXPR, day: DAY_EXPR } = BUCKET_EXPRS[dialect.name];
+
+/**
+ * Report dimensions: route name → grouping definition.
+ * `select` entries are [expression, alias]; `usesOffset` marks expressions
+ * that take the timezone offset parameter.
+ */
+const DIMENSIONS = {
+  'call-type': {
+    select: [['f.call_type', 'call_type']],
+  },
+  'disposition-1': {
+    select: [['f.call_type', 'call_type'], ['f.disposition_1', 'disposition_1']],
+  },
+  'disposition-2': {
+    select: [['f.call_type', 'call_type'], ['f.disposition_1', 'disposition_1'], ['f.disposition_2', 'disposition_2']],
+  },
+  department: {
+    select: [[`COALESCE(d.name, 'Unrouted')`, 'department']],
+    join: `LEFT JOIN disposition_config dc
+             ON dc.tenant = f.tenant AND dc.call_type = f.call_type AND dc.disposition_1 = f.disposition_1 AND dc.disposition_2 = f.disposition_2
+           LEFT JOIN departments d ON d.id = dc.department_id`,
+  },
+  agent: {
+    select: [['f.agent_id', 'agent_id'], ['f.agent_ext', 'agent_ext']],
+  },
+  queue: {
+    select: [['f.queue_name', 'queue_name']],
+  },
+  hour: {
+    select: [[HOUR_EXPR, 'hour']],
+    usesOffset: true,
+    orderByKey: true,
+  },
+  day: {
+    select: [[DAY_EXPR, 'day']],
+    usesOffset: true,
+    orderByKey: true,
+  },
+};
+
+export const REPORT_DIMENSIONS = Object.keys(DIMENSIONS);
+
+/**
+ * Validate an IANA timezone name
+ * @param {string} timeZone
+ */
+function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new HttpError(400, `Unknown timezone "${timeZone}"`);
+  }
+}
+
+/**
+ * Midnight of a calendar date in the given zone, as a UTC instant
+ * @param {string} dateStr YYYY-MM-DD
+ * @param {string} timeZone
+ */
+function zonedMidnight(dateStr, timeZone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d);
+  return new Date(guess - timeZoneOffsetMinutes(timeZone, new Date(guess)) * 60000);
+}
+
+function parseBound(value, field, timeZone, endOfRange) {
+  if (DATE_ONLY_RE.test(value)) {
+    const start = zonedMidnight(value, timeZone);
+    // an end date covers the whole day
+    return endOfRange ? new Date(start.getTime() + DAY_MS) : start;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${field} must be a valid date (YYYY-MM-DD or ISO 8601)`);
+  }
+  return date;
+}
+
+/**
+ * Resolve ?from=&to=&tz= into a [start, end) range. Date-only values are
+ * calendar days in `tz` (BUSINESS_TIMEZONE by default); the default range
+ * is the last 7 days including today.
+ * @param {Object} query
+ */
+export function parseReportRange(query = {}) {
+  const timeZone = query.tz || BUSINESS_TIMEZONE;
+  assertTimeZone(timeZone);
+
+  let end;
+  if (query.to) {
+    end = parseBound(query.to, 'to', timeZone, true);
+  } else {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+    end = new Date(zonedMidnight(today, timeZone).getTime() + DAY_MS);
+  }
+
+  const start = query.from
+    ? parseBound(query.from, 'from', timeZone, false)
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (start >= end) throw new HttpError(400, 'from must be before to');
+
+  return { start, end, timeZone };
+}
+
+/**
+ * Run one grouped count over [start, end) of a tenant's submitted forms
+ */
+async function runGroupedCount(dimension, tenant, start, end, offsetSeconds) {
+  const def = DIMENSIONS[dimension];
+  const selectSql = def.select.map(([expr, alias]) => `${expr} AS ${alias}`).join(', ');
+  const groupSql = def.select.map(([, alias]) => alias).join(', ');
+  const orderSql = def.orderByKey ? groupSql : `count DESC, ${groupSql}`;
+  const offsetParams = def.usesOffset ? def.select.map(() => offsetSeconds) : [];
+
+  const [rows] = await pool.query(
+    `SELECT ${selectSql}, COUNT(*) AS count
+       FROM forms_new f
+       ${def.join || ''}
+      WHERE f.tenant = ? AND f.status = 'submitted' AND f.created_at >= ? AND f.created_at < ?
+      GROUP BY ${groupSql}
+      ORDER BY ${orderSql}`,
+    [...offsetParams, tenant.code, start, end]
+  );
+
+  return rows.map(r => ({ ...r, count: Number(r.count) }));
+}
+
+/**
+ * Grouped counts for a dimension over a date range, optionally compared
+ * with the previous period of the same length.
+ *
+ * Hour/day buckets use the zone offset at the start of the range, which is
+ * exact for Asia/Dubai (no DST).
+ *
+ * @param {string} dimension One of REPORT_DIMENSIONS
+ * @param {Object} query { from, to, tz, compare }
+ * @param {Object} tenant Tenant row
+ */
+export async function getReport(dimension, query, tenant) {
+  const def = DIMENSIONS[dimension];
+  if (!def) throw new HttpError(404, `Unknown report "${dimension}"`);
+
+  const { start, end, timeZone } = parseReportRange(query);
+  const offsetSeconds = timeZoneOffsetMinutes(timeZone, start) * 60;
+  const keys = def.select.map(([, alias]) => alias);
+  const keyOf = (row) => JSON.stringify(keys.map(k => row[k]));
+
+  const rows = await runGroupedCount(dimension, tenant, start, end, offsetSeconds);
+  const report = {
+    report: dimension,
+    timezone: timeZone,
+    range: { from: start.toISOString(), to: end.toISOString() },
+    total: rows.reduce((sum, r) => sum + r.count, 0),
+    rows,
+  };
+
+  const compare = query.compare === 'previous' || query.compare === 'true';
+  if (!compare) return report;
+
+  const length = end.getTime() - start.getTime();
+  const prevStart = new Date(start.getTime() - length);
+  const previousRows = await runGroupedCount(dimension, tenant, prevStart, start, offsetSeconds);
+  const previousByKey = new Map(previousRows.map(r => [keyOf(r), r.count]));
+
+  const merged = rows.map(r => {
+    const previous = previousByKey.get(keyOf(r)) || 0;
+    previousByKey.delete(keyOf(r));
+    return { ...r, previous, change: r.count - previous, changePct: previous ? Math.round(((r.count - previous) / previous) * 1000) / 10 : null };
+  });
+  // groups that only appeared in the previous period
+  previousRows.forEach(r => {
+    if (previousByKey.has(keyOf(r))) {
+      merged.push({ ...r, count: 0, previous: r.count, change: -r.count, changePct: -100 });
+    }
+  });
+
+  const previousTotal = previousRows.reduce((sum, r) => sum + r.count, 0);
+  return {
+    ...report,
+    rows: merged,
+    previousRange: { from: prevStart.toISOString(), to: start.toISOString() },
+    previousTotal,
+    change: report.total - previousTotal,
+  };
+}
+
+/**
+ * Abandoned calls per agent over a date range: webhook drafts no agent
+ * submitted (see formDrafts.js), next to each agent's total calls.
+ * The forms themselves are listed by GET /forms?status=abandoned&agent_id=…
+ *
+ * @param {Object} query { from, to, tz }
+ * @param {Object} tenant Tenant row
+ */
+export async function getAbandonedByAgent(query, tenant) {
+  const { start, end, timeZone } = parseReportRange(query);
+
+  const [rows] = await pool.query(
+    `SELECT f.agent_id AS agent_id,
+            MAX(f.agent_ext) AS agent_ext,
+            SUM(CASE WHEN f.status = 'abandoned' THEN 1 ELSE 0 END) AS abandoned,
+            SUM(CASE WHEN f.status <> 'draft' THEN 1 ELSE 0 END) AS calls,
+            MAX(f.abandoned_at) AS last_abandoned_at
+       FROM forms_new f
+      WHERE f.tenant = ? AND f.created_at >= ? AND f.created_at < ?
+      GROUP BY f.agent_id
+     HAVING SUM(CASE WHEN f.status = 'abandoned' THEN 1 ELSE 0 END) > 0
+      ORDER BY abandoned DESC, agent_id`,
+    [tenant.code, start, end]
+  );
+
+  const agents = rows.map(r => {
+    const abandoned = Number(r.abandoned);
+    const calls = Number(r.calls);
+    return {
+      agent_id: r.agent_id,
+      agent_ext: r.agent_ext,
+      abandoned,
+      calls,
+      abandonedPct: calls ? Math.round((abandoned / calls) * 1000) / 10 : null,
+      last_abandoned_at: r.last_abandoned_at,
+    };
+  });
+
+  return {
+    report: 'abandoned',
+    timezone: timeZone,
+    range: { from: start.toISOString(), to: end.toISOString() },
+    total: agents.reduce((sum, a) => sum + a.abandoned, 0),
+    rows: agents,
+  };
+}
+
+/**
+ * SLA compliance per department of the tickets opened over a date range:
+ * response / resolution targets breached (met late or still overdue),
+ * overdue tickets still unresolved and escalations sent (see sla.js).
+ * The tickets themselves are listed by GET /tickets?breached=…
+ *
+ * @param {Object} query { from, to, tz }
+ * @param {Object} tenant Tenant row
+ */
+export async function getSlaReport(query, tenant) {
+  const { start, end, timeZone } = parseReportRange(query);
+  const responseBreachedSql = `t.response_due_at IS NOT NULL
+    AND COALESCE(t.acknowledged_at, t.resolved_at, t.closed_at, NOW()) > t.response_due_at`;
+  const resolutionBreachedSql = `t.resolution_due_at IS NOT NULL
+    AND COALESCE(t.resolved_at, t.closed_at, NOW()) > t.resolution_due_at`;
+
+  const [rows] = await pool.query(
+    `SELECT COALESCE(d.name, 'Unrouted') AS department,
+            COUNT(*) AS tickets,
+            SUM(CASE WHEN ${responseBreachedSql} THEN 1 ELSE 0 END) AS response_breached,
+            SUM(CASE WHEN ${resolutionBreachedSql} THEN 1 ELSE 0 END) AS resolution_breached,
+            SUM(CASE WHEN t.status IN ('open', 'in_progress') AND ${resolutionBreachedSql} THEN 1 ELSE 0 END) AS overdue_open,
+            SUM(CASE WHEN t.escalated_at IS NOT NULL THEN 1 ELSE 0 END) AS escalated
+       FROM tickets t
+       LEFT JOIN departments d ON d.id = t.department_id
+      WHERE t.tenant = ? AND t.created_at >= ? AND t.created_at < ?
+      GROUP BY COALESCE(d.name, 'Unrouted')
+      ORDER BY resolution_breached DESC, department`,
+    [tenant.code, start, end]
+  );
+
+  const pct = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+  const departments = rows.map(r => {
+    const counts = {
+      tickets: Number(r.tickets),
+      response_breached: Number(r.response_breached),
+      resolution_breached: Number(r.resolution_breached),
+      overdue_open: Number(r.overdue_open),
+      escalated: Number(r.escalated),
+    };
+    return {
+      department: r.department,
+      ...counts,
+      resolutionMetPct: pct(counts.tickets - counts.resolution_breached, counts.tickets),
+    };
+  });
+
+  const total = departments.reduce((sum, d) => sum + d.tickets, 0);
+  const resolutionBreached = departments.reduce((sum, d) => sum + d.resolution_breached, 0);
+  return {
+    report: 'sla',
+    timezone: timeZone,
+    range: { from: start.toISOString(), to: end.toISOString() },
+    total,
+    responseBreached: departments.reduce((sum, d) => sum + d.response_breached, 0),
+    resolutionBreached,
+    resolutionMetPct: pct(total - resolutionBreached, total),
+    rows: departments,
+  };
+}
+
+/**
+ * Registers the supervisor-only /reports routes on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupReportRoutes(mainApp) {
+  mainApp.get('/reports', requireRole('supervisor'), (_req, res) => {
+    res.json({ reports: [...REPORT_DIMENSIONS, 'abandoned', 'sla'], defaultTimezone: BUSINESS_TIMEZONE });
+  });
+
+  // Registered before /reports/:dimension, which would otherwise match them
+  mainApp.get('/reports/abandoned', requireRole('supervisor'), async (req, res) => {
+    try {
+      res.json(await getAbandonedByAgent(req.query, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.get('/reports/sla', requireRole('supervisor'), async (req, res) => {
+    try {
+      res.json(await getSlaReport(req.query, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.get('/reports/:dimension', requireRole('supervisor'), async (req, res) => {
+    try {
+      res.json(await getReport(req.params.dimension, req.query, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  console.log('Report routes configured');
+}
@@ -0,0 +1,198 @@
+// src/sla.js
+// SLA targets of tickets, in business hours (businessCalendar.js): a
+// response target (acknowledge) and a resolution target per disposition,
+// defaulting to SLA_RESPONSE_HOURS / SLA_RESOLUTION_HOURS.
+//
+// A scheduler chases breaches once each: an overdue acknowledgement
+// re-notifies the routed address, an overdue resolution is escalated to
+// the department's escalation_email (the tenant's fallback_email
+// otherwise) with the routed address in copy.
+// ------------------------------------------------------------
+
+import { withTransaction } from './db.js';
+import { addBusinessHours, BUSINESS_TIMEZONE } from './businessCalendar.js';
+import { enqueueEmail } from './mailOutbox.js';
+import { getTenant, senderFor } from './tenants.js';
+import { formatDepartment } from './departments.js';
+import { getTicketById, ticketActionLinks } from './tickets.js';
+import { escapeHtml, htmlToText } from './emailTemplates.js';
+import { config } from './config.js';
+
+// 0 disables a target
+export const DEFAULT_RESPONSE_HOURS = config.sla.responseHours;
+export const DEFAULT_RESOLUTION_HOURS = config.sla.resolutionHours;
+
+const CHECK_INTERVAL_MS = config.sla.checkIntervalMs;
+const BATCH_SIZE = 100;
+
+/**
+ * Due times of a ticket opened now for a disposition
+ * @param {Object} routing Result of getDispositionEmail
+ * @param {Date} [start]
+ * @returns {{ responseDueAt: Date|null, resolutionDueAt: Date|null }}
+ */
+export function slaDueDates(routing, start = new Date()) {
+  const responseHours = routing?.sla?.responseHours ?? DEFAULT_RESPONSE_HOURS;
+  const resolutionHours = routing?.sla?.resolutionHours ?? DEFAULT_RESOLUTION_HOURS;
+  const resolutionDueAt = resolutionHours > 0 ? addBusinessHours(start, resolutionHours) : null;
+  let responseDueAt = responseHours > 0 ? addBusinessHours(start, responseHours) : null;
+  // a ticket resolved in time was also answered in time
+  if (responseDueAt && resolutionDueAt && responseDueAt > resolutionDueAt) responseDueAt = resolutionDueAt;
+  return { responseDueAt, resolutionDueAt };
+}
+
+/**
+ * Current contacts of a ticket's department; an unrouted ticket or an
+ * inactive department falls back to the tenant's fallback_email
+ */
+async function ticketContacts(conn, ticket, tenant) {
+  const fallback = tenant?.fallback_email ? [tenant.fallback_email] : [];
+  if (!ticket.department_id) return { to: fallback, cc: [], escalationEmail: null };
+
+  const [rows] = await conn.execute('SELECT * FROM departments WHERE id = ?', [ticket.department_id]);
+  const department = rows.length ? formatDepartment(rows[0]) : null;
+  if (!department || !department.is_active) return { to: fallback, cc: [], escalationEmail: null };
+  return { to: department.recipients, cc: department.cc, escalationEmail: department.escalation_email };
+}
+
+const formatDue = date => new Intl.DateTimeFormat('en-GB', {
+  timeZone: BUSINESS_TIMEZONE, dateStyle: 'medium', timeStyle: 'short',
+}).format(new Date(date));
+
+function chaseEmail(ticket, { heading, intro }) {
+  const links = ticketActionLinks(ticket.id);
+  const html = `
+      <p>${escapeHtml(heading)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <br/>
+      <p><strong>Reference:</strong> ${escapeHtml(ticket.reference)}</p>
+      <p><strong>Department:</strong> ${escapeHtml(ticket.department || 'Unrouted')}</p>
+      <p><strong>Status:</strong> ${escapeHtml(ticket.status.replace('_', ' '))}</p>
+      <p><strong>Company:</strong> ${escapeHtml(ticket.company)}</p>
+      <p><strong>Client/Caller Name:</strong> ${escapeHtml(ticket.name)}</p>
+      <p><strong>Contact:</strong> ${escapeHtml(ticket.contact_number)}</p>
+      <p><strong>Disposition:</strong> ${escapeHtml(ticket.call_type)} / ${escapeHtml(ticket.disposition_1)} / ${escapeHtml(ticket.disposition_2)}</p>
+      ${ticket.assignee ? `<p><strong>Assignee:</strong> ${escapeHtml(ticket.assignee)}</p>` : ''}
+      ${links.acknowledge_url ? `<p><a href="${escapeHtml(links.acknowledge_url)}">Acknowledge</a> | <a href="${escapeHtml(links.resolve_url)}">Mark as resolved</a></p>` : ''}
+    `;
+  return { html, text: htmlToText(html) };
+}
+
+/**
+ * Claims one batch of tickets matching `where` and sends each its chase
+ * email, then stamps `stampColumn`
+ * @returns {Promise<number>} number of tickets processed
+ */
+async function chaseBatch(where, stampColumn, buildMessage) {
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT id FROM tickets WHERE ${where} ORDER BY id LIMIT ? FOR UPDATE SKIP LOCKED`,
+      [BATCH_SIZE]
+    );
+
+    for (const { id } of rows) {
+      const ticket = await getTicketById(id, null, conn);
+      const tenant = await getTenant(ticket.tenant);
+      const message = buildMessage(ticket, await ticketContacts(conn, ticket, tenant), tenant);
+
+      if (message.to.length) {
+        await enqueueEmail(conn, { formId: ticket.form_id, tenant: ticket.tenant, from: senderFor(tenant), ...message });
+      } else {
+        console.warn(`SLA: no address to chase ${ticket.reference} – marked as done`);
+      }
+      await conn.execute(`UPDATE tickets SET ${stampColumn} = NOW() WHERE id = ?`, [id]);
+    }
+    return rows.length;
+  });
+}
+
+/**
+ * Re-notifies the routed address of tickets not acknowledged in time
+ * @returns {Promise<number>}
+ */
+export function sendResponseReminders() {
+  return chaseBatch(
+    `status = 'open' AND acknowledged_at IS NULL AND reminded_at IS NULL
+       AND response_due_at IS NOT NULL AND response_due_at <= NOW()`,
+    'reminded_at',
+    (ticket, contacts) => ({
+      to: contacts.to,
+      cc: contacts.cc,
+      subject: `Reminder: ${ticket.reference} is awaiting acknowledgement`,
+      ...chaseEmail(ticket, {
+        heading: 'Hi, Good Day!',
+        intro: `This call was due to be acknowledged by ${formatDue(ticket.response_due_at)} and has not been yet. Kindly take the necessary action.`,
+      }),
+    })
+  );
+}
+
+/**
+ * Escalates tickets not resolved in time
+ * @returns {Promise<number>}
+ */
+export function escalateOverdueTickets() {
+  return chaseBatch(
+    `status IN ('open', 'in_progress') AND escalated_at IS NULL
+       AND resolution_due_at IS NOT NULL AND resolution_due_at <= NOW()`,
+    'escalated_at',
+    (ticket, contacts, tenant) => {
+      const escalateTo = contacts.escalationEmail || tenant?.fallback_email;
+      return {
+        to: escalateTo ? [escalateTo] : [],
+        cc: contacts.to.filter(address => address !== escalateTo),
+        subject: `Escalation: ${ticket.reference} was not resolved in time`,
+        ...chaseEmail(ticket, {
+          heading: 'Hello,',
+          intro: `This call was due to be resolved by ${formatDue(ticket.resolution_due_at)} and is still ${ticket.status.replace('_', ' ')}. It is escalated to you for follow-up.`,
+        }),
+      };
+    }
+  );
+}
+
+/**
+ * Runs both chase passes until no breached ticket is left
+ * @returns {Promise<{ reminded: number, escalated: number }>}
+ */
+export async function processSlaBreaches() {
+  const totals = { reminded: 0, escalated: 0 };
+  let count;
+  do {
+    count = await sendResponseReminders();
+    totals.reminded += count;
+  } while (count === BATCH_SIZE);
+  do {
+    count = await escalateOverdueTickets();
+    totals.escalated += count;
+  } while (count === BATCH_SIZE);
+  return totals;
+}
+
+/**
+ * Starts the background SLA check
+ * @returns {Function} stop function
+ */
+export function startSlaScheduler() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { reminded, escalated } = await processSlaBreaches();
+      if (reminded || escalated) console.log(`⏰ SLA: ${reminded} reminder(s), ${escalated} escalation(s) queued`);
+    } catch (err) {
+      console.error('SLA check error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  timer.unref();
+  tick();
+
+  console.log(`⏰ SLA scheduler started (defaults: respond ${DEFAULT_RESPONSE_HOURS}h, resolve ${DEFAULT_RESOLUTION_HOURS}h, ${BUSINESS_TIMEZONE})`);
+  return () => clearInterval(timer);
+}
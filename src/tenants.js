@@ -0,0 +1,310 @@
+// src/tenants.js
+// Tenants (free-zone clients) served by one deployment: sender address,
+// SMTP settings, client URL and fallback email per tenant, plus the
+// platform-admin /admin/tenants routes.
+//
+// A tenant is identified by its `code` – the `tenant` the dialer sends to
+// /webhook; forms_new and disposition_config rows carry it.
+// ------------------------------------------------------------
+
+import express from 'express';
+import nodemailer from 'nodemailer';
+import { pool } from './db.js';
+import { requirePlatformAdmin } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+import { config } from './config.js';
+
+// Tenant of requests and webhook calls that do not name one
+export const DEFAULT_TENANT = config.tenants.defaultTenant;
+
+// Tenant rows are looked up on every request; edits made by another
+// instance are picked up after this long
+const CACHE_TTL_MS = 60 * 1000;
+
+const TENANT_COLUMNS = `id, code, name, sender_address, smtp_host, smtp_port, smtp_secure, smtp_user,
+  smtp_password, client_url, fallback_email, is_active, created_at, updated_at`;
+
+const CODE_RE = /^[A-Za-z0-9_.-]{1,100}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const tenantCache = new Map(); // code → { tenant, loadedAt }
+const transports = new Map(); // code → { key, transporter }
+
+/**
+ * Shape a tenant for API consumers – the SMTP password is never returned
+ */
+export function formatTenant(row) {
+  if (!row) return null;
+  const { smtp_password: password, ...rest } = row;
+  return {
+    ...rest,
+    smtp_secure: Boolean(row.smtp_secure),
+    is_active: Boolean(row.is_active),
+    has_smtp_password: Boolean(password),
+  };
+}
+
+/**
+ * Retrieves a tenant row by code (cached for CACHE_TTL_MS)
+ * @param {string} code
+ * @returns {Promise<Object|null>}
+ */
+export async function getTenant(code) {
+  const cached = tenantCache.get(code);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.tenant;
+
+  const [rows] = await pool.execute(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE code = ?`, [code]);
+  const tenant = rows[0] || null;
+  tenantCache.set(code, { tenant, loadedAt: Date.now() });
+  return tenant;
+}
+
+/**
+ * Active tenant for a code (DEFAULT_TENANT when empty)
+ * @param {string} [code]
+ * @returns {Promise<Object>} tenant row
+ */
+export async function resolveTenant(code) {
+  const tenantCode = code ? String(code) : DEFAULT_TENANT;
+  const tenant = await getTenant(tenantCode);
+  if (!tenant || !tenant.is_active) {
+    throw new HttpError(400, `Unknown or inactive tenant "${tenantCode}"`);
+  }
+  return tenant;
+}
+
+/**
+ * Frontend URL of a tenant (CLIENT_URL when not set)
+ * @param {Object} tenant
+ */
+export function clientUrlFor(tenant) {
+  return tenant?.client_url || config.server.clientUrl;
+}
+
+/**
+ * From: address of a tenant's notifications (MAIL_FROM when not set)
+ * @param {Object} tenant
+ */
+export function senderFor(tenant) {
+  return tenant?.sender_address || config.mail.from;
+}
+
+/**
+ * Mail transport of a tenant: its own SMTP server when configured,
+ * the server's default transporter otherwise (always the default when
+ * MAIL_TRANSPORT is not smtp, so local test setups send nothing out)
+ * @param {string|null} code Tenant code
+ * @param {Object} defaultTransporter nodemailer transport
+ */
+export async function getTenantTransporter(code, defaultTransporter) {
+  const tenant = code ? await getTenant(code) : null;
+  if (!tenant?.smtp_host || config.mail.transport !== 'smtp') return defaultTransporter;
+
+  // rebuilt when the tenant's settings change
+  const key = String(tenant.updated_at);
+  const cached = transports.get(code);
+  if (cached?.key === key) return cached.transporter;
+
+  const transporter = nodemailer.createTransport({
+    host: tenant.smtp_host,
+    port: tenant.smtp_port || (tenant.smtp_secure ? 465 : 587),
+    secure: Boolean(tenant.smtp_secure),
+    auth: tenant.smtp_user ? { user: tenant.smtp_user, pass: tenant.smtp_password || '' } : undefined,
+  });
+  transports.set(code, { key, transporter });
+  return transporter;
+}
+
+const optionalText = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+
+function normaliseTenant(data) {
+  const tenant = {
+    code: String(data.code ?? '').trim(),
+    name: String(data.name ?? '').trim(),
+    sender_address: optionalText(data.sender_address),
+    smtp_host: optionalText(data.smtp_host),
+    smtp_port: data.smtp_port === undefined || data.smtp_port === null || data.smtp_port === '' ? null : Number(data.smtp_port),
+    smtp_secure: [true, 1, '1', 'true'].includes(data.smtp_secure),
+    smtp_user: optionalText(data.smtp_user),
+    smtp_password: data.smtp_password ? String(data.smtp_password) : null,
+    client_url: optionalText(data.client_url),
+    fallback_email: optionalText(data.fallback_email),
+    is_active: data.is_active === undefined ? true : [true, 1, '1', 'true'].includes(data.is_active),
+  };
+
+  if (!CODE_RE.test(tenant.code)) {
+    throw new HttpError(400, 'code is required (letters, digits, "_", "-" and "." only, at most 100 characters)');
+  }
+  if (!tenant.name) throw new HttpError(400, 'name is required');
+  if (tenant.name.length > 200) throw new HttpError(400, 'name must be at most 200 characters');
+  ['sender_address', 'fallback_email'].forEach((field) => {
+    if (tenant[field] && !EMAIL_RE.test(tenant[field])) {
+      throw new HttpError(400, `${field} must be a valid email address`);
+    }
+  });
+  if (tenant.smtp_port !== null && (!Number.isInteger(tenant.smtp_port) || tenant.smtp_port < 1 || tenant.smtp_port > 65535)) {
+    throw new HttpError(400, 'smtp_port must be a port number');
+  }
+  if (tenant.client_url) {
+    let url;
+    try {
+      url = new URL(tenant.client_url);
+    } catch {
+      throw new HttpError(400, 'client_url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new HttpError(400, 'client_url must be an absolute http(s) URL');
+    tenant.client_url = tenant.client_url.replace(/\/$/, '');
+  }
+  return tenant;
+}
+
+function mapWriteError(err) {
+  if (err.code === 'ER_DUP_ENTRY') return new HttpError(409, 'A tenant with this code already exists');
+  if (err.code === 'ER_ROW_IS_REFERENCED_2') {
+    return new HttpError(409, 'Tenant still has forms, dispositions or API clients – deactivate it instead');
+  }
+  return err;
+}
+
+/**
+ * Lists tenants
+ */
+export async function listTenants() {
+  const [rows] = await pool.execute(`SELECT ${TENANT_COLUMNS} FROM tenants ORDER BY code`);
+  return rows.map(formatTenant);
+}
+
+async function getTenantRowById(id) {
+  const [rows] = await pool.execute(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE id = ?`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Retrieves a tenant by ID
+ * @param {number} id
+ */
+export async function getTenantById(id) {
+  return formatTenant(await getTenantRowById(id));
+}
+
+/**
+ * Creates a tenant
+ * @param {Object} data
+ */
+export async function createTenant(data) {
+  const t = normaliseTenant(data);
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO tenants
+         (code, name, sender_address, smtp_host, smtp_port, smtp_secure, smtp_user, smtp_password,
+          client_url, fallback_email, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [t.code, t.name, t.sender_address, t.smtp_host, t.smtp_port, t.smtp_secure, t.smtp_user, t.smtp_password,
+        t.client_url, t.fallback_email, t.is_active]
+    );
+    tenantCache.delete(t.code);
+    return getTenantById(result.insertId);
+  } catch (err) {
+    throw mapWriteError(err);
+  }
+}
+
+/**
+ * Updates a tenant; an omitted smtp_password keeps the stored one,
+ * null clears it. Renaming the code cascades to the tenant's rows.
+ * @param {number} id
+ * @param {Object} changes
+ */
+export async function updateTenant(id, changes) {
+  const current = await getTenantRowById(id);
+  if (!current) throw new HttpError(404, 'Tenant not found');
+
+  const t = normaliseTenant({ ...current, ...changes });
+  try {
+    await pool.execute(
+      `UPDATE tenants
+          SET code = ?, name = ?, sender_address = ?, smtp_host = ?, smtp_port = ?, smtp_secure = ?,
+              smtp_user = ?, smtp_password = ?, client_url = ?, fallback_email = ?, is_active = ?
+        WHERE id = ?`,
+      [t.code, t.name, t.sender_address, t.smtp_host, t.smtp_port, t.smtp_secure, t.smtp_user, t.smtp_password,
+        t.client_url, t.fallback_email, t.is_active, id]
+    );
+  } catch (err) {
+    throw mapWriteError(err);
+  }
+  tenantCache.delete(current.code);
+  tenantCache.delete(t.code);
+  return getTenantById(id);
+}
+
+/**
+ * Deletes a tenant that owns no data
+ * @param {number} id
+ */
+export async function deleteTenant(id) {
+  const current = await getTenantRowById(id);
+  if (!current) throw new HttpError(404, 'Tenant not found');
+  if (current.code === DEFAULT_TENANT) throw new HttpError(409, 'The default tenant cannot be deleted');
+
+  try {
+    await pool.execute('DELETE FROM tenants WHERE id = ?', [id]);
+  } catch (err) {
+    throw mapWriteError(err);
+  }
+  tenantCache.delete(current.code);
+}
+
+/**
+ * Registers the platform-admin /admin/tenants routes on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupTenantRoutes(mainApp) {
+  const router = express.Router();
+  router.use(requirePlatformAdmin);
+
+  router.get('/', async (_req, res) => {
+    try {
+      res.json(await listTenants());
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      res.status(201).json(await createTenant(req.body || {}));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const tenant = await getTenantById(req.params.id);
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+      res.json(tenant);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      res.json(await updateTenant(req.params.id, req.body || {}));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      await deleteTenant(req.params.id);
+      res.sendStatus(204);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/tenants', router);
+  console.log('Tenant routes configured');
+}
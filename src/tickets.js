@@ -0,0 +1,403 @@
+// src/tickets.js
+// Tickets of routed submissions: status (open → in_progress → resolved →
+// closed), an assignee from the department, resolution notes, and signed
+// acknowledge / resolve links carried by the notification email.
+// Response / resolution due times come from sla.js.
+// ------------------------------------------------------------
+
+import crypto from 'crypto';
+import express from 'express';
+import { pool, withTransaction } from './db.js';
+import { requireRole, safeEqual } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+import { parsePagination } from './formQuery.js';
+import { escapeHtml } from './emailTemplates.js';
+import { resolveActor } from './formHistory.js';
+import { config } from './config.js';
+
+export const TICKET_STATUSES = ['open', 'in_progress', 'resolved', 'closed'];
+
+// Allowed status changes; reopening a resolved ticket puts it back in progress
+const TRANSITIONS = {
+  open: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['open', 'resolved', 'closed'],
+  resolved: ['in_progress', 'closed'],
+  closed: [],
+};
+
+// Email action links: target status and the statuses it applies from, so
+// an old acknowledge link cannot reopen a resolved ticket
+const LINK_ACTIONS = {
+  acknowledge: { status: 'in_progress', from: ['open'] },
+  resolve: { status: 'resolved', from: ['open', 'in_progress'] },
+};
+
+// Without a secret the notification email carries no action links
+const { linkSecret: LINK_SECRET, linkTtlDays: LINK_TTL_DAYS } = config.tickets;
+const PUBLIC_URL = config.server.publicUrl;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// A target is breached when it was met late, or is still unmet and overdue
+const BREACHED = {
+  response: 't.response_due_at IS NOT NULL AND COALESCE(t.acknowledged_at, t.resolved_at, t.closed_at, NOW()) > t.response_due_at',
+  resolution: 't.resolution_due_at IS NOT NULL AND COALESCE(t.resolved_at, t.closed_at, NOW()) > t.resolution_due_at',
+};
+const BREACH_FILTERS = ['response', 'resolution', 'any'];
+
+const TICKET_COLUMNS = `t.id, t.form_id, t.tenant, t.department_id, d.name AS department, t.status, t.assignee,
+  t.resolution_notes, t.updated_by, t.assigned_at, t.acknowledged_at, t.resolved_at, t.closed_at,
+  t.created_at, t.updated_at, t.response_due_at, t.resolution_due_at, t.reminded_at, t.escalated_at,
+  CASE WHEN ${BREACHED.response} THEN 1 ELSE 0 END AS response_breached,
+  CASE WHEN ${BREACHED.resolution} THEN 1 ELSE 0 END AS resolution_breached,
+  f.company, f.name, f.contact_number, f.call_type, f.disposition_1, f.disposition_2, f.agent_id`;
+
+const TICKET_FROM = `tickets t
+  JOIN forms_new f ON f.id = t.form_id
+  LEFT JOIN departments d ON d.id = t.department_id`;
+
+/**
+ * Reference quoted in emails and the UI, e.g. TKT-000042
+ * @param {number} id Ticket id
+ */
+export function ticketReference(id) {
+  return `TKT-${String(id).padStart(6, '0')}`;
+}
+
+function formatTicket(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    reference: ticketReference(row.id),
+    response_breached: Boolean(Number(row.response_breached)),
+    resolution_breached: Boolean(Number(row.resolution_breached)),
+  };
+}
+
+/**
+ * Opens the ticket of a routed form, or moves the existing one to the
+ * department the form is now routed to. Pass the transaction connection
+ * used for the forms_new write.
+ *
+ * The due times are set when the ticket opens; a re-routed ticket gets
+ * new ones and may be chased again by the new department's contacts.
+ *
+ * @param {Object} conn Transaction connection
+ * @param {number} formId
+ * @param {Object} target { tenant: code, departmentId, due: { responseDueAt, resolutionDueAt } }
+ * @returns {Promise<{ id: number, reference: string }>}
+ */
+export async function ensureTicket(conn, formId, { tenant, departmentId, due = {} }) {
+  const responseDueAt = due.responseDueAt ?? null;
+  const resolutionDueAt = due.resolutionDueAt ?? null;
+
+  const [rows] = await conn.execute(
+    'SELECT id, department_id FROM tickets WHERE form_id = ? FOR UPDATE',
+    [formId]
+  );
+
+  if (rows.length === 0) {
+    const [result] = await conn.execute(
+      `INSERT INTO tickets (form_id, tenant, department_id, response_due_at, resolution_due_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [formId, tenant, departmentId ?? null, responseDueAt, resolutionDueAt]
+    );
+    return { id: result.insertId, reference: ticketReference(result.insertId) };
+  }
+
+  const ticket = rows[0];
+  if ((ticket.department_id ?? null) !== (departmentId ?? null)) {
+    // re-routed: the previous department's assignee and SLA clock no longer apply
+    await conn.execute(
+      `UPDATE tickets
+          SET department_id = ?, assignee = NULL, assigned_at = NULL,
+              response_due_at = ?, resolution_due_at = ?, reminded_at = NULL, escalated_at = NULL
+        WHERE id = ?`,
+      [departmentId ?? null, responseDueAt, resolutionDueAt, ticket.id]
+    );
+  }
+  return { id: ticket.id, reference: ticketReference(ticket.id) };
+}
+
+// --- Signed action links --------------------------------------------
+
+const signLink = payload => crypto.createHmac('sha256', LINK_SECRET).update(payload).digest('base64url');
+
+/**
+ * Acknowledge / resolve URLs for the notification email; empty when
+ * TICKET_LINK_SECRET is not set
+ * @param {number} ticketId
+ * @returns {{ acknowledge_url?: string, resolve_url?: string }}
+ */
+export function ticketActionLinks(ticketId) {
+  if (!LINK_SECRET) return {};
+  const expires = Math.floor(Date.now() / 1000) + LINK_TTL_DAYS * 24 * 60 * 60;
+  const links = {};
+  Object.keys(LINK_ACTIONS).forEach(action => {
+    const payload = `${ticketId}.${action}.${expires}`;
+    links[`${action}_url`] = `${PUBLIC_URL}/tickets/actions/${payload}.${signLink(payload)}`;
+  });
+  return links;
+}
+
+/**
+ * Checks an action link token
+ * @param {string} token
+ * @returns {{ ticketId: number, action: string }}
+ */
+function verifyActionToken(token) {
+  const [id, action, expires, signature] = String(token).split('.');
+  if (!LINK_SECRET || !signature || !LINK_ACTIONS[action]) throw new HttpError(404, 'Invalid link');
+  if (!safeEqual(signature, signLink(`${id}.${action}.${expires}`))) throw new HttpError(404, 'Invalid link');
+  if (Math.floor(Date.now() / 1000) >= Number(expires)) throw new HttpError(410, 'This link has expired');
+  return { ticketId: Number(id), action };
+}
+
+// --- Queries and changes --------------------------------------------
+
+/**
+ * Lists a tenant's tickets, newest first
+ * @param {Object} query { status (comma-separated), department_id, assignee,
+ *   breached (response | resolution | any), page, pageSize }
+ * @param {Object} tenant Tenant row
+ */
+export async function listTickets(query, tenant) {
+  const clauses = ['t.tenant = ?'];
+  const params = [tenant.code];
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = statuses.filter(s => !TICKET_STATUSES.includes(s));
+    if (unknown.length) throw new HttpError(400, `status must be a comma-separated list of: ${TICKET_STATUSES.join(', ')}`);
+    clauses.push(`t.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (query.department_id) {
+    clauses.push('t.department_id = ?');
+    params.push(Number(query.department_id));
+  }
+  if (query.assignee) {
+    clauses.push('t.assignee = ?');
+    params.push(String(query.assignee));
+  }
+  if (query.breached) {
+    if (!BREACH_FILTERS.includes(query.breached)) {
+      throw new HttpError(400, `breached must be one of: ${BREACH_FILTERS.join(', ')}`);
+    }
+    clauses.push(query.breached === 'any'
+      ? `((${BREACHED.response}) OR (${BREACHED.resolution}))`
+      : `(${BREACHED[query.breached]})`);
+  }
+
+  const where = `WHERE ${clauses.join(' AND ')}`;
+  const { page, pageSize, offset } = parsePagination(query);
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM tickets t ${where}`, params);
+  const [rows] = await pool.query(
+    `SELECT ${TICKET_COLUMNS} FROM ${TICKET_FROM} ${where} ORDER BY t.created_at DESC, t.id DESC LIMIT ? OFFSET ?`,
+    [...params, pageSize, offset]
+  );
+
+  return {
+    data: rows.map(formatTicket),
+    total: Number(total),
+    page,
+    pageSize,
+    totalPages: Math.ceil(Number(total) / pageSize),
+  };
+}
+
+/**
+ * Retrieves a ticket by ID (tickets of other tenants are not found;
+ * pass no tenant for action links, which are not tenant-bound)
+ * @param {number} id
+ * @param {Object|null} tenant Tenant row
+ */
+export async function getTicketById(id, tenant, conn = pool) {
+  const [rows] = await conn.execute(
+    `SELECT ${TICKET_COLUMNS} FROM ${TICKET_FROM} WHERE t.id = ? ${tenant ? 'AND t.tenant = ?' : ''}`,
+    tenant ? [id, tenant.code] : [id]
+  );
+  return formatTicket(rows[0]);
+}
+
+/**
+ * Moves a ticket to another status. Resolving may record resolution notes;
+ * reopening clears the resolution time.
+ *
+ * @param {number} id
+ * @param {Object} change { status, notes }
+ * @param {Object|null} tenant Tenant row
+ * @param {string} actor Who made the change (audit)
+ * @param {Object} [options] { from: statuses the change applies from (email links) }
+ */
+export async function transitionTicket(id, { status, notes }, tenant, actor, { from } = {}) {
+  if (!TICKET_STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be one of: ${TICKET_STATUSES.join(', ')}`);
+  }
+
+  return withTransaction(async (conn) => {
+    const ticket = await getTicketById(id, tenant, conn);
+    if (!ticket) throw new HttpError(404, 'Ticket not found');
+    if (from && !from.includes(ticket.status)) {
+      throw new HttpError(409, `This ticket is already ${ticket.status.replace('_', ' ')}`);
+    }
+    if (!TRANSITIONS[ticket.status].includes(status)) {
+      throw new HttpError(409, `A ${ticket.status} ticket cannot move to ${status}`, {
+        allowed: TRANSITIONS[ticket.status],
+      });
+    }
+
+    const sets = ['status = ?', 'updated_by = ?'];
+    const params = [status, String(actor || '').slice(0, 100) || null];
+    if (status === 'in_progress') sets.push('acknowledged_at = COALESCE(acknowledged_at, NOW())', 'resolved_at = NULL');
+    if (status === 'resolved') sets.push('resolved_at = NOW()', 'acknowledged_at = COALESCE(acknowledged_at, NOW())');
+    if (status === 'closed') sets.push('closed_at = NOW()');
+    if (notes !== undefined && notes !== null && String(notes).trim() !== '') {
+      sets.push('resolution_notes = ?');
+      params.push(String(notes).trim());
+    }
+
+    // the status check guards against a concurrent transition
+    const [result] = await conn.execute(
+      `UPDATE tickets SET ${sets.join(', ')} WHERE id = ? AND status = ?`,
+      [...params, ticket.id, ticket.status]
+    );
+    if (result.affectedRows === 0) throw new HttpError(409, 'Ticket was changed meanwhile – reload and retry');
+
+    return getTicketById(ticket.id, tenant, conn);
+  });
+}
+
+/**
+ * Assigns a ticket to an address of its department (null unassigns)
+ * @param {number} id
+ * @param {string|null} assignee
+ * @param {Object} tenant Tenant row
+ * @param {string} actor
+ */
+export async function assignTicket(id, assignee, tenant, actor) {
+  const email = assignee === null || assignee === undefined ? '' : String(assignee).trim();
+  if (email && !EMAIL_RE.test(email)) throw new HttpError(400, 'assignee must be an email address');
+
+  const ticket = await getTicketById(id, tenant);
+  if (!ticket) throw new HttpError(404, 'Ticket not found');
+  if (ticket.status === 'closed') throw new HttpError(409, 'A closed ticket cannot be reassigned');
+
+  if (email && ticket.department_id) {
+    const [rows] = await pool.execute('SELECT recipients, cc FROM departments WHERE id = ?', [ticket.department_id]);
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value) || [];
+    const members = rows.length ? [...parse(rows[0].recipients), ...parse(rows[0].cc)].map(e => e.toLowerCase()) : [];
+    if (!members.includes(email.toLowerCase())) {
+      throw new HttpError(400, `assignee must be a recipient of ${ticket.department}`, { members });
+    }
+  }
+
+  await pool.execute(
+    `UPDATE tickets SET assignee = ?, assigned_at = ${email ? 'NOW()' : 'NULL'}, updated_by = ? WHERE id = ?`,
+    [email || null, String(actor || '').slice(0, 100) || null, ticket.id]
+  );
+  return getTicketById(ticket.id, tenant);
+}
+
+// --- Routes ---------------------------------------------------------
+
+function actionPage(title, body) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>body{font-family:sans-serif;max-width:560px;margin:40px auto;padding:0 16px}textarea{width:100%}</style>
+</head><body><h2>${escapeHtml(title)}</h2>${body}</body></html>`;
+}
+
+function ticketSummary(ticket) {
+  return `<p><strong>${escapeHtml(ticket.reference)}</strong> – ${escapeHtml(ticket.department || 'Unrouted')}</p>
+<p>${escapeHtml(ticket.call_type)} / ${escapeHtml(ticket.disposition_1)} / ${escapeHtml(ticket.disposition_2)}</p>
+<p>${escapeHtml(ticket.company)} – ${escapeHtml(ticket.name)} (${escapeHtml(ticket.contact_number)})</p>
+<p>Status: <strong>${escapeHtml(ticket.status.replace('_', ' '))}</strong></p>`;
+}
+
+/**
+ * Registers the /tickets routes on the main app: the signed email action
+ * pages (no login) and the supervisor API
+ * @param {Object} mainApp Express app
+ */
+export function setupTicketRoutes(mainApp) {
+  // Email links open a confirmation page; only its POST changes the
+  // ticket, so link scanners fetching the URL do not act on it
+  mainApp.get('/tickets/actions/:token', async (req, res) => {
+    try {
+      const { ticketId, action } = verifyActionToken(req.params.token);
+      const ticket = await getTicketById(ticketId, null);
+      if (!ticket) throw new HttpError(404, 'Ticket not found');
+
+      if (!LINK_ACTIONS[action].from.includes(ticket.status)) {
+        return res.send(actionPage('Nothing to do', `${ticketSummary(ticket)}<p>This ticket is already ${escapeHtml(ticket.status.replace('_', ' '))}.</p>`));
+      }
+      const notes = action === 'resolve'
+        ? '<p><label>Resolution notes<br><textarea name="notes" rows="5"></textarea></label></p>'
+        : '';
+      res.send(actionPage(
+        action === 'resolve' ? 'Resolve ticket' : 'Acknowledge ticket',
+        `${ticketSummary(ticket)}<form method="post">${notes}<button type="submit">Confirm</button></form>`
+      ));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).send(actionPage('Ticket', `<p>${escapeHtml(err.message)}</p>`));
+      sendError(res, err);
+    }
+  });
+
+  mainApp.post('/tickets/actions/:token', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+      const { ticketId, action } = verifyActionToken(req.params.token);
+      const { status, from } = LINK_ACTIONS[action];
+      const ticket = await transitionTicket(ticketId, { status, notes: req.body?.notes }, null, 'email link', { from });
+      res.send(actionPage('Thank you', `${ticketSummary(ticket)}<p>The ticket has been updated.</p>`));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).send(actionPage('Ticket', `<p>${escapeHtml(err.message)}</p>`));
+      sendError(res, err);
+    }
+  });
+
+  const router = express.Router();
+  router.use(requireRole('supervisor'));
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listTickets(req.query, req.tenant));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const ticket = await getTicketById(req.params.id, req.tenant);
+      if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+      res.json(ticket);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body { status, notes }
+  router.post('/:id/transition', async (req, res) => {
+    try {
+      res.json(await transitionTicket(req.params.id, req.body || {}, req.tenant, resolveActor(req)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body { assignee } – null unassigns
+  router.post('/:id/assign', async (req, res) => {
+    try {
+      res.json(await assignTicket(req.params.id, req.body?.assignee ?? null, req.tenant, resolveActor(req)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/tickets', router);
+  console.log('Ticket routes configured');
+}
@@ -0,0 +1,23 @@
+// src/timeZone.js
+// Time zone arithmetic on IANA zone names, shared by reports, the business
+// calendar and the digest scheduler
+// ------------------------------------------------------------
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes
+ * @param {string} timeZone
+ * @param {Date} date
+ * @returns {number}
+ */
+export function timeZoneOffsetMinutes(timeZone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
@@ -1,51 +1,197 @@
+// src/tokenService.js
+// VoiceMeetMe portal tokens: per-tenant credentials, a pluggable cache
+// (PORTAL_TOKEN_CACHE=memory | db), refresh-token renewal before a full
+// login, and single-flight renewal so concurrent callers share one login.
+// ------------------------------------------------------------
+
 import axios from 'axios';
 import ms from 'ms';
 import https from 'https';
+import crypto from 'crypto';
+import { pool, withTransaction, dialect } from './db.js';
+import { config } from './config.js';
 
-const cache = new Map(); // In production prefer Redis or similar shared cache
 const MAX_RETRIES = 3;
+// Tokens are renewed this long before they expire
+const EXPIRY_MARGIN_MS = ms('2m');
+// How long another caller (or instance) waits for a renewal in progress
+const RENEWAL_LOCK_TIMEOUT_SECONDS = 60;
+const REFRESH_PATH = config.portal.refreshPath;
 
 // Accept self-signed certificates in lower environments – override in prod
-const httpsAgent = new https.Agent({ rejectUnauthorized: process.env.NODE_TLS_REJECT_UNAUTHORIZED !== '1' });
+const httpsAgent = new https.Agent({ rejectUnauthorized: config.portal.rejectUnauthorized });
 
-// Cache structure: Map<key, {access, refresh, expiresAt}>
+// Per-tenant portal logins (PORTAL_CREDENTIALS, validated by config.js);
+// API_USERNAME / API_PASSWORD remain the fallback for unlisted tenants.
+const TENANT_CREDENTIALS = config.portal.credentials;
 
 /**
- * Modern portal login used by new /api/v2/... routes. Similar retry + caching.
- *
- * @param {string} tenant domain, e.g. mc_int
- * @returns {Promise<string>} access token (JWT)
+ * Portal username / password for a tenant
+ * @param {string} tenant
+ * @returns {{ username: string, password: string }}
  */
-export async function getPortalToken(tenant) {
-  const now = Date.now();
-  const cacheKey = `portal:${tenant}`;
-  const cached = cache.get(cacheKey);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
+export function getTenantCredentials(tenant) {
+  if (TENANT_CREDENTIALS[tenant]) return TENANT_CREDENTIALS[tenant];
+  if (config.portal.username) {
+    return { username: config.portal.username, password: config.portal.password };
+  }
+  throw new Error(`No VoiceMeetMe portal credentials configured for tenant "${tenant}"`);
+}
+
+// --- Cache backends -------------------------------------------------
+// A backend stores { access, refresh, expiresAt, refreshExpiresAt } entries
+// (epoch ms) and runs renewals of one key under withLock.
+
+/**
+ * Process-local cache; renewals are only serialised within this process
+ */
+export function createMemoryTokenCache() {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    get: async key => entries.get(key) ?? null,
+    set: async (key, entry) => { entries.set(key, entry); },
+    delete: async (key) => { entries.delete(key); },
+    withLock: (_key, fn) => fn(),
+  };
+}
+
+/**
+ * portal_tokens table shared by every instance; renewals hold a named
+ * database lock, so only one instance logs in for a tenant at a time
+ */
+export function createDbTokenCache() {
+  return {
+    name: 'db',
+    async get(key) {
+      const [rows] = await pool.execute(
+        `SELECT access_token, refresh_token, expires_at, refresh_expires_at
+           FROM portal_tokens WHERE cache_key = ?`,
+        [key]
+      );
+      if (rows.length === 0) return null;
+      return {
+        access: rows[0].access_token,
+        refresh: rows[0].refresh_token,
+        expiresAt: Number(rows[0].expires_at),
+        refreshExpiresAt: rows[0].refresh_expires_at === null ? null : Number(rows[0].refresh_expires_at),
+      };
+    },
+    async set(key, entry) {
+      const values = [entry.access, entry.refresh || null, entry.expiresAt, entry.refreshExpiresAt ?? null];
+      const [result] = await pool.execute(
+        `UPDATE portal_tokens
+            SET access_token = ?, refresh_token = ?, expires_at = ?, refresh_expires_at = ?
+          WHERE cache_key = ?`,
+        [...values, key]
+      );
+      if (result.affectedRows > 0) return;
+      await pool.execute(
+        `INSERT INTO portal_tokens (access_token, refresh_token, expires_at, refresh_expires_at, cache_key)
+         VALUES (?, ?, ?, ?, ?)`,
+        [...values, key]
+      );
+    },
+    async delete(key) {
+      await pool.execute('DELETE FROM portal_tokens WHERE cache_key = ?', [key]);
+    },
+    withLock(key, fn) {
+      // MySQL lock names are limited to 64 characters
+      const lockName = `portal-token:${crypto.createHash('sha1').update(key).digest('hex')}`;
+      return withTransaction(conn => dialect.withNamedLock(conn, lockName, fn, RENEWAL_LOCK_TIMEOUT_SECONDS));
+    },
+  };
+}
+
+const TOKEN_CACHES = { memory: createMemoryTokenCache, db: createDbTokenCache };
+
+function createConfiguredCache() {
+  return TOKEN_CACHES[config.portal.tokenCache]();
+}
+
+let cache = createConfiguredCache();
+
+/**
+ * Replaces the cache backend (any object with get / set / delete / withLock)
+ * @param {Object} backend
+ */
+export function setTokenCache(backend) {
+  cache = backend;
+}
+
+// --- Login / refresh ------------------------------------------------
+
+const isFresh = entry => Boolean(entry) && Date.now() < entry.expiresAt - EXPIRY_MARGIN_MS;
+
+/**
+ * Turns a login / refresh response into a cache entry
+ */
+function toCacheEntry(data, previous = null) {
+  const access = data.accessToken || data.access_token;
+  if (!access) throw new Error('No access token in response');
+
+  const expiresIn = data.expiresIn ?? data.expires_in;
+  const refreshExpiresIn = data.refreshExpiresIn ?? data.refresh_expires_in;
+  const refresh = data.refreshToken || data.refresh_token;
+  return {
+    access,
+    // a refresh response may leave the refresh token unchanged
+    refresh: refresh || previous?.refresh || null,
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : Date.now() + ms('1h'),
+    refreshExpiresAt: refreshExpiresIn
+      ? Date.now() + refreshExpiresIn * 1000
+      : (refresh ? null : previous?.refreshExpiresAt ?? null),
+  };
+}
 
-  const base = process.env.BASE_URL;
+/**
+ * Trades the refresh token for a new access token
+ * @returns {Promise<Object|null>} cache entry, null when refreshing is not possible
+ */
+async function refreshPortalToken(tenant, entry) {
+  if (!entry?.refresh) return null;
+  if (entry.refreshExpiresAt && Date.now() >= entry.refreshExpiresAt) return null;
+
+  const url = `${config.portal.baseUrl}${REFRESH_PATH}`;
+  try {
+    const { data } = await axios.post(
+      url,
+      { domain: tenant, refreshToken: entry.refresh },
+      { timeout: 5000, httpsAgent, headers: { Accept: 'application/json', Authorization: `Bearer ${entry.access}` } },
+    );
+    const renewed = toCacheEntry(data, entry);
+    if (config.debug) console.log(`✅ Portal token refreshed for ${tenant}`);
+    return renewed;
+  } catch (err) {
+    if (config.debug) console.warn(`Token refresh failed for ${tenant} at ${url}: ${err.response?.status || err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Full login, trying each known portal login endpoint with retries
+ * @returns {Promise<Object>} cache entry
+ */
+async function loginPortal(tenant) {
+  const { username, password } = getTenantCredentials(tenant);
+  const base = config.portal.baseUrl;
+  const body = { domain: tenant, username, password };
   const candidates = [
-    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    { url: `${base}/api/v2/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    { url: `${base}/api/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
+    `${base}/api/v2/config/login/oauth`,
+    `${base}/api/v2/login`,
+    `${base}/api/login`,
   ];
 
-  for (const { url, body } of candidates) {
+  for (const url of candidates) {
     for (let attempt = 0, delay = 1000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
       try {
         const { data } = await axios.post(url, body, { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } });
-
-        const access = data.accessToken || data.access_token;
-        if (!access) throw new Error('No access token in response');
-
-        const refresh = data.refreshToken || data.refresh_token;
-        const expiresAt = data.expiresIn ? Date.now() + data.expiresIn * 1000 : Date.now() + ms('1h');
-
-        cache.set(cacheKey, { access, refresh, expiresAt });
-        if (process.env.DEBUG) console.log(`✅ Portal login succeeded at ${url}`);
-        return access;
+        const entry = toCacheEntry(data);
+        if (config.debug) console.log(`✅ Portal login succeeded at ${url}`);
+        return entry;
       } catch (err) {
         if (attempt === MAX_RETRIES - 1) {
-          if (process.env.DEBUG) console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
+          if (config.debug) console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
         } else {
           await new Promise((r) => setTimeout(r, delay));
         }
@@ -55,4 +201,53 @@ export async function getPortalToken(tenant) {
   throw new Error('All portal login attempts failed – check credentials/endpoints');
 }
 
+// Renewals in progress in this process, by cache key
+const inFlight = new Map();
+
+/**
+ * Renews the token of one key under the cache lock. The cache is read
+ * again once the lock is held: another caller or instance may have
+ * renewed it meanwhile.
+ */
+async function renewToken(tenant, key) {
+  return cache.withLock(key, async () => {
+    const current = await cache.get(key);
+    if (isFresh(current)) return current.access;
+
+    const entry = (await refreshPortalToken(tenant, current)) || (await loginPortal(tenant));
+    await cache.set(key, entry);
+    return entry.access;
+  });
+}
+
+/**
+ * Modern portal login used by new /api/v2/... routes. Cached per tenant;
+ * an expiring token is refreshed, or a full login is made when that fails.
+ *
+ * @param {string} tenant domain, e.g. mc_int
+ * @returns {Promise<string>} access token (JWT)
+ */
+export async function getPortalToken(tenant) {
+  const key = `portal:${tenant}`;
+  const cached = await cache.get(key);
+  if (isFresh(cached)) return cached.access;
+
+  // single flight: concurrent callers wait for the same renewal
+  if (!inFlight.has(key)) {
+    inFlight.set(key, renewToken(tenant, key).finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Marks a tenant's access token expired (e.g. after the portal rejected it
+ * with 401); the refresh token is kept for the next renewal
+ * @param {string} tenant
+ */
+export async function invalidatePortalToken(tenant) {
+  const key = `portal:${tenant}`;
+  const entry = await cache.get(key);
+  if (entry) await cache.set(key, { ...entry, expiresAt: 0 });
+}
+
 export { httpsAgent };
@@ -1,6 +1,7 @@
 // src/voicemeetme.js
 import axios from 'axios';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { getPortalToken, invalidatePortalToken, httpsAgent } from './tokenService.js';
+import { config } from './config.js';
 
 /**
  * Send a PUT request to VoiceMeetMe to update disposition for a campaign call.
@@ -12,21 +13,27 @@ import { getPortalToken, httpsAgent } from './tokenService.js';
 export async function updateCallDisposition(tenant, callId, value) {
   if (!tenant || !callId) throw new Error('tenant and callId are required');
   const token = await getPortalToken(tenant);
-  const base = process.env.BASE_URL;
+  const base = config.portal.baseUrl;
   const url = `${base}/api/v2/config/campaigns/call/${callId}/disposition`;
 
-  await axios.put(
-    url,
-    { value },
-    {
-      httpsAgent,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant,
-        'Content-Type': 'application/json;charset=UTF-8',
+  try {
+    await axios.put(
+      url,
+      { value },
+      {
+        httpsAgent,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'X-User-Agent': 'portal',
+          'X-Account-ID': config.portal.accountIdHeader ?? tenant,
+          'Content-Type': 'application/json;charset=UTF-8',
+        },
+        timeout: 5000,
       },
-      timeout: 5000,
-    },
-  );
+    );
+  } catch (err) {
+    // rejected token: the next attempt renews it instead of reusing it
+    if (err.response?.status === 401) await invalidatePortalToken(tenant);
+    throw err;
+  }
 }
@@ -0,0 +1,375 @@
+// src/voicemeetmeSync.js
+// Durable push of final dispositions to the VoiceMeetMe campaign call.
+// Sync state lives on the forms_new row (vmm_* columns, keyed by
+// call_tenant / call_id); a background worker retries failed pushes with
+// exponential backoff and marks them failed after VMM_SYNC_MAX_ATTEMPTS.
+//
+//   node src/voicemeetmeSync.js reconcile                 re-push every submitted
+//                                                        call not synced yet
+//   node src/voicemeetmeSync.js reconcile --since=2025-01-01
+//   node src/voicemeetmeSync.js reconcile --dry-run       report without pushing
+// ------------------------------------------------------------
+
+import express from 'express';
+import { pool, withTransaction, dialect } from './db.js';
+import { updateCallDisposition } from './voicemeetme.js';
+import { requirePlatformAdmin } from './auth.js';
+import { HttpError, sendError } from './httpError.js';
+import { publishFormEvent } from './liveFeed.js';
+import { config, assertValidConfig } from './config.js';
+
+const { maxAttempts: MAX_ATTEMPTS, pollIntervalMs: POLL_INTERVAL_MS, baseDelaySeconds: BASE_DELAY_SECONDS } = config.voicemeetmeSync;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const BATCH_SIZE = 10;
+// A claimed row is not picked up again for this long (worker died mid-push)
+const LEASE_SECONDS = 5 * 60;
+
+const SYNC_STATUSES = ['pending', 'failed'];
+
+// Rejections VoiceMeetMe will repeat on every retry (unknown call, bad value);
+// 401 is retried because the cached portal token may have expired
+const isPermanentFailure = status =>
+  status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+
+/**
+ * Delay before the next attempt: BASE * 2^(attempts-1), capped at 6h
+ * @param {number} attempts Attempts made so far (>= 1)
+ * @returns {number} seconds
+ */
+function backoffSeconds(attempts) {
+  return Math.min(BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Disposition text sent to VoiceMeetMe: "Call type - Disposition 1 - Disposition 2",
+ * with the free-text custom value replacing disposition 2 when present
+ * @param {Object} form forms_new row or body
+ * @returns {string}
+ */
+export function formatDisposition({ call_type, disposition_1, disposition_2, disposition_2_custom }) {
+  return `${call_type} - ${disposition_1} - ${disposition_2_custom || disposition_2}`;
+}
+
+/**
+ * Marks a form's disposition for (re-)sync. Pass the transaction connection
+ * used for the forms_new write so both commit together. The tenant / callId
+ * are stored on the row unless it already belongs to a call.
+ *
+ * @param {Object} conn Transaction connection (or the pool)
+ * @param {number} formId
+ * @param {Object} target { tenant, callId, disposition }
+ * @returns {Promise<boolean>} false when the call is unknown (nothing to sync)
+ */
+export async function queueDispositionSync(conn, formId, { tenant, callId, disposition }) {
+  if (!tenant || !callId) return false;
+
+  // call_tenant is assigned before call_id: MySQL evaluates SET left to
+  // right, so the CASE must still see the old call_id
+  await conn.execute(
+    `UPDATE forms_new
+        SET call_tenant = CASE WHEN call_id IS NULL THEN ? ELSE call_tenant END,
+            call_id = COALESCE(call_id, ?),
+            vmm_disposition = ?, vmm_sync_status = 'pending', vmm_sync_attempts = 0,
+            vmm_last_error = NULL, vmm_next_attempt_at = NOW()
+      WHERE id = ?`,
+    [tenant, callId, disposition, formId]
+  );
+  return true;
+}
+
+/**
+ * Claims due rows (or one given row) by pushing their next attempt past
+ * the lease, so no other worker picks them up meanwhile
+ */
+async function claimDueSyncs(formId = null) {
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT id, call_tenant, call_id, vmm_disposition, vmm_sync_attempts
+         FROM forms_new
+        WHERE vmm_sync_status = 'pending' AND vmm_next_attempt_at <= NOW()
+          ${formId ? 'AND id = ?' : ''}
+        ORDER BY vmm_next_attempt_at, id
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED`,
+      formId ? [formId, 1] : [BATCH_SIZE]
+    );
+
+    if (rows.length > 0) {
+      await conn.query(
+        `UPDATE forms_new SET vmm_next_attempt_at = ${dialect.secondsFromNow()} WHERE id IN (?)`,
+        [LEASE_SECONDS, rows.map(r => r.id)]
+      );
+    }
+    return rows;
+  });
+}
+
+/**
+ * Pushes one claimed row and records the outcome. The state is only
+ * written while vmm_disposition still holds the pushed value – a newer
+ * disposition queued meanwhile stays pending.
+ * @returns {Promise<string>} resulting status
+ */
+async function pushDisposition(row) {
+  const attempts = row.vmm_sync_attempts + 1;
+
+  try {
+    await updateCallDisposition(row.call_tenant, row.call_id, row.vmm_disposition);
+
+    await pool.execute(
+      `UPDATE forms_new
+          SET vmm_sync_status = 'synced', vmm_sync_attempts = ?, vmm_last_error = NULL,
+              vmm_next_attempt_at = NULL, vmm_synced_at = NOW()
+        WHERE id = ? AND vmm_disposition = ?`,
+      [attempts, row.id, row.vmm_disposition]
+    );
+    console.log(`Call disposition forwarded to VoiceMeetMe for callId ${row.call_id} (form #${row.id}): ${row.vmm_disposition}`);
+    return 'synced';
+  } catch (error) {
+    const statusCode = error.response?.status ?? null;
+    const failed = attempts >= MAX_ATTEMPTS || (statusCode !== null && isPermanentFailure(statusCode));
+    const message = statusCode ? `HTTP ${statusCode}: ${error.message}` : String(error.message || error);
+
+    await pool.execute(
+      `UPDATE forms_new
+          SET vmm_sync_status = ?, vmm_sync_attempts = ?, vmm_last_error = ?,
+              vmm_next_attempt_at = ${failed ? 'NULL' : dialect.secondsFromNow()}
+        WHERE id = ? AND vmm_disposition = ?`,
+      [
+        failed ? 'failed' : 'pending', attempts, message.slice(0, 2000),
+        ...(failed ? [] : [backoffSeconds(attempts)]),
+        row.id, row.vmm_disposition,
+      ]
+    );
+
+    if (failed) {
+      console.error(`VoiceMeetMe sync of form #${row.id} failed after ${attempts} attempts:`, message);
+    } else {
+      console.error(`VoiceMeetMe sync of form #${row.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${backoffSeconds(attempts)}s:`, message);
+    }
+    await publishFormEvent('voicemeetme.failed', row.id, {
+      callId: row.call_id, disposition: row.vmm_disposition, attempts, final: failed, error: message,
+    });
+    return failed ? 'failed' : 'pending';
+  }
+}
+
+/**
+ * Attempts the pending sync of one form right away (after a submission),
+ * leaving failures to the worker. Never throws.
+ * @param {number} formId
+ * @returns {Promise<string|null>} resulting status, null when nothing was due
+ */
+export async function syncDispositionNow(formId) {
+  try {
+    const [row] = await claimDueSyncs(formId);
+    return row ? await pushDisposition(row) : null;
+  } catch (err) {
+    console.error(`VoiceMeetMe sync of form #${formId} could not run:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Processes one batch of due syncs
+ * @returns {Promise<number>} number of pushes attempted
+ */
+export async function processDispositionSyncs() {
+  const rows = await claimDueSyncs();
+  for (const row of rows) {
+    await pushDisposition(row);
+  }
+  return rows.length;
+}
+
+/**
+ * Starts the background retry loop
+ * @returns {Function} stop function
+ */
+export function startDispositionSyncWorker() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      while ((await processDispositionSyncs()) === BATCH_SIZE);
+    } catch (err) {
+      console.error('VoiceMeetMe sync worker error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+
+  console.log(`📞 VoiceMeetMe sync worker started (every ${POLL_INTERVAL_MS / 1000}s, max ${MAX_ATTEMPTS} attempts)`);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Lists calls whose disposition has not reached VoiceMeetMe
+ * @param {Object} [options] { status: 'pending' | 'failed' (both by default), limit }
+ */
+export async function listUnsyncedCalls({ status, limit = 100 } = {}) {
+  if (status && !SYNC_STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be one of: ${SYNC_STATUSES.join(', ')}`);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT id, call_tenant, call_id, caller_id_number, agent_id, queue_id,
+            call_type, disposition_1, disposition_2, disposition_2_custom,
+            vmm_disposition, vmm_sync_status, vmm_sync_attempts, vmm_last_error,
+            vmm_next_attempt_at, created_at
+       FROM forms_new
+      WHERE vmm_sync_status IN (?)
+      ORDER BY id DESC
+      LIMIT ?`,
+    [status ? [status] : SYNC_STATUSES, Math.min(Number(limit) || 100, 500)]
+  );
+  return rows;
+}
+
+/**
+ * Puts a failed (or pending) sync back in the queue for an immediate attempt
+ * @param {number} formId
+ */
+export async function retryDispositionSync(formId) {
+  const [result] = await pool.execute(
+    `UPDATE forms_new
+        SET vmm_sync_status = 'pending', vmm_sync_attempts = 0, vmm_next_attempt_at = NOW()
+      WHERE id = ? AND vmm_sync_status IN ('failed', 'pending')`,
+    [formId]
+  );
+  if (result.affectedRows === 0) {
+    throw new HttpError(404, 'No failed or pending VoiceMeetMe sync for this form');
+  }
+}
+
+/**
+ * Re-queues every failed sync
+ * @returns {Promise<number>} number of syncs re-queued
+ */
+export async function retryFailedDispositionSyncs() {
+  const [result] = await pool.execute(
+    `UPDATE forms_new
+        SET vmm_sync_status = 'pending', vmm_sync_attempts = 0, vmm_next_attempt_at = NOW()
+      WHERE vmm_sync_status = 'failed'`
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Re-pushes every submitted call form (disposition filled in) whose
+ * disposition never landed: never queued, failed, or still pending –
+ * including forms submitted before sync tracking existed.
+ *
+ * @param {Object} [options] { since: date string, dryRun }
+ * @returns {Promise<{ found: number, synced: number, failed: number, pending: number }>}
+ */
+export async function reconcileDispositions({ since = null, dryRun = false } = {}) {
+  const stats = { found: 0, synced: 0, failed: 0, pending: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT id, call_tenant, call_id, call_type, disposition_1, disposition_2, disposition_2_custom
+         FROM forms_new
+        WHERE id > ? AND call_id IS NOT NULL AND call_tenant IS NOT NULL
+          AND disposition_2 <> ''
+          AND (vmm_sync_status IS NULL OR vmm_sync_status <> 'synced')
+          ${since ? 'AND created_at >= ?' : ''}
+        ORDER BY id
+        LIMIT ?`,
+      [lastId, ...(since ? [since] : []), BATCH_SIZE * 10]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      stats.found += 1;
+      if (dryRun) continue;
+
+      await queueDispositionSync(pool, row.id, {
+        tenant: row.call_tenant,
+        callId: row.call_id,
+        disposition: formatDisposition(row),
+      });
+      const status = await syncDispositionNow(row.id);
+      stats[status || 'pending'] += 1;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return stats;
+}
+
+/**
+ * Registers the authenticated /admin/voicemeetme routes on the main app
+ * @param {Object} mainApp Express app
+ */
+export function setupVoiceMeetMeSyncRoutes(mainApp) {
+  const router = express.Router();
+  router.use(requirePlatformAdmin);
+
+  // Calls whose disposition is pending or failed (?status= to narrow)
+  router.get('/unsynced', async (req, res) => {
+    try {
+      res.json(await listUnsyncedCalls({ status: req.query.status, limit: req.query.limit }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Re-queue every failed sync
+  router.post('/unsynced/retry', async (_req, res) => {
+    try {
+      res.json({ requeued: await retryFailedDispositionSyncs() });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Retry one form's sync now
+  router.post('/unsynced/:id/retry', async (req, res) => {
+    try {
+      await retryDispositionSync(req.params.id);
+      res.json({ requeued: 1, status: await syncDispositionNow(req.params.id) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  mainApp.use('/admin/voicemeetme', router);
+  console.log('VoiceMeetMe sync routes configured');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command, ...args] = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const since = args.find(a => a.startsWith('--since='))?.slice('--since='.length) || null;
+
+  if (command !== 'reconcile') {
+    console.error('Usage: node src/voicemeetmeSync.js reconcile [--since=YYYY-MM-DD] [--dry-run]');
+    process.exit(1);
+  }
+  try {
+    assertValidConfig();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  reconcileDispositions({ since, dryRun })
+    .then(({ found, synced, failed, pending }) => {
+      console.log(dryRun
+        ? `VoiceMeetMe reconciliation (dry run): ${found} call(s) without a synced disposition`
+        : `VoiceMeetMe reconciliation: ${found} found, ${synced} synced, ${failed} failed, ${pending} left for the worker`);
+    })
+    .catch((err) => {
+      console.error('Reconciliation failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
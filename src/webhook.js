@@ -1,20 +1,81 @@
 // src/webhook.js
 
+import crypto from 'crypto';
 import express from 'express';
-import { pool } from './form.js';
-import dotenv from 'dotenv';
+import { withTransaction, getFormById } from './form.js';
+import { diffFields, recordHistory } from './formHistory.js';
 import cors from 'cors';
-import { updateCallDisposition } from './voicemeetme.js';
+import { formatDisposition, queueDispositionSync, syncDispositionNow } from './voicemeetmeSync.js';
+import { buildCorsOptions } from './auth.js';
+import { captureRawBody, requireWebhookSignature } from './webhookAuth.js';
+import { normalizePhone, callerMatch } from './phone.js';
+import { findCallerPrefill } from './callerHistory.js';
+import { dialect } from './db.js';
+import { resolveTenant, clientUrlFor } from './tenants.js';
+import { HttpError, sendError } from './httpError.js';
+import { publishFormEvent } from './liveFeed.js';
+import { config } from './config.js';
 
-dotenv.config();
+// Without a callId, the same queue/caller/agent within this window is
+// treated as a retry of the same call event
+const DEDUPE_WINDOW_SECONDS = config.webhook.dedupeWindowSeconds;
 
 const app = express();
 // Use the same port as the main API to avoid CORS issues
-const PORT = process.env.PORT || 8989;
+const PORT = config.server.port;
 
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Dialers may POST form-encoded bodies; the main app only parses JSON, so
+// the webhook routes bring this parser along (raw body kept for signatures)
+const parseFormBody = express.urlencoded({ extended: true, verify: captureRawBody });
+
+app.use(cors(buildCorsOptions()));
+app.use(express.json({ verify: captureRawBody }));
+app.use(parseFormBody);
+
+/**
+ * Finds the draft already created for this call event, if any.
+ * Keyed on tenant + callId when the dialer sends one, otherwise on
+ * tenant + queue + caller number + agent within DEDUPE_WINDOW_SECONDS.
+ *
+ * @param {Object} conn Transaction connection
+ * @param {Object} event { tenant, callId, qid, cidnum, agent }
+ * @param {Object} tenantRow Tenant the form belongs to
+ * @returns {Promise<number|null>} existing forms_new id
+ */
+async function findExistingDraft(conn, { tenant, callId, qid, cidnum, agent }, tenantRow) {
+  if (callId) {
+    const [rows] = await conn.execute(
+      `SELECT id FROM forms_new WHERE ${dialect.nullSafeEquals('call_tenant')} AND call_id = ? LIMIT 1`,
+      [tenant || null, callId]
+    );
+    return rows[0]?.id ?? null;
+  }
+
+  if (!cidnum) return null;
+  const caller = callerMatch(cidnum);
+  const [rows] = await conn.execute(
+    `SELECT id FROM forms_new
+      WHERE tenant = ? AND queue_id = ? AND ${caller.clause} AND agent_id = ?
+        AND created_at >= ${dialect.secondsAgo()}
+      ORDER BY id DESC
+      LIMIT 1`,
+    [tenantRow.code, qid || '', ...caller.params, agent || '', DEDUPE_WINDOW_SECONDS]
+  );
+  return rows[0]?.id ?? null;
+}
+
+/**
+ * Runs fn while holding a named lock for the call event, so two
+ * concurrent deliveries of the same event cannot both insert a draft.
+ */
+async function withCallLock(conn, event, fn) {
+  const key = event.callId
+    ? `${event.tenant || ''}|${event.callId}`
+    : `${event.tenant || ''}|${event.qid || ''}|${normalizePhone(event.cidnum) || event.cidnum || ''}|${event.agent || ''}`;
+  // MySQL lock names are limited to 64 characters
+  const lockName = `webhook:${crypto.createHash('sha1').update(key).digest('hex')}`;
+  return dialect.withNamedLock(conn, lockName, fn);
+}
 
 /**
  * Process webhook data from query parameters (GET)
@@ -38,7 +99,7 @@ async function processWebhookData(data, res) {
       qname,       // QUEUE_NAME
       agentExtn,    // AGENT_EXTENSION
       disposition, // DISPOSITION (may be empty at call start)
-      tenant, // VOICEMEETME tenant (optional)
+      tenant, // VOICEMEETME tenant – also the tenant the form belongs to (optional)
       callId // VOICEMEETME campaign call ID (optional)
     } = data;
 
@@ -47,15 +108,19 @@ async function processWebhookData(data, res) {
       cidname, cidnum, agent, qid, qname, agentExtn, disposition, tenant, callId
     });
 
+    // Calls without a tenant belong to DEFAULT_TENANT
+    const tenantRow = await resolveTenant(tenant);
+
     // Create a temporary record in the database with the call parameters
     // Updated to use new disposition form structure
     const sql = `INSERT INTO forms_new 
       (company, name, contact_number, email, call_type, disposition_1, disposition_2, 
        query, queue_id, queue_name, agent_id, agent_ext, 
-       caller_id_name, caller_id_number)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+       caller_id_name, caller_id_number, status, caller_id_e164, call_tenant, call_id, prefilled_from, tenant)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     
     // Initialize empty values for form fields - will be filled by user
+    // (company, name and email are pre-filled below for repeat callers)
     const company = "";
     const name = "";
     const contact_number = cidnum || ""; // Pre-fill with caller number if available
@@ -65,7 +130,7 @@ async function processWebhookData(data, res) {
     const disposition_2 = ""; // Will be selected by user
     const query = "";
 
-    await pool.execute(sql, [
+    const values = {
       company,
       name,
       contact_number,
@@ -74,27 +139,64 @@ async function processWebhookData(data, res) {
       disposition_1,
       disposition_2,
       query,
-      qid || '',
-      qname || '',
-      agent || '',
-      agentExtn || '',
-      cidname || '',
-      cidnum || ''
-    ]);
+      queue_id: qid || '',
+      queue_name: qname || '',
+      agent_id: agent || '',
+      agent_ext: agentExtn || '',
+      caller_id_name: cidname || '',
+      caller_id_number: cidnum || '',
+      status: 'draft' // until the agent submits it (abandoned if nobody does)
+    };
 
     // Get the ID of the inserted record to pass to the form page
-    const [result] = await pool.execute('SELECT LAST_INSERT_ID() as id');
-    const recordId = result[0].id;
+    // (insertId of the same connection – LAST_INSERT_ID() on the pool could
+    // run on a different connection). A repeated event for the same call
+    // reuses the draft created by the first one.
+    const event = { tenant, callId, qid, cidnum, agent };
+    let created = false;
+    const recordId = await withTransaction(conn => withCallLock(conn, event, async () => {
+      const existingId = await findExistingDraft(conn, event, tenantRow);
+      if (existingId) {
+        console.log(`Webhook: duplicate call event, reusing form ${existingId}`);
+        return existingId;
+      }
+
+      // Repeat caller: start from the details of their last submission;
+      // prefilled_from tells the UI these fields were auto-filled
+      const prefill = await findCallerPrefill(conn, cidnum, tenantRow);
+      const draft = { ...values, ...(prefill ? prefill.fields : {}) };
+
+      const [result] = await conn.execute(sql, [
+        ...Object.values(draft),
+        normalizePhone(cidnum),
+        callId ? tenant || null : null,
+        callId || null,
+        prefill ? prefill.formId : null,
+        tenantRow.code,
+      ]);
+
+      await recordHistory(conn, {
+        formId: result.insertId,
+        action: 'create',
+        changes: diffFields({}, draft),
+        actor: agent ? `agent:${agent}` : 'dialer',
+        source: 'GET /webhook',
+      });
+
+      created = true;
+      return result.insertId;
+    }));
+
+    if (created) publishFormEvent('call.opened', recordId);
 
     // Note: Disposition forwarding to VoiceMeetMe will happen after form submission
     // since we now use the new disposition structure instead of the old single disposition field
 
-    // Redirect to the frontend form page with the record ID
-    // Use the frontend port from environment variables
-    const clientURL = process.env.CLIENT_URL || 'http://localhost:3000';
-    res.redirect(`${clientURL}/?id=${recordId}`);
+    // Redirect to the tenant's frontend form page with the record ID
+    res.redirect(`${clientUrlFor(tenantRow)}/?id=${recordId}`);
     
   } catch (error) {
+    if (error instanceof HttpError) return sendError(res, error);
     console.error('Webhook error:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
@@ -120,52 +222,68 @@ async function processWebhookPostData(data, res) {
     } = data;
 
     if (recordId && call_type && disposition_1 && disposition_2) {
+      const tenantRow = await resolveTenant(tenant);
+      const current = await getFormById(recordId, tenantRow);
+      if (!current) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+
       // Update the record with the final disposition data
       const updateSql = `UPDATE forms_new 
-        SET call_type = ?, disposition_1 = ?, disposition_2 = ?, disposition_2_custom = ?
-        WHERE id = ?`;
+        SET call_type = ?, disposition_1 = ?, disposition_2 = ?, disposition_2_custom = ?, status = 'submitted'
+        WHERE id = ? AND tenant = ?`;
       
-      await pool.execute(updateSql, [
-        call_type,
-        disposition_1,
-        disposition_2,
-        disposition_2_custom || null,
-        recordId
-      ]);
+      // The VoiceMeetMe push is queued with the update, so a dialer outage
+      // only delays it (see voicemeetmeSync.js); the call stored with the
+      // draft is used when the body does not name one
+      const final = { call_type, disposition_1, disposition_2, disposition_2_custom: disposition_2_custom || null, status: 'submitted' };
+      const syncQueued = await withTransaction(async (conn) => {
+        await conn.execute(updateSql, [
+          call_type,
+          disposition_1,
+          disposition_2,
+          disposition_2_custom || null,
+          recordId,
+          tenantRow.code,
+        ]);
 
-      // Forward disposition to VoiceMeetMe if details provided
-      if (tenant && callId) {
-        try {
-          // Create a combined disposition string for VoiceMeetMe
-          const combinedDisposition = disposition_2_custom 
-            ? `${call_type} - ${disposition_1} - ${disposition_2_custom}`
-            : `${call_type} - ${disposition_1} - ${disposition_2}`;
-            
-          await updateCallDisposition(tenant, callId, combinedDisposition);
-          console.log(`Call disposition forwarded to VoiceMeetMe for callId ${callId}: ${combinedDisposition}`);
-        } catch (e) {
-          console.error('Failed to push disposition to VoiceMeetMe:', e.message);
-        }
-      }
+        await recordHistory(conn, {
+          formId: recordId,
+          action: 'disposition',
+          changes: diffFields(current, final),
+          actor: data.agent_id ? `agent:${data.agent_id}` : 'webhook',
+          source: 'POST /webhook',
+        });
+
+        return queueDispositionSync(conn, recordId, {
+          tenant: current.call_id ? current.call_tenant : tenant,
+          callId: current.call_id || callId,
+          disposition: formatDisposition(final),
+        });
+      });
+
+      publishFormEvent('form.updated', recordId, { source: 'POST /webhook' });
+      const voicemeetme = syncQueued ? await syncDispositionNow(recordId) : null;
 
-      res.json({ success: true, message: 'Disposition updated successfully' });
+      res.json({ success: true, message: 'Disposition updated successfully', voicemeetme });
     } else {
       res.status(400).json({ error: 'Missing required disposition data' });
     }
     
   } catch (error) {
+    if (error instanceof HttpError) return sendError(res, error);
     console.error('Webhook POST error:', error);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 }
 
 // GET webhook endpoint (for call initiation)
-app.get('/webhook', (req, res) => {
+app.get('/webhook', requireWebhookSignature, (req, res) => {
   processWebhookData(req.query, res);
 });
 
 // POST webhook endpoint (for disposition updates)
-app.post('/webhook', (req, res) => {
+app.post('/webhook', requireWebhookSignature, (req, res) => {
   processWebhookPostData(req.body, res);
 });
 
@@ -177,11 +295,11 @@ app.get('/webhook/health', (req, res) => {
 // Export the setup function for integration with main server
 export function setupWebhookRoutes(mainApp) {
   // Mount webhook routes on the main app
-  mainApp.get('/webhook', (req, res) => {
+  mainApp.get('/webhook', requireWebhookSignature, (req, res) => {
     processWebhookData(req.query, res);
   });
 
-  mainApp.post('/webhook', (req, res) => {
+  mainApp.post('/webhook', parseFormBody, requireWebhookSignature, (req, res) => {
     processWebhookPostData(req.body, res);
   });
 
@@ -0,0 +1,113 @@
+// src/webhookAuth.js
+// Shared-secret / HMAC verification of dialer webhook requests
+// ------------------------------------------------------------
+
+import crypto from 'crypto';
+import { safeEqual } from './auth.js';
+import { config } from './config.js';
+
+const MAX_SKEW_SECONDS = config.webhook.maxSkewSeconds;
+
+/**
+ * express.json / express.urlencoded `verify` hook keeping the raw body,
+ * which POST signatures are computed over.
+ */
+export function captureRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Canonical form of a GET webhook: query parameters (minus the signature)
+ * sorted by name and URI-encoded, e.g. "agent=12&cidnum=0501&ts=1700000000".
+ * @param {Object} query Express req.query
+ * @returns {string}
+ */
+export function canonicalQuery(query) {
+  return Object.keys(query)
+    .filter(key => key !== 'signature')
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(String(query[key]))}`)
+    .join('&');
+}
+
+/**
+ * Signed payload of a POST webhook: the `X-Webhook-Timestamp` value and the
+ * raw body joined by a dot, e.g. "1700000000.{\"recordId\":12}"
+ * @param {string|number} timestamp Unix seconds
+ * @param {string|Buffer} body
+ * @returns {Buffer}
+ */
+export function postSignaturePayload(timestamp, body) {
+  return Buffer.concat([Buffer.from(`${timestamp}.`), Buffer.from(body || '')]);
+}
+
+/** Whether a unix-seconds timestamp is within the allowed skew of now */
+function isFresh(timestamp) {
+  const ts = Number(timestamp);
+  return Number.isFinite(ts) && Math.abs(Date.now() / 1000 - ts) <= MAX_SKEW_SECONDS;
+}
+
+/**
+ * Hex HMAC-SHA256 of a payload with WEBHOOK_SECRET
+ * @param {string|Buffer} payload
+ */
+export function signWebhookPayload(payload, secret = config.webhook.secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Checks a webhook request. Accepted credentials:
+ *  - HMAC: `X-Webhook-Signature` header or `signature` query param holding
+ *    hex HMAC-SHA256 of the canonical query (GET) or of the timestamp and
+ *    raw body (POST, see postSignaturePayload). The timestamp, `ts` query
+ *    param (GET) or `X-Webhook-Timestamp` header (POST) in unix seconds,
+ *    must be within the allowed skew so a captured request cannot be
+ *    replayed later.
+ *  - Shared secret: `X-Webhook-Token` header or `token` query param equal
+ *    to WEBHOOK_SECRET, for dialers that cannot sign.
+ *
+ * @param {Object} req Express request
+ * @returns {{ ok: boolean, status?: number, error?: string }}
+ */
+export function verifyWebhookRequest(req) {
+  const { secret } = config.webhook;
+  if (!secret) {
+    if (config.webhook.allowUnsigned) return { ok: true };
+    return { ok: false, status: 503, error: 'Webhook disabled: WEBHOOK_SECRET is not configured' };
+  }
+
+  const token = req.get('x-webhook-token') || req.query.token;
+  if (token) {
+    return safeEqual(token, secret) ? { ok: true } : { ok: false, status: 401, error: 'Invalid webhook token' };
+  }
+
+  const signature = req.get('x-webhook-signature') || req.query.signature;
+  if (!signature) {
+    return { ok: false, status: 401, error: 'Missing webhook signature' };
+  }
+
+  const timestamp = req.method === 'GET' ? req.query.ts : req.get('x-webhook-timestamp');
+  if (!isFresh(timestamp)) {
+    return { ok: false, status: 401, error: 'Webhook timestamp missing or outside the allowed window' };
+  }
+  const payload = req.method === 'GET'
+    ? canonicalQuery(req.query)
+    : postSignaturePayload(timestamp, req.rawBody);
+
+  const expected = signWebhookPayload(payload, secret);
+  return safeEqual(String(signature).toLowerCase(), expected)
+    ? { ok: true }
+    : { ok: false, status: 401, error: 'Invalid webhook signature' };
+}
+
+/**
+ * Express middleware rejecting unsigned / forged webhook calls
+ */
+export function requireWebhookSignature(req, res, next) {
+  const result = verifyWebhookRequest(req);
+  if (!result.ok) {
+    console.warn(`Rejected ${req.method} /webhook from ${req.ip}: ${result.error}`);
+    return res.status(result.status).json({ error: result.error });
+  }
+  next();
+}
@@ -0,0 +1,88 @@
+// test/businessCalendar.test.js
+// Business-hours arithmetic on the UAE working week: Monday–Friday,
+// 08:00–17:00 Asia/Dubai (UTC+4 all year), with two public holidays
+// ------------------------------------------------------------
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js reads the calendar once, on first import
+Object.assign(process.env, {
+  BUSINESS_TIMEZONE: 'Asia/Dubai',
+  BUSINESS_DAYS: 'mon,tue,wed,thu,fri',
+  BUSINESS_HOURS: '08:00-17:00',
+  BUSINESS_HOLIDAYS: '2026-12-02,2026-12-03',
+});
+const { addBusinessHours } = await import('../src/businessCalendar.js');
+
+/** Instant of a Dubai wall-clock time, e.g. dubai('2026-10-19T09:00') */
+const dubai = local => new Date(`${local}:00+04:00`);
+
+const iso = date => date.toISOString();
+
+describe('addBusinessHours', () => {
+  it('stays within the working day when the hours fit', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T09:00'), 4)), iso(dubai('2026-10-19T13:00')));
+  });
+
+  it('can end exactly at closing time', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T08:00'), 9)), iso(dubai('2026-10-19T17:00')));
+  });
+
+  it('carries the remainder over to the next working morning', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T15:00'), 4)), iso(dubai('2026-10-20T10:00')));
+  });
+
+  it('spans several working days', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T08:00'), 16)), iso(dubai('2026-10-20T15:00')));
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T08:00'), 45)), iso(dubai('2026-10-23T17:00')));
+  });
+
+  it('counts fractional hours in minutes', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T16:45'), 0.5)), iso(dubai('2026-10-20T08:15')));
+  });
+
+  it('skips the weekend', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-16T16:00'), 2)), iso(dubai('2026-10-19T09:00')));
+  });
+
+  it('starts counting on Monday morning when opened at the weekend', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-17T11:00'), 1)), iso(dubai('2026-10-19T09:00')));
+    assert.equal(iso(addBusinessHours(dubai('2026-10-18T23:30'), 1)), iso(dubai('2026-10-19T09:00')));
+  });
+
+  it('starts counting at opening time when opened early in the morning', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-20T06:00'), 1)), iso(dubai('2026-10-20T09:00')));
+  });
+
+  it('starts counting the next working morning when opened after closing', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-10-20T18:00'), 1)), iso(dubai('2026-10-21T09:00')));
+    assert.equal(iso(addBusinessHours(dubai('2026-10-20T17:00'), 1)), iso(dubai('2026-10-21T09:00')));
+  });
+
+  it('skips public holidays', () => {
+    // Tuesday 1 December, then Wednesday and Thursday are holidays
+    assert.equal(iso(addBusinessHours(dubai('2026-12-01T16:00'), 2)), iso(dubai('2026-12-04T09:00')));
+    assert.equal(iso(addBusinessHours(dubai('2026-12-02T10:00'), 1)), iso(dubai('2026-12-04T09:00')));
+  });
+
+  it('skips a holiday followed by the weekend', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-12-01T16:00'), 11)), iso(dubai('2026-12-07T09:00')));
+  });
+
+  it('computes targets longer than a year of working time', () => {
+    // 2500h = 277 working days + 7h; 9999h (the SLA maximum) = 1111 working days
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T08:00'), 2500)), iso(dubai('2027-11-12T15:00')));
+    assert.equal(iso(addBusinessHours(dubai('2026-10-19T08:00'), 9999)), iso(dubai('2031-01-22T17:00')));
+  });
+
+  it('uses the same UTC+4 offset in winter and summer', () => {
+    assert.equal(iso(addBusinessHours(dubai('2026-01-05T09:00'), 1)), '2026-01-05T06:00:00.000Z');
+    assert.equal(iso(addBusinessHours(dubai('2026-07-06T09:00'), 1)), '2026-07-06T06:00:00.000Z');
+  });
+
+  it('works from a UTC instant on the previous calendar day', () => {
+    // 22:00 UTC on Sunday is 02:00 on Monday in Dubai
+    assert.equal(iso(addBusinessHours(new Date('2026-10-18T22:00:00Z'), 1)), iso(dubai('2026-10-19T09:00')));
+  });
+});
@@ -0,0 +1,118 @@
+// test/db.test.js
+// PostgreSQL adapter of db.js: placeholder rewriting and the mysql2-shaped
+// results and error codes, against a stand-in pg client
+// ------------------------------------------------------------
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toPgQuery, runPg } from '../src/db.js';
+
+/**
+ * pg client answering every query with `result` (or throwing `error`),
+ * remembering the statements it was sent
+ */
+function fakeClient({ result = { command: 'SELECT', rows: [], fields: [], rowCount: 0 }, error = null } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async query(text, values) {
+      sent.push({ text, values });
+      if (error) throw error;
+      return result;
+    },
+  };
+}
+
+const pgError = (code) => Object.assign(new Error(`pg error ${code}`), { code });
+
+describe('toPgQuery', () => {
+  it('numbers the placeholders', () => {
+    assert.deepEqual(
+      toPgQuery('SELECT * FROM forms_new WHERE tenant = ? AND id = ?', ['acme', 7]),
+      { text: 'SELECT * FROM forms_new WHERE tenant = $1 AND id = $2', values: ['acme', 7] }
+    );
+  });
+
+  it('leaves question marks inside quoted strings and identifiers alone', () => {
+    const { text, values } = toPgQuery(`SELECT '?' AS "why?", 'it''s ?' FROM t WHERE a = ?`, [1]);
+    assert.equal(text, `SELECT '?' AS "why?", 'it''s ?' FROM t WHERE a = $1`);
+    assert.deepEqual(values, [1]);
+  });
+
+  it('expands an array parameter into one placeholder per element', () => {
+    assert.deepEqual(
+      toPgQuery('SELECT id FROM tickets WHERE status IN (?) AND tenant = ?', [['open', 'in_progress'], 'acme']),
+      { text: 'SELECT id FROM tickets WHERE status IN ($1, $2) AND tenant = $3', values: ['open', 'in_progress', 'acme'] }
+    );
+  });
+
+  it('passes null and undefined parameters through', () => {
+    assert.deepEqual(toPgQuery('UPDATE t SET a = ?, b = ?', [null, undefined]).values, [null, undefined]);
+  });
+
+  it('rejects too few parameters', () => {
+    assert.throws(() => toPgQuery('SELECT ? + ?', [1]), /expects 2 parameters, got 1/);
+  });
+
+  it('rejects too many parameters', () => {
+    assert.throws(() => toPgQuery('SELECT ?', [1, 2]), /expects 1 parameters, got 2/);
+  });
+});
+
+describe('runPg', () => {
+  it('returns [rows, fields] for a SELECT', async () => {
+    const rows = [{ id: 1 }];
+    const client = fakeClient({ result: { command: 'SELECT', rows, fields: [{ name: 'id' }], rowCount: 1 } });
+    const [result, fields] = await runPg(client, 'SELECT id FROM forms_new WHERE id = ?', [1]);
+    assert.deepEqual(result, rows);
+    assert.deepEqual(fields, [{ name: 'id' }]);
+    assert.equal(client.sent[0].text, 'SELECT id FROM forms_new WHERE id = $1');
+  });
+
+  it('appends RETURNING id to an INSERT and reports it as insertId', async () => {
+    const client = fakeClient({ result: { command: 'INSERT', rows: [{ id: 42 }], fields: [{ name: 'id' }], rowCount: 1 } });
+    const [result] = await runPg(client, 'INSERT INTO tenants (code) VALUES (?)', ['acme']);
+    assert.deepEqual(result, { insertId: 42, affectedRows: 1 });
+    assert.equal(client.sent[0].text, 'INSERT INTO tenants (code) VALUES ($1) RETURNING id');
+  });
+
+  it('keeps an explicit RETURNING clause', async () => {
+    const client = fakeClient({ result: { command: 'INSERT', rows: [{ id: 3 }], fields: [], rowCount: 1 } });
+    await runPg(client, '  insert into t (a) values (?) returning id', [1]);
+    assert.equal(client.sent[0].text, '  insert into t (a) values ($1) returning id');
+  });
+
+  it('does not ask for an id with returnId: false', async () => {
+    const client = fakeClient({ result: { command: 'INSERT', rows: [], fields: [], rowCount: 1 } });
+    const [result] = await runPg(client, 'INSERT INTO schema_migrations (version) VALUES (?)', ['0001'], { returnId: false });
+    assert.equal(client.sent[0].text, 'INSERT INTO schema_migrations (version) VALUES ($1)');
+    assert.deepEqual(result, { insertId: null, affectedRows: 1 });
+  });
+
+  it('returns affectedRows for an UPDATE', async () => {
+    const client = fakeClient({ result: { command: 'UPDATE', rows: [], fields: [], rowCount: 3 } });
+    assert.deepEqual(await runPg(client, 'UPDATE t SET a = ?', [1]), [{ insertId: 0, affectedRows: 3 }]);
+  });
+
+  it('maps a unique violation to ER_DUP_ENTRY', async () => {
+    const client = fakeClient({ error: pgError('23505') });
+    await assert.rejects(runPg(client, 'INSERT INTO tenants (code) VALUES (?)', ['acme']), { code: 'ER_DUP_ENTRY' });
+  });
+
+  it('maps a foreign key violation on INSERT / UPDATE to ER_NO_REFERENCED_ROW_2', async () => {
+    const client = fakeClient({ error: pgError('23503') });
+    await assert.rejects(runPg(client, 'INSERT INTO tickets (form_id) VALUES (?)', [1]), { code: 'ER_NO_REFERENCED_ROW_2' });
+    client.sent.length = 0;
+    await assert.rejects(runPg(client, 'UPDATE tickets SET form_id = ?', [1]), { code: 'ER_NO_REFERENCED_ROW_2' });
+  });
+
+  it('maps a foreign key violation on DELETE to ER_ROW_IS_REFERENCED_2', async () => {
+    const client = fakeClient({ error: pgError('23503') });
+    await assert.rejects(runPg(client, ' DELETE FROM tenants WHERE id = ?', [1]), { code: 'ER_ROW_IS_REFERENCED_2' });
+  });
+
+  it('leaves other error codes as they are', async () => {
+    const client = fakeClient({ error: pgError('42P01') });
+    await assert.rejects(runPg(client, 'SELECT * FROM missing', []), { code: '42P01' });
+  });
+});
@@ -0,0 +1,7 @@
+// test/mysql.test.js
+// The shared suite (sharedSuite.js) on MySQL
+// ------------------------------------------------------------
+
+import { runSharedSuite } from './sharedSuite.js';
+
+runSharedSuite('mysql');
@@ -0,0 +1,7 @@
+// test/postgres.test.js
+// The shared suite (sharedSuite.js) on PostgreSQL
+// ------------------------------------------------------------
+
+import { runSharedSuite } from './sharedSuite.js';
+
+runSharedSuite('postgres');
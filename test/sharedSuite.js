@@ -0,0 +1,403 @@
+// test/sharedSuite.js
+// Suite run against both databases (mysql.test.js, postgres.test.js):
+// migrations, form submission and update, the disposition hierarchy,
+// search, templates and the webhook draft flow.
+//
+// It rebuilds the schema of a dedicated test database, named by
+// TEST_MYSQL_DB / TEST_PGDATABASE; the connection settings are the usual
+// MYSQL_* / PG* ones. Without it the suite is skipped.
+// ------------------------------------------------------------
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const TEST_DATABASE = {
+  mysql: { from: 'TEST_MYSQL_DB', to: 'MYSQL_DB' },
+  postgres: { from: 'TEST_PGDATABASE', to: 'PGDATABASE' },
+};
+
+const WEBHOOK_SECRET = 'shared-suite-secret';
+const ADMIN_API_KEY = 'shared-suite-admin-key';
+
+const submission = (overrides = {}) => ({
+  company: 'Acme Trading LLC',
+  name: 'Sara Khan',
+  contact_number: '0501234567',
+  email: 'sara@acme.test',
+  call_type: 'Inbound',
+  disposition_1: 'Sales',
+  disposition_2: 'New Order',
+  query: 'Wants a quotation for forty pallets',
+  queue_id: 'q-100',
+  queue_name: 'Sales queue',
+  agent_id: 'agent-7',
+  agent_ext: '2007',
+  caller_id_name: 'SARA K',
+  caller_id_number: '+971501234567',
+  ...overrides,
+});
+
+/**
+ * Registers the shared suite for one DB_CLIENT. The environment is set up
+ * before the first application module is imported, since config.js reads
+ * it once.
+ * @param {string} client 'mysql' | 'postgres'
+ */
+export function runSharedSuite(client) {
+  const { from, to } = TEST_DATABASE[client];
+  const database = process.env[from];
+
+  describe(`shared suite (${client})`, { skip: database ? false : `set ${from} to run it` }, () => {
+    let db;
+    let form;
+    let acme;
+    let other;
+    let sales;
+    let server;
+    let baseUrl;
+    let mailDir;
+
+    before(async () => {
+      mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'form-back-mail-'));
+      Object.assign(process.env, {
+        DB_CLIENT: client,
+        [to]: database,
+        MAIL_TRANSPORT: 'file',
+        MAIL_FILE_DIR: mailDir,
+        MAIL_FROM: 'calls@test.local',
+        WEBHOOK_SECRET,
+        ADMIN_API_KEY,
+        LIVE_POLL_INTERVAL_MS: '50',
+        TICKET_LINK_SECRET: 'shared-suite-link-secret',
+        CLIENT_URL: 'http://client.test',
+      });
+
+      const migrate = await import('../src/migrate.js');
+      const applied = (await migrate.migrationStatus()).filter(m => m.state !== 'pending');
+      await migrate.migrateDown(applied.length);
+      await migrate.migrateUp();
+
+      db = await import('../src/db.js');
+      form = await import('../src/form.js');
+      const { createTenant, getTenant } = await import('../src/tenants.js');
+      const { createDepartment } = await import('../src/departments.js');
+      const { createDisposition } = await import('../src/dispositionConfig.js');
+
+      await createTenant({ code: 'acme', name: 'Acme', fallback_email: 'desk@acme.test', client_url: 'http://acme.test' });
+      await createTenant({ code: 'other', name: 'Other' });
+      acme = await getTenant('acme');
+      other = await getTenant('other');
+
+      sales = await createDepartment({ name: 'Sales', recipients: ['sales@acme.test'], cc: ['lead@acme.test'] }, acme);
+      await createDisposition({ call_type: 'Inbound', disposition_1: 'Sales', disposition_2: 'New Order', department_id: sales.id }, acme);
+      await createDisposition({ call_type: 'Inbound', disposition_1: 'Sales', disposition_2: 'Pricing', department_id: sales.id }, acme);
+      await createDisposition({ call_type: 'Inbound', disposition_1: 'Other', disposition_2: 'Others', is_custom_input: true }, acme);
+      await createDisposition({ call_type: 'Outbound', disposition_1: 'Follow-up', disposition_2: 'Callback' }, other);
+
+      server = form.app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+      await db?.pool.end();
+      await fs.rm(mailDir, { recursive: true, force: true });
+    });
+
+    it('builds the disposition hierarchy of the tenant only', async () => {
+      const hierarchy = await form.getDispositionHierarchy(acme);
+
+      assert.deepEqual(Object.keys(hierarchy), ['Inbound']);
+      assert.deepEqual(hierarchy.Inbound.Sales.map(d => d.value), ['New Order', 'Pricing']);
+      assert.deepEqual(hierarchy.Inbound.Sales[0], {
+        value: 'New Order', email: 'sales@acme.test', department: 'Sales', isCustomInput: false,
+      });
+      assert.equal(Boolean(hierarchy.Inbound.Other[0].isCustomInput), true);
+    });
+
+    it('stores a submission with its history, ticket and queued email', async () => {
+      const id = await form.handleFormSubmission(submission(), acme, { actor: 'agent:agent-7', source: 'test' });
+
+      const row = await form.getFormById(id, acme);
+      assert.equal(row.status, 'submitted');
+      assert.equal(row.caller_id_e164, '+971501234567');
+      assert.equal(await form.getFormById(id, other), null);
+
+      const [history] = await db.pool.execute('SELECT action, actor FROM forms_new_history WHERE form_id = ?', [id]);
+      assert.deepEqual(history.map(h => [h.action, h.actor]), [['create', 'agent:agent-7']]);
+
+      const [tickets] = await db.pool.execute('SELECT tenant, department_id, resolution_due_at FROM tickets WHERE form_id = ?', [id]);
+      assert.equal(tickets.length, 1);
+      assert.equal(tickets[0].tenant, 'acme');
+      assert.equal(tickets[0].department_id, sales.id);
+      assert.ok(tickets[0].resolution_due_at);
+
+      const [outbox] = await db.pool.execute('SELECT subject, to_addresses, status FROM email_outbox WHERE form_id = ?', [id]);
+      assert.equal(outbox.length, 1);
+      assert.equal(outbox[0].status, 'pending');
+      assert.match(JSON.stringify(outbox[0].to_addresses), /sales@acme\.test/);
+    });
+
+    it('rejects a disposition configured for another tenant', async () => {
+      await assert.rejects(
+        form.handleFormSubmission(submission({ call_type: 'Outbound', disposition_1: 'Follow-up', disposition_2: 'Callback' }), acme),
+        { status: 400 }
+      );
+    });
+
+    it('applies emailed ticket links only from their intended status', async () => {
+      const { ticketActionLinks, getTicketById, transitionTicket } = await import('../src/tickets.js');
+      const id = await form.handleFormSubmission(submission(), acme);
+      const [[{ id: ticketId }]] = await db.pool.execute('SELECT id FROM tickets WHERE form_id = ?', [id]);
+      const links = ticketActionLinks(ticketId);
+      const local = url => `${baseUrl}${new URL(url).pathname}`;
+
+      const resolved = await fetch(local(links.resolve_url), { method: 'POST', body: new URLSearchParams({ notes: 'Quoted' }) });
+      assert.equal(resolved.status, 200);
+
+      // an old acknowledge link must not reopen the resolved ticket
+      const page = await fetch(local(links.acknowledge_url));
+      assert.match(await page.text(), /already resolved/);
+      const stale = await fetch(local(links.acknowledge_url), { method: 'POST' });
+      assert.equal(stale.status, 409);
+      assert.match(await stale.text(), /already resolved/);
+
+      const ticket = await getTicketById(ticketId, acme);
+      assert.equal(ticket.status, 'resolved');
+      assert.ok(ticket.resolved_at);
+
+      // supervisors can still reopen it
+      assert.equal((await transitionTicket(ticketId, { status: 'in_progress' }, acme, 'test')).status, 'in_progress');
+    });
+
+    it('queues deliveries to the destinations of the form tenant only', async () => {
+      const { createDestination, listDestinations, deleteDestination } = await import('../src/outboundDelivery.js');
+      const crm = await createDestination({ name: 'CRM', url: 'http://crm.acme.test/hook' }, acme);
+      const warehouse = await createDestination({ name: 'CRM', url: 'http://warehouse.other.test/hook' }, other);
+
+      const id = await form.handleFormSubmission(submission(), acme);
+      const [deliveries] = await db.pool.execute('SELECT destination_id FROM deliveries WHERE form_id = ?', [id]);
+      assert.deepEqual(deliveries.map(d => d.destination_id), [crm.id]);
+
+      assert.deepEqual((await listDestinations(other)).map(d => d.id), [warehouse.id]);
+      await assert.rejects(deleteDestination(crm.id, other), { status: 404 });
+
+      await deleteDestination(crm.id, acme);
+      await deleteDestination(warehouse.id, other);
+    });
+
+    it('updates a submission and records the changed fields', async () => {
+      const id = await form.handleFormSubmission(submission({ name: 'Omar Ali' }), acme, { source: 'test' });
+      await form.updateFormSubmission(id, { name: 'Omar Al Ali', disposition_2: 'Pricing' }, acme, { actor: 'agent:agent-7', source: 'test' });
+
+      const row = await form.getFormById(id, acme);
+      assert.equal(row.name, 'Omar Al Ali');
+      assert.equal(row.disposition_2, 'Pricing');
+
+      const [history] = await db.pool.execute(
+        "SELECT changes FROM forms_new_history WHERE form_id = ? AND action = 'update'",
+        [id]
+      );
+      assert.equal(history.length, 1);
+      const changes = typeof history[0].changes === 'string' ? JSON.parse(history[0].changes) : history[0].changes;
+      assert.deepEqual(Object.keys(changes).sort(), ['disposition_2', 'name']);
+
+      const [[{ total }]] = await db.pool.execute('SELECT COUNT(*) AS total FROM email_outbox WHERE form_id = ?', [id]);
+      assert.equal(Number(total), 2);
+
+      await assert.rejects(form.updateFormSubmission(id, { name: 'Nobody' }, other), { status: 404 });
+    });
+
+    it('finds submissions by full-text search, filters and caller number', async () => {
+      const id = await form.handleFormSubmission(
+        submission({ company: 'Zephyr Logistics', query: 'Container tracking', caller_id_number: '00971529876543' }),
+        acme
+      );
+
+      const byText = await form.listForms({ q: 'zeph logist' }, acme);
+      assert.deepEqual(byText.data.map(f => f.id), [id]);
+      assert.equal(byText.total, 1);
+
+      const byCaller = await form.listForms({ caller: '0529876543' }, acme);
+      assert.deepEqual(byCaller.data.map(f => f.id), [id]);
+
+      const page = await form.listForms({ disposition_1: 'Sales', pageSize: 1, sort: 'id', order: 'asc' }, acme);
+      assert.equal(page.data.length, 1);
+      assert.ok(page.total >= 3);
+
+      assert.equal((await form.listForms({ q: 'zephyr' }, other)).total, 0);
+
+      const found = await form.findFormByQueueAndCaller('q-100', '+971529876543', acme);
+      assert.equal(found.id, id);
+    });
+
+    it('stops an export when the client goes away', async () => {
+      const { Writable } = await import('stream');
+      const { streamFormsExport } = await import('../src/formExport.js');
+      // A client that reads nothing, then disconnects
+      const res = new Writable({ highWaterMark: 1, write() {} });
+      res.set = () => {};
+      setTimeout(() => res.destroy(), 50);
+
+      await streamFormsExport({ format: 'csv' }, res, acme);
+      assert.equal(res.destroyed, true);
+
+      // The stream's connection is not lost to the pool
+      const [[{ total }]] = await db.pool.query('SELECT COUNT(*) AS total FROM forms_new');
+      assert.ok(Number(total) >= 3);
+    });
+
+    it('keeps departments to their tenant', async () => {
+      const { createDepartment, listDepartments, getDepartmentById } = await import('../src/departments.js');
+      const { createDisposition, updateDisposition, importDispositionCsv } = await import('../src/dispositionConfig.js');
+      const billing = await createDepartment({ name: 'Sales', recipients: ['billing@other.test'] }, other);
+
+      assert.deepEqual((await listDepartments(other)).map(d => d.id), [billing.id]);
+      assert.equal(await getDepartmentById(sales.id, other), null);
+
+      await assert.rejects(
+        createDisposition({ call_type: 'Outbound', disposition_1: 'Follow-up', disposition_2: 'Quote', department_id: sales.id }, other),
+        { status: 400 }
+      );
+      const [[callback]] = await db.pool.execute('SELECT id FROM disposition_config WHERE tenant = ?', ['other']);
+      await assert.rejects(updateDisposition(callback.id, { department_id: sales.id }, other), { status: 400 });
+
+      // department names resolve within the importing tenant
+      const diff = await importDispositionCsv(
+        'call_type,disposition_1,disposition_2,department\nOutbound,Follow-up,Callback,Sales\n', other, { dryRun: true }
+      );
+      assert.equal(diff.updated[0].after.department_id, billing.id);
+    });
+
+    it('lists templates default first, then department, then disposition', async () => {
+      const { createTemplate, listTemplates } = await import('../src/emailTemplates.js');
+      await createTemplate({ name: 'A disposition', scope: 'disposition', call_type: 'Inbound', disposition_1: 'Sales', subject: 'S', html: '<p>x</p>' }, acme);
+      await createTemplate({ name: 'B department', scope: 'department', department_id: sales.id, subject: 'S', html: '<p>x</p>' }, acme);
+      await createTemplate({ name: 'C default', scope: 'default', subject: 'S', html: '<p>x</p>' }, acme);
+
+      await assert.rejects(
+        createTemplate({ name: 'Foreign', scope: 'department', department_id: sales.id, subject: 'S', html: '<p>x</p>' }, other),
+        { status: 400 }
+      );
+      assert.deepEqual(await listTemplates(other), []);
+
+      const scopes = (await listTemplates(acme)).map(t => t.scope);
+      assert.deepEqual(scopes, [...scopes].sort((a, b) => ['default', 'department', 'disposition'].indexOf(a)
+        - ['default', 'department', 'disposition'].indexOf(b)));
+      assert.deepEqual([...new Set(scopes)], ['default', 'department', 'disposition']);
+    });
+
+    it('submits a draft only once its required fields are filled in', async () => {
+      const query = new URLSearchParams({ token: WEBHOOK_SECRET, tenant: 'acme', cidnum: '0559990000', agent: 'agent-3', qid: 'q-300' });
+      const opened = await fetch(`${baseUrl}/webhook?${query}`, { redirect: 'manual' });
+      const [, draftId] = opened.headers.get('location').match(/\?id=(\d+)$/);
+
+      const dispositions = { call_type: 'Inbound', disposition_1: 'Sales', disposition_2: 'Pricing' };
+      await assert.rejects(form.updateFormSubmission(draftId, dispositions, acme), (err) => {
+        assert.equal(err.status, 400);
+        assert.deepEqual(err.details.errors.map(e => e.field), ['company', 'name', 'email']);
+        return true;
+      });
+      assert.equal((await form.getFormById(draftId, acme)).status, 'draft');
+
+      await form.updateFormSubmission(draftId, {
+        ...dispositions, company: 'Walk-in', name: 'Omar Ali', email: 'omar@walkin.test',
+      }, acme);
+      assert.equal((await form.getFormById(draftId, acme)).status, 'submitted');
+    });
+
+    it('creates one draft per call event from the webhook and completes it', async () => {
+      const query = new URLSearchParams({
+        token: WEBHOOK_SECRET, tenant: 'acme', cidnum: '0501234567', cidname: 'SARA K', agent: 'agent-9', qid: 'q-200', qname: 'Support',
+      });
+      const first = await fetch(`${baseUrl}/webhook?${query}`, { redirect: 'manual' });
+      assert.equal(first.status, 302);
+      const [, draftId] = first.headers.get('location').match(/^http:\/\/acme\.test\/\?id=(\d+)$/);
+
+      const again = await fetch(`${baseUrl}/webhook?${query}`, { redirect: 'manual' });
+      assert.equal(again.headers.get('location'), first.headers.get('location'));
+
+      const draft = await form.getFormById(draftId, acme);
+      assert.equal(draft.status, 'draft');
+      assert.equal(draft.caller_id_e164, '+971501234567');
+      // repeat caller: prefilled from the earlier submission
+      assert.equal(draft.company, 'Acme Trading LLC');
+      assert.ok(draft.prefilled_from);
+
+      const unsigned = await fetch(`${baseUrl}/webhook?${new URLSearchParams({ tenant: 'acme', cidnum: '0501234567' })}`, { redirect: 'manual' });
+      assert.equal(unsigned.status, 401);
+
+      const completed = await fetch(`${baseUrl}/webhook`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-webhook-token': WEBHOOK_SECRET },
+        body: JSON.stringify({ recordId: Number(draftId), tenant: 'acme', call_type: 'Inbound', disposition_1: 'Sales', disposition_2: 'Pricing' }),
+      });
+      assert.equal(completed.status, 200);
+      const row = await form.getFormById(draftId, acme);
+      assert.equal(row.status, 'submitted');
+      assert.equal(row.disposition_2, 'Pricing');
+    });
+
+    it('takes a form-encoded disposition POST from the dialer', async () => {
+      const query = new URLSearchParams({ token: WEBHOOK_SECRET, tenant: 'acme', cidnum: '0501234567', agent: 'agent-4', qid: 'q-400' });
+      const opened = await fetch(`${baseUrl}/webhook?${query}`, { redirect: 'manual' });
+      const [, draftId] = opened.headers.get('location').match(/\?id=(\d+)$/);
+
+      const completed = await fetch(`${baseUrl}/webhook`, {
+        method: 'POST',
+        headers: { 'x-webhook-token': WEBHOOK_SECRET },
+        body: new URLSearchParams({ recordId: draftId, tenant: 'acme', call_type: 'Inbound', disposition_1: 'Sales', disposition_2: 'New Order' }),
+      });
+      assert.equal(completed.status, 200);
+      const row = await form.getFormById(draftId, acme);
+      assert.equal(row.status, 'submitted');
+      assert.equal(row.disposition_2, 'New Order');
+    });
+
+    it('delivers a live event that commits after a newer one', async () => {
+      const { startLiveFeed } = await import('../src/liveFeed.js');
+      const stop = startLiveFeed();
+      const controller = new AbortController();
+      const stream = await fetch(`${baseUrl}/live/events`, {
+        headers: { 'x-api-key': ADMIN_API_KEY, 'x-tenant': 'acme' },
+        signal: controller.signal,
+      });
+      assert.equal(stream.status, 200);
+      // fail rather than wait forever for an event that never comes
+      const deadline = setTimeout(() => controller.abort(), 5000);
+
+      const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+      let received = '';
+      const waitForEvent = async (id) => {
+        while (!received.includes(`id: ${id}\n`)) {
+          const { value, done } = await reader.read();
+          if (done) throw new Error(`stream ended before event ${id}`);
+          received += value;
+        }
+      };
+      const insertEvent = conn => conn.execute(
+        `INSERT INTO live_events (tenant, type, data) VALUES ('acme', 'form.updated', '{}')`
+      ).then(([result]) => result.insertId);
+
+      try {
+        await db.withTransaction(async (conn) => {
+          // takes the lower id, but stays invisible until the newer event is out
+          const lateId = await insertEvent(conn);
+          const newerId = await insertEvent(db.pool);
+          assert.ok(newerId > lateId);
+          await waitForEvent(newerId);
+          assert.ok(!received.includes(`id: ${lateId}\n`));
+          return lateId;
+        }).then(waitForEvent);
+      } finally {
+        clearTimeout(deadline);
+        controller.abort();
+        stop();
+      }
+    });
+  });
+}
@@ -0,0 +1,65 @@
+// test/sla.test.js
+// Due times of a new ticket from its disposition's SLA targets
+// ------------------------------------------------------------
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js reads the defaults and the calendar once, on first import
+Object.assign(process.env, {
+  SLA_RESPONSE_HOURS: '4',
+  SLA_RESOLUTION_HOURS: '16',
+  BUSINESS_TIMEZONE: 'Asia/Dubai',
+  BUSINESS_DAYS: 'mon,tue,wed,thu,fri',
+  BUSINESS_HOURS: '08:00-17:00',
+  BUSINESS_HOLIDAYS: '',
+});
+const { slaDueDates } = await import('../src/sla.js');
+
+const dubai = local => new Date(`${local}:00+04:00`);
+const MONDAY_9AM = dubai('2026-10-19T09:00');
+
+const routed = (responseHours, resolutionHours) => ({ sla: { responseHours, resolutionHours } });
+
+describe('slaDueDates', () => {
+  it('uses the disposition targets in business hours', () => {
+    assert.deepEqual(slaDueDates(routed(2, 8), MONDAY_9AM), {
+      responseDueAt: dubai('2026-10-19T11:00'),
+      resolutionDueAt: dubai('2026-10-19T17:00'),
+    });
+  });
+
+  it('falls back to SLA_RESPONSE_HOURS / SLA_RESOLUTION_HOURS', () => {
+    const expected = { responseDueAt: dubai('2026-10-19T13:00'), resolutionDueAt: dubai('2026-10-20T16:00') };
+    assert.deepEqual(slaDueDates(routed(null, null), MONDAY_9AM), expected);
+    // unrouted submissions carry no sla at all
+    assert.deepEqual(slaDueDates({}, MONDAY_9AM), expected);
+    assert.deepEqual(slaDueDates(null, MONDAY_9AM), expected);
+  });
+
+  it('clamps the response due time to the resolution due time', () => {
+    // the default 4h response target outlasts a 2h resolution target
+    assert.deepEqual(slaDueDates(routed(null, 2), MONDAY_9AM), {
+      responseDueAt: dubai('2026-10-19T11:00'),
+      resolutionDueAt: dubai('2026-10-19T11:00'),
+    });
+  });
+
+  it('leaves the response due time alone without a resolution target', () => {
+    assert.deepEqual(slaDueDates(routed(4, 0), MONDAY_9AM), {
+      responseDueAt: dubai('2026-10-19T13:00'),
+      resolutionDueAt: null,
+    });
+  });
+
+  it('disables a target set to 0', () => {
+    assert.deepEqual(slaDueDates(routed(0, 0), MONDAY_9AM), { responseDueAt: null, resolutionDueAt: null });
+  });
+
+  it('starts the clock at the next opening for a ticket opened at the weekend', () => {
+    assert.deepEqual(slaDueDates(routed(1, 2), dubai('2026-10-17T12:00')), {
+      responseDueAt: dubai('2026-10-19T09:00'),
+      resolutionDueAt: dubai('2026-10-19T10:00'),
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// test/webhookAuth.test.js
+// Token and HMAC checks of dialer webhook requests, including the
+// timestamp window that stops signed requests being replayed
+// ------------------------------------------------------------
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SECRET = 'webhook-test-secret';
+
+// config.js reads the webhook settings once, on first import
+Object.assign(process.env, { WEBHOOK_SECRET: SECRET, WEBHOOK_MAX_SKEW_SECONDS: '300' });
+const {
+  verifyWebhookRequest, signWebhookPayload, canonicalQuery, postSignaturePayload,
+} = await import('../src/webhookAuth.js');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/** Minimal stand-in for an Express request */
+function request({ method = 'POST', headers = {}, query = {}, rawBody } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, query, rawBody, get: name => lower[name.toLowerCase()] };
+}
+
+function signedPost(body, timestamp = now()) {
+  const rawBody = Buffer.from(body);
+  return request({
+    rawBody,
+    headers: {
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signWebhookPayload(postSignaturePayload(timestamp, rawBody), SECRET),
+    },
+  });
+}
+
+function signedGet(params) {
+  const query = { ...params };
+  return request({ method: 'GET', query: { ...query, signature: signWebhookPayload(canonicalQuery(query), SECRET) } });
+}
+
+describe('verifyWebhookRequest', () => {
+  it('accepts the shared secret as a header or query param', () => {
+    assert.deepEqual(verifyWebhookRequest(request({ headers: { 'X-Webhook-Token': SECRET } })), { ok: true });
+    assert.deepEqual(verifyWebhookRequest(request({ method: 'GET', query: { token: SECRET } })), { ok: true });
+    assert.equal(verifyWebhookRequest(request({ headers: { 'X-Webhook-Token': 'nope' } })).status, 401);
+  });
+
+  it('rejects a request without credentials', () => {
+    assert.deepEqual(verifyWebhookRequest(request()), { ok: false, status: 401, error: 'Missing webhook signature' });
+  });
+
+  it('accepts a signed GET with a fresh ts', () => {
+    assert.deepEqual(verifyWebhookRequest(signedGet({ cidnum: '0501234567', ts: String(now()) })), { ok: true });
+  });
+
+  it('rejects a signed GET with a stale or missing ts', () => {
+    assert.equal(verifyWebhookRequest(signedGet({ cidnum: '0501234567', ts: String(now() - 301) })).status, 401);
+    assert.equal(verifyWebhookRequest(signedGet({ cidnum: '0501234567' })).status, 401);
+  });
+
+  it('accepts a signed POST with a fresh timestamp', () => {
+    assert.deepEqual(verifyWebhookRequest(signedPost('{"recordId":12}')), { ok: true });
+  });
+
+  it('rejects a replayed POST once its timestamp is outside the window', () => {
+    const result = verifyWebhookRequest(signedPost('{"recordId":12}', now() - 301));
+    assert.deepEqual(result, { ok: false, status: 401, error: 'Webhook timestamp missing or outside the allowed window' });
+  });
+
+  it('rejects a POST signed over the body alone', () => {
+    const rawBody = Buffer.from('{"recordId":12}');
+    const req = request({ rawBody, headers: { 'X-Webhook-Signature': signWebhookPayload(rawBody, SECRET) } });
+    assert.equal(verifyWebhookRequest(req).status, 401);
+    req.get = name => ({ 'x-webhook-signature': signWebhookPayload(rawBody, SECRET), 'x-webhook-timestamp': String(now()) })[name];
+    assert.deepEqual(verifyWebhookRequest(req), { ok: false, status: 401, error: 'Invalid webhook signature' });
+  });
+
+  it('rejects a POST whose timestamp was changed after signing', () => {
+    const req = signedPost('{"recordId":12}', now() - 60);
+    const signature = req.get('x-webhook-signature');
+    req.get = name => ({ 'x-webhook-signature': signature, 'x-webhook-timestamp': String(now()) })[name];
+    assert.equal(verifyWebhookRequest(req).error, 'Invalid webhook signature');
+  });
+
+  it('rejects a POST whose body was changed after signing', () => {
+    const req = signedPost('{"recordId":12}');
+    req.rawBody = Buffer.from('{"recordId":13}');
+    assert.equal(verifyWebhookRequest(req).error, 'Invalid webhook signature');
+  });
+});